@@ -6,7 +6,7 @@
  * Last updated: 2024-12-24
  */
 
-import('./src/server.js').catch((error) => {
+import('./src/server.js').then(({ main }) => main()).catch((error) => {
   console.error('[FATAL] Failed to start Recharge Storefront API MCP Server:', error.message);
   process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for update change previews
+ * Runs update tools against stubbed Storefront APIs and checks the field-level diff, preview-only
+ * calls, refusal of stale updates (expected_updated_at), and that a tool call fetches the resource
+ * it changes only once, including the confirmation summaries of cancel and delete tools
+ */
+
+import { RechargeClient } from '../src/recharge-client.js';
+import { subscriptionTools } from '../src/tools/subscription-tools.js';
+import { addressTools } from '../src/tools/address-tools.js';
+import { onetimeTools } from '../src/tools/onetimes-tools.js';
+import { diffFields, getUpdateFields } from '../src/utils/change-preview.js';
+import { runWithRequestContext } from '../src/utils/request-context.js';
+import { formatErrorResponse } from '../src/utils/error-handler.js';
+
+const updateSubscription = subscriptionTools.find(tool => tool.name === 'update_subscription');
+
+const SUBSCRIPTION = {
+  id: 123,
+  quantity: 2,
+  order_interval_frequency: '1',
+  order_interval_unit: 'month',
+  next_charge_scheduled_at: '2026-11-01T00:00:00',
+  updated_at: '2026-10-01T10:00:00',
+};
+
+/**
+ * Create a client whose Storefront API serves one subscription and counts requests
+ */
+function createStubbedClient({ failGet = false } = {}) {
+  const client = new RechargeClient({ storeUrl: 'change-preview-test.myshopify.com', sessionToken: 'st_change_preview_token' });
+  const counts = { gets: 0, puts: 0 };
+
+  client.storefrontApi.request = async (config) => {
+    if (config.method === 'GET' && config.url === '/subscriptions/123') {
+      counts.gets++;
+      if (failGet) {
+        const error = new Error('Request failed with status code 404');
+        error.request = {};
+        error.response = { status: 404, data: { error: 'Not found' } };
+        throw error;
+      }
+      return { data: { subscription: { ...SUBSCRIPTION } } };
+    }
+    if (config.method === 'PUT' && config.url === '/subscriptions/123') {
+      counts.puts++;
+      return { data: { subscription: { ...SUBSCRIPTION, ...config.data } } };
+    }
+    throw new Error(`Unexpected request: ${config.method} ${config.url}`);
+  };
+
+  return { client, counts };
+}
+
+/**
+ * Run a tool's confirmation summary, undo capture and execution as one tool call, like the server
+ */
+function runToolCall(tool, client, args) {
+  const context = { toolName: tool.name, currentResources: new Map() };
+  return runWithRequestContext(context, async () => {
+    const impact = await tool.describeImpact(client, args);
+    const undo = await tool.prepareUndo(client, args);
+    const result = await tool.execute(client, args);
+    return { impact, undo, result };
+  });
+}
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`❌ ${message}`);
+  }
+}
+
+(async () => {
+  console.log('🧪 Testing change previews\n');
+
+  // Test 1: diffs ignore representation differences
+  console.log('Test 1: field-level diff');
+  {
+    const updates = getUpdateFields({ subscription_id: '123', session_token: 'st_x', quantity: 3, order_interval_frequency: 1, next_charge_scheduled_at: '2026-11-01' }, ['subscription_id']);
+    const diff = diffFields(SUBSCRIPTION, updates);
+
+    check(!('session_token' in updates) && !('subscription_id' in updates), 'Credentials and IDs are not treated as updates');
+    check(diff.changed.length === 1 && diff.changed[0].field === 'quantity' && diff.changed[0].before === 2, 'Only quantity is reported as changed');
+    check(diff.unchanged.includes('order_interval_frequency') && diff.unchanged.includes('next_charge_scheduled_at'), '1 matches "1" and a date matches a date-time on that day');
+  }
+
+  // Test 2: one tool call fetches the subscription once
+  console.log('\nTest 2: confirmation summary, undo capture and diff share one fetch');
+  {
+    const { client, counts } = createStubbedClient();
+    const args = updateSubscription.inputSchema.parse({ subscription_id: '123', quantity: 3 });
+    const { impact, undo, result } = await runToolCall(updateSubscription, client, args);
+
+    check(counts.gets === 1, `One GET for the whole call (got ${counts.gets})`);
+    check(counts.puts === 1, 'The update was sent');
+    check(impact.includes('quantity: 2 → 3'), 'Confirmation summary shows the diff');
+    check(undo.args.quantity === 2, 'Undo restores the previous quantity');
+    check(result._meta.changes.changed[0].field === 'quantity', 'Result carries the diff in _meta.changes');
+  }
+
+  // Test 3: separate tool calls fetch fresh state
+  console.log('\nTest 3: each tool call fetches its own state');
+  {
+    const { client, counts } = createStubbedClient();
+    const args = updateSubscription.inputSchema.parse({ subscription_id: '123', quantity: 3 });
+    await runToolCall(updateSubscription, client, args);
+    await runToolCall(updateSubscription, client, args);
+
+    check(counts.gets === 2, `Two calls make two GETs (got ${counts.gets})`);
+  }
+
+  // Test 4: preview only
+  console.log('\nTest 4: preview returns the diff without updating');
+  {
+    const { client, counts } = createStubbedClient();
+    const args = updateSubscription.inputSchema.parse({ subscription_id: '123', quantity: 3, preview: true });
+    const result = await updateSubscription.execute(client, args);
+
+    check(counts.puts === 0, 'No PUT was sent');
+    check(result._meta.preview === true && result.content[0].text.includes('quantity: 2 → 3'), 'Preview result shows the diff');
+  }
+
+  // Test 5: stale updates are refused
+  console.log('\nTest 5: expected_updated_at refuses stale updates');
+  {
+    const { client, counts } = createStubbedClient();
+    const args = updateSubscription.inputSchema.parse({ subscription_id: '123', quantity: 3, expected_updated_at: '2026-09-30T08:00:00' });
+    const error = await runToolCall(updateSubscription, client, args).then(() => null, caught => caught);
+
+    check(error?.errorCode === 'UPDATE_CONFLICT' && error.statusCode === 409, 'A stale updated_at fails with UPDATE_CONFLICT (409)');
+    check(counts.puts === 0, 'No PUT was sent');
+    check(error?.details.current.quantity === 2 && error.details.currentUpdatedAt === SUBSCRIPTION.updated_at, 'The error lists the current values and updated_at');
+    check(formatErrorResponse(error).content[0].text.includes('UPDATE_CONFLICT'), 'The tool result names the conflict');
+  }
+  {
+    const { client, counts } = createStubbedClient();
+    const args = updateSubscription.inputSchema.parse({ subscription_id: '123', quantity: 3, expected_updated_at: '2026-10-01T10:00:00.000' });
+    await runToolCall(updateSubscription, client, args);
+
+    check(counts.puts === 1, 'A matching updated_at (in another format) lets the update through');
+  }
+  {
+    const { client, counts } = createStubbedClient({ failGet: true });
+    const args = updateSubscription.inputSchema.parse({ subscription_id: '123', quantity: 3, expected_updated_at: SUBSCRIPTION.updated_at });
+    const error = await updateSubscription.execute(client, args).then(() => null, caught => caught);
+
+    check(error !== null && counts.puts === 0, 'If the current subscription can\'t be loaded, nothing is sent');
+  }
+
+  // Test 6: cancel and delete summaries load the resource through the per-call cache
+  console.log('\nTest 6: destructive tools share the fetched resource');
+  {
+    const client = new RechargeClient({ storeUrl: 'change-preview-test.myshopify.com', sessionToken: 'st_change_preview_token' });
+    const gets = [];
+    client.storefrontApi.request = async (config) => {
+      gets.push(config.url);
+      return { data: { subscription: { ...SUBSCRIPTION }, address: { id: 7, address1: '1 Main St' }, onetime: { id: 9, quantity: 1 }, subscriptions: [], onetimes: [] } };
+    };
+
+    const cases = [
+      [subscriptionTools, 'cancel_subscription', { subscription_id: '123' }, '/subscriptions/123'],
+      [addressTools, 'delete_address', { address_id: '7' }, '/addresses/7'],
+      [onetimeTools, 'delete_onetime', { onetime_id: '9' }, '/onetimes/9'],
+    ];
+    for (const [tools, name, rawArgs, url] of cases) {
+      const tool = tools.find(entry => entry.name === name);
+      const args = tool.inputSchema.parse(rawArgs);
+      gets.length = 0;
+      await runWithRequestContext({ toolName: name, currentResources: new Map() }, async () => {
+        await tool.describeImpact(client, args);
+        await tool.describeImpact(client, args);
+      });
+      const fetches = gets.filter(entry => entry === url).length;
+      check(fetches === 1, `${name}'s summary fetches ${url} once per tool call (got ${fetches})`);
+    }
+  }
+
+  console.log(failures === 0
+    ? '\n🎉 Change preview tests passed'
+    : `\n❌ ${failures} change preview check(s) failed`);
+
+  process.exit(failures === 0 ? 0 : 1);
+})();
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the circuit breaker
+ * Walks a breaker through closed → open → half-open → closed, and checks which failures count,
+ * that only one probe is let through and that a failed probe reopens the circuit
+ */
+
+import { CircuitBreaker } from '../src/utils/circuit-breaker.js';
+import { createCancellationError } from '../src/utils/error-handler.js';
+
+const COOLDOWN_MS = 100;
+
+/**
+ * Create an axios-style error: an HTTP status, or a network error code
+ */
+function apiError(statusOrCode) {
+  const error = new Error(String(statusOrCode));
+  error.request = {};
+  if (typeof statusOrCode === 'number') {
+    error.response = { status: statusOrCode };
+  } else {
+    error.code = statusOrCode;
+  }
+  return error;
+}
+
+const ok = async () => ({ status: 200 });
+const fail = statusOrCode => async () => {
+  throw apiError(statusOrCode);
+};
+
+/**
+ * Run a request through the breaker and return the error code, status or 'ok'
+ */
+async function attempt(breaker, send, options) {
+  try {
+    await breaker.execute(send, options);
+    return 'ok';
+  } catch (error) {
+    return error.errorCode || error.response?.status || error.code;
+  }
+}
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`❌ ${message}`);
+  }
+}
+
+(async () => {
+  console.log('🧪 Testing the circuit breaker\n');
+
+  // Test 1: full cycle
+  console.log('Test 1: closed → open → half-open → closed');
+  {
+    const breaker = new CircuitBreaker({ host: 'api.test', failureThreshold: 3, cooldownMs: COOLDOWN_MS });
+
+    await attempt(breaker, fail(503));
+    await attempt(breaker, fail('ECONNRESET'));
+    check(breaker.state === 'closed', 'Stays closed below the threshold');
+
+    await attempt(breaker, fail(500));
+    check(breaker.state === 'open' && breaker.getStats().timesOpened === 1, 'Opens after 3 consecutive failures');
+
+    let sent = false;
+    const rejected = await attempt(breaker, async () => {
+      sent = true;
+      return { status: 200 };
+    });
+    check(rejected === 'CIRCUIT_OPEN' && !sent, 'Requests fail fast without being sent while open');
+
+    await new Promise(resolve => setTimeout(resolve, COOLDOWN_MS + 20));
+
+    let releaseProbe;
+    const probe = breaker.execute(() => new Promise(resolve => {
+      releaseProbe = () => resolve({ status: 200 });
+    }));
+    check(breaker.state === 'half_open', 'After the cool-down the circuit is half-open');
+    check(await attempt(breaker, ok) === 'CIRCUIT_OPEN', 'Only one probe is let through');
+
+    releaseProbe();
+    await probe;
+    check(breaker.state === 'closed' && breaker.consecutiveFailures === 0, 'A successful probe closes the circuit');
+    check(await attempt(breaker, ok) === 'ok', 'Requests flow again');
+  }
+
+  // Test 2: a failed probe reopens the circuit
+  console.log('\nTest 2: failed probe');
+  {
+    const breaker = new CircuitBreaker({ host: 'api.test', failureThreshold: 1, cooldownMs: COOLDOWN_MS });
+    await attempt(breaker, fail(502));
+    await new Promise(resolve => setTimeout(resolve, COOLDOWN_MS + 20));
+
+    check(await attempt(breaker, fail(503)) === 503, 'The probe is sent');
+    check(breaker.state === 'open' && breaker.getStats().timesOpened === 2, 'Its failure reopens the circuit');
+    check(await attempt(breaker, ok) === 'CIRCUIT_OPEN', 'A new cool-down starts');
+  }
+
+  // Test 3: which errors count
+  console.log('\nTest 3: only host failures count');
+  {
+    const breaker = new CircuitBreaker({ host: 'api.test', failureThreshold: 2, cooldownMs: COOLDOWN_MS });
+
+    await attempt(breaker, fail(429));
+    await attempt(breaker, fail(404));
+    await attempt(breaker, fail(422));
+    check(breaker.state === 'closed' && breaker.consecutiveFailures === 0, '4xx responses (including 429) do not count');
+
+    await attempt(breaker, fail('ECONNABORTED'), { countTimeouts: false });
+    await attempt(breaker, fail('ETIMEDOUT'), { countTimeouts: false });
+    check(breaker.consecutiveFailures === 0, 'Timeouts do not count when countTimeouts is false');
+
+    await attempt(breaker, async () => {
+      throw createCancellationError();
+    });
+    check(breaker.consecutiveFailures === 0, 'Cancelled requests do not count');
+
+    await attempt(breaker, fail(503));
+    await attempt(breaker, ok);
+    await attempt(breaker, fail(503));
+    check(breaker.state === 'closed', 'A success in between resets the count');
+  }
+
+  // Test 4: a cancelled probe frees the probe slot
+  console.log('\nTest 4: cancelled probe');
+  {
+    const breaker = new CircuitBreaker({ host: 'api.test', failureThreshold: 1, cooldownMs: COOLDOWN_MS });
+    await attempt(breaker, fail(503));
+    await new Promise(resolve => setTimeout(resolve, COOLDOWN_MS + 20));
+
+    await attempt(breaker, async () => {
+      throw createCancellationError();
+    });
+    check(breaker.state === 'half_open' && !breaker.probeInFlight, 'The circuit stays half-open with the probe slot free');
+    check(await attempt(breaker, ok) === 'ok' && breaker.state === 'closed', 'The next request probes and closes the circuit');
+  }
+
+  console.log(failures === 0
+    ? '\n🎉 Circuit breaker tests passed'
+    : `\n❌ ${failures} circuit breaker check(s) failed`);
+
+  process.exit(failures === 0 ? 0 : 1);
+})();
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for confirmation tokens
+ * Checks that a token only confirms the exact call it was issued for: same tool, same
+ * arguments and same customer, once, before it expires
+ */
+
+import { ConfirmationStore, requiresConfirmation } from '../src/utils/confirmation.js';
+import { getIdempotencyScope } from '../src/utils/idempotency.js';
+
+const DOMAIN = 'confirmation-test.myshopify.com';
+const SCOPE_A = getIdempotencyScope(DOMAIN, {}, { sessionToken: 'st_confirmation_customer_a' });
+const SCOPE_B = getIdempotencyScope(DOMAIN, {}, { sessionToken: 'st_confirmation_customer_b' });
+const ARGS = { subscription_id: '123', cancellation_reason: 'Too much product' };
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`❌ ${message}`);
+  }
+}
+
+/**
+ * Consume a token and return the error code, or null if it was accepted
+ */
+function consume(store, token, toolName, scope, args) {
+  try {
+    store.consume(token, toolName, scope, args);
+    return null;
+  } catch (error) {
+    return error.errorCode;
+  }
+}
+
+(async () => {
+  console.log('🧪 Testing confirmation tokens\n');
+
+  // Test 1: a token confirms its own call once
+  console.log('Test 1: matching call is confirmed once');
+  {
+    const store = new ConfirmationStore();
+    const { token, expiresAt } = store.issue('cancel_subscription', SCOPE_A, ARGS);
+
+    check(token.startsWith('confirm_') && expiresAt > new Date(), 'Token is issued with a future expiry');
+    check(consume(store, token, 'cancel_subscription', SCOPE_A, { ...ARGS }) === null, 'Same tool, arguments and customer are accepted');
+    check(consume(store, token, 'cancel_subscription', SCOPE_A, ARGS) === 'CONFIRMATION_INVALID', 'The token cannot be used a second time');
+  }
+
+  // Test 2: anything else about the call is a mismatch
+  console.log('\nTest 2: mismatched calls are rejected');
+  {
+    const store = new ConfirmationStore();
+
+    const forArgs = store.issue('cancel_subscription', SCOPE_A, ARGS).token;
+    check(consume(store, forArgs, 'cancel_subscription', SCOPE_A, { ...ARGS, subscription_id: '456' }) === 'CONFIRMATION_INVALID', 'Different arguments are rejected');
+
+    const forTool = store.issue('cancel_subscription', SCOPE_A, ARGS).token;
+    check(consume(store, forTool, 'delete_address', SCOPE_A, ARGS) === 'CONFIRMATION_INVALID', 'A different tool is rejected');
+
+    const forCustomer = store.issue('cancel_subscription', SCOPE_A, ARGS).token;
+    check(consume(store, forCustomer, 'cancel_subscription', SCOPE_B, ARGS) === 'CONFIRMATION_INVALID', 'Another customer\'s session is rejected');
+
+    check(consume(store, 'confirm_unknown', 'cancel_subscription', SCOPE_A, ARGS) === 'CONFIRMATION_INVALID', 'An unknown token is rejected');
+  }
+
+  // Test 3: tokens expire
+  console.log('\nTest 3: expired tokens are rejected');
+  {
+    const store = new ConfirmationStore({ ttlMs: 20 });
+    const { token } = store.issue('cancel_subscription', SCOPE_A, ARGS);
+    await new Promise(resolve => setTimeout(resolve, 40));
+
+    check(consume(store, token, 'cancel_subscription', SCOPE_A, ARGS) === 'CONFIRMATION_INVALID', 'Token is rejected after its TTL');
+    check(store.tokens.size === 0, 'Expired token was pruned');
+  }
+
+  // Test 4: which calls need confirmation
+  console.log('\nTest 4: confirmation requirements follow the environment');
+  {
+    const destructive = { name: 'cancel_subscription', destructive: true };
+    const update = { name: 'update_subscription', previewsChanges: true };
+
+    process.env.RECHARGE_CONFIRM_DESTRUCTIVE = 'false';
+    process.env.RECHARGE_CONFIRM_UPDATES = 'false';
+    check(!requiresConfirmation(destructive, {}) && !requiresConfirmation(update, {}), 'Nothing needs confirmation by default');
+
+    process.env.RECHARGE_CONFIRM_DESTRUCTIVE = 'true';
+    process.env.RECHARGE_CONFIRM_UPDATES = 'true';
+    check(requiresConfirmation(destructive, {}), 'Destructive tools need confirmation with RECHARGE_CONFIRM_DESTRUCTIVE');
+    check(requiresConfirmation(update, {}) && !requiresConfirmation(update, { preview: true }), 'Updates need confirmation unless they only preview');
+  }
+
+  console.log(failures === 0
+    ? '\n🎉 Confirmation tests passed'
+    : `\n❌ ${failures} confirmation check(s) failed`);
+
+  process.exit(failures === 0 ? 0 : 1);
+})();
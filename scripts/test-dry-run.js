@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for dry runs
+ * Runs tools inside a dry-run request context against a stubbed Storefront API and checks that
+ * reads are sent, writes (including logins) are recorded instead with credentials redacted,
+ * and nothing is added to the undo journal
+ */
+
+import { RechargeClient } from '../src/recharge-client.js';
+import { subscriptionTools } from '../src/tools/subscription-tools.js';
+import { DryRunRecorder } from '../src/utils/dry-run.js';
+import { runWithRequestContext } from '../src/utils/request-context.js';
+import { runUndoable } from '../src/utils/undo-journal.js';
+
+const SESSION_TOKEN = 'st_dry_run_secret_token';
+const updateSubscription = subscriptionTools.find(tool => tool.name === 'update_subscription');
+
+/**
+ * Create a client whose Storefront API records what is actually sent
+ */
+function createStubbedClient() {
+  const client = new RechargeClient({ storeUrl: 'dry-run-test.myshopify.com', sessionToken: SESSION_TOKEN });
+  const sent = [];
+
+  client.storefrontApi.request = async (config) => {
+    sent.push(`${config.method} ${config.url}`);
+    return { data: { subscription: { id: 123, quantity: 2, updated_at: '2026-10-01T10:00:00' } } };
+  };
+
+  return { client, sent };
+}
+
+/**
+ * Run a function as a dry-run tool call
+ */
+function dryRunCall(toolName, fn) {
+  const dryRun = new DryRunRecorder();
+  const context = { toolName, dryRun, currentResources: new Map() };
+  return runWithRequestContext(context, fn).then(result => ({ result, dryRun }));
+}
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`❌ ${message}`);
+  }
+}
+
+(async () => {
+  console.log('🧪 Testing dry runs\n');
+
+  // Test 1: an update reads but doesn't write
+  console.log('Test 1: writes are recorded, reads are sent');
+  {
+    const { client, sent } = createStubbedClient();
+    const args = updateSubscription.inputSchema.parse({ subscription_id: '123', quantity: 3 });
+    const { result, dryRun } = await dryRunCall('update_subscription', () => runUndoable(
+      updateSubscription,
+      client,
+      args,
+      () => updateSubscription.execute(client, args)
+    ));
+
+    check(sent.every(request => request.startsWith('GET')), `Only reads were sent (got ${sent.join(', ')})`);
+    check(dryRun.requests.length === 1, 'One write was recorded');
+
+    const [request] = dryRun.requests;
+    check(request.method === 'PUT' && request.endpoint === '/subscriptions/123', 'It is the PUT to the subscription');
+    check(request.body.quantity === 3, 'The body holds the new quantity');
+    check(!JSON.stringify(request).includes(SESSION_TOKEN), 'The session token is redacted');
+    check(!result?._meta?.undo, 'Nothing was added to the undo journal');
+  }
+
+  // Test 2: login and passwordless requests are recorded too
+  console.log('\nTest 2: auth requests are recorded');
+  {
+    const { client, sent } = createStubbedClient();
+    const { dryRun } = await dryRunCall('send_passwordless_code', async () => {
+      await client.sendPasswordlessCode(' ann@example.com ');
+      await client.validatePasswordlessCode('ann@example.com', 'st_passwordless_session', '123456');
+    });
+
+    check(sent.length === 0, 'Nothing was sent');
+    check(dryRun.requests.map(request => request.endpoint).join() === '/passwordless/send-code,/passwordless/validate-code', 'Both passwordless requests were recorded');
+    check(dryRun.requests[0].body.email === 'ann@example.com', 'The email is shown, trimmed');
+    check(!JSON.stringify(dryRun.requests).includes('st_passwordless_session'), 'Token fields in the body are redacted');
+  }
+
+  // Test 3: the result lists what would be sent
+  console.log('\nTest 3: dry-run result');
+  {
+    const recorder = new DryRunRecorder();
+    recorder.record('https://api.rechargeapps.com', {
+      method: 'POST',
+      url: '/onetimes',
+      headers: { 'X-Recharge-Access-Token': SESSION_TOKEN, 'Idempotency-Key': 'auto-1.1' },
+      data: { quantity: 1 },
+    });
+    const result = recorder.toResult('create_onetime');
+    const text = result.content[0].text;
+
+    check(text.includes('create_onetime was not executed') && text.includes('POST https://api.rechargeapps.com/onetimes'), 'The text names the tool and the request');
+    check(!text.includes(SESSION_TOKEN) && text.includes('auto-1.1'), 'Credentials are redacted, other headers kept');
+    check(result._meta.dryRun.requests.length === 1, 'The requests are in _meta.dryRun');
+    check(new DryRunRecorder().toResult('get_orders').content[0].text.includes('would not send any write requests'), 'A call without writes says so');
+  }
+
+  console.log(failures === 0
+    ? '\n🎉 Dry run tests passed'
+    : `\n❌ ${failures} dry run check(s) failed`);
+
+  process.exit(failures === 0 ? 0 : 1);
+})();
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Smoke test for the HTTP transport
+ * Starts the server's HTTP transport on an ephemeral port, initializes a Streamable HTTP session,
+ * reuses it, ends it with DELETE and checks /health (including that customer emails are counted
+ * once however they are spelled), then checks that a session failing while
+ * initializing is closed and that the transport shuts down cleanly
+ */
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { startHttpTransport } from '../src/http-transport.js';
+import { createServer, getHealthStatus } from '../src/server.js';
+
+const INITIALIZE_REQUEST = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: {
+    protocolVersion: '2025-06-18',
+    capabilities: {},
+    clientInfo: { name: 'http-transport-test', version: '1.0.0' },
+  },
+};
+
+/**
+ * Reject if a promise does not settle in time, so a hung transport fails the test instead of blocking it
+ */
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} did not finish within ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`❌ ${message}`);
+  }
+}
+
+(async () => {
+  console.log('🧪 Testing the HTTP transport\n');
+
+  const handle = await startHttpTransport(createServer, {
+    host: '127.0.0.1',
+    port: 0,
+    getHealthStatus,
+  });
+  const baseUrl = `http://127.0.0.1:${handle.httpServer.address().port}`;
+
+  try {
+    // Test 1: initialize, reuse and end a session
+    console.log('Test 1: Streamable HTTP session lifecycle');
+    {
+      const transport = new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`));
+      const client = new Client({ name: 'http-transport-test', version: '1.0.0' });
+      await withTimeout(client.connect(transport), 10000, 'initialize');
+
+      const sessionId = transport.sessionId;
+      check(Boolean(sessionId) && handle.sessions.has(sessionId), 'Initialize creates a session');
+
+      const first = await withTimeout(client.listTools(), 10000, 'tools/list');
+      const second = await withTimeout(client.listTools(), 10000, 'tools/list');
+      check(first.tools.length > 0 && second.tools.length === first.tools.length, 'Requests with the session ID are served');
+      check(handle.sessions.size === 1, 'They reuse the session instead of creating new ones');
+
+      const health = await (await fetch(`${baseUrl}/health`)).json();
+      check(health.status === 'healthy' && health.activeSessions === 1, '/health reports the active session');
+
+      const auth = { store_url: 'http-transport-test.myshopify.com', admin_token: 'http_transport_test_admin_token' };
+      const results = [];
+      for (const customerEmail of ['ann@example.com', 'ann@EXAMPLE.com']) {
+        results.push(await withTimeout(client.callTool({ name: 'get_session_cache_stats', arguments: { ...auth, customer_email: customerEmail } }), 10000, 'tools/call'));
+      }
+      const { uniqueCustomers } = await (await fetch(`${baseUrl}/health`)).json();
+      check(results.every(result => !result.isError), 'Tool calls are served');
+      check(uniqueCustomers === 1, `Emails are normalized before customers are counted (got ${uniqueCustomers})`);
+
+      await withTimeout(transport.terminateSession(), 10000, 'DELETE');
+      check(!handle.sessions.has(sessionId), 'DELETE ends the session');
+
+      const stale = await fetch(`${baseUrl}/mcp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', 'mcp-session-id': sessionId },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' }),
+      });
+      check(stale.status === 400, 'The ended session ID is refused');
+      await client.close();
+    }
+
+    // Test 2: a session that fails while initializing is closed
+    console.log('\nTest 2: failed initialization');
+    {
+      const closed = [];
+      const failing = await startHttpTransport(() => {
+        const server = createServer();
+        server.connect = async () => {
+          throw new Error('connect failed');
+        };
+        const close = server.close.bind(server);
+        server.close = async () => {
+          closed.push('server');
+          return close();
+        };
+        return server;
+      }, { host: '127.0.0.1', port: 0 });
+
+      const consoleError = console.error;
+      console.error = () => {};
+      let response;
+      try {
+        response = await fetch(`http://127.0.0.1:${failing.httpServer.address().port}/mcp`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+          body: JSON.stringify(INITIALIZE_REQUEST),
+        });
+      } finally {
+        console.error = consoleError;
+      }
+
+      check(response.status === 500, 'The initialize request gets a 500');
+      check(closed.includes('server') && failing.sessions.size === 0, 'Its server is closed and no session is kept');
+      await withTimeout(failing.close(), 5000, 'close');
+    }
+  } finally {
+    // Test 3: close() ends every connection and stops listening
+    console.log('\nTest 3: shutdown');
+    const transport = new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`));
+    const client = new Client({ name: 'http-transport-test', version: '1.0.0' });
+    await withTimeout(client.connect(transport), 10000, 'initialize');
+
+    await withTimeout(handle.close(), 5000, 'close').then(
+      () => check(!handle.httpServer.listening && handle.sessions.size === 0, 'close() ends the open session and stops listening'),
+      error => check(false, error.message)
+    );
+    await client.close().catch(() => {});
+  }
+
+  console.log(failures === 0
+    ? '\n🎉 HTTP transport tests passed'
+    : `\n❌ ${failures} HTTP transport check(s) failed`);
+
+  process.exit(failures === 0 ? 0 : 1);
+})();
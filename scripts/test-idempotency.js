@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for idempotent writes
+ * Runs update_customer through the idempotency journal the way the server does, against
+ * stubbed Storefront APIs, and checks replays, scope invalidation, customer isolation and which
+ * requests carry an Idempotency-Key header
+ */
+
+import { RechargeClient } from '../src/recharge-client.js';
+import { customerTools } from '../src/tools/customer-tools.js';
+import {
+  IDEMPOTENCY_KEY_HEADER,
+  IdempotencyJournal,
+  acceptsIdempotencyKey,
+  deriveIdempotencyKey,
+  getIdempotencyScope,
+} from '../src/utils/idempotency.js';
+import { runWithRequestContext } from '../src/utils/request-context.js';
+
+const DOMAIN = 'idempotency-test.myshopify.com';
+const updateCustomer = customerTools.find(tool => tool.name === 'update_customer');
+
+/**
+ * Create a client for one session token whose Storefront API records the writes it receives
+ */
+function createStubbedClient(sessionToken, customerId) {
+  const client = new RechargeClient({ storeUrl: DOMAIN, sessionToken });
+  const writes = [];
+
+  client.storefrontApi.request = async (config) => {
+    if (config.method === 'GET' && config.url === '/customer') {
+      return { data: { customer: { id: customerId, first_name: 'Old' } } };
+    }
+    if (config.method === 'PUT' && config.url === '/customer') {
+      writes.push(config);
+      return { data: { customer: { id: customerId, ...config.data } } };
+    }
+    throw new Error(`Unexpected request: ${config.method} ${config.url}`);
+  };
+
+  return { client, writes };
+}
+
+/**
+ * Call a tool the way handleCallTool does: derived or given key, journal, request context
+ */
+function callTool(journal, tool, client, args, { sessionToken, idempotencyKey } = {}) {
+  const scope = getIdempotencyScope(DOMAIN, args, { sessionToken });
+  const key = idempotencyKey || deriveIdempotencyKey(tool.name, scope, args);
+  const call = { toolName: tool.name, domain: DOMAIN, scope, derived: !idempotencyKey };
+  const context = { toolName: tool.name, idempotency: { key, requestCount: 0 } };
+
+  return runWithRequestContext(context, () => journal.run(key, call, () => tool.execute(client, args)));
+}
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`❌ ${message}`);
+  }
+}
+
+(async () => {
+  console.log('🧪 Testing idempotent writes\n');
+
+  // Test 1: repeating the same call replays the first result
+  console.log('Test 1: duplicate call is replayed');
+  {
+    const journal = new IdempotencyJournal();
+    const { client, writes } = createStubbedClient('st_idempotency_customer_a', 1001);
+    const args = { first_name: 'New' };
+
+    const first = await callTool(journal, updateCustomer, client, args, { sessionToken: 'st_idempotency_customer_a' });
+    const second = await callTool(journal, updateCustomer, client, args, { sessionToken: 'st_idempotency_customer_a' });
+
+    check(writes.length === 1, `One PUT sent for two identical calls (got ${writes.length})`);
+    check(first._meta.idempotency.replayed === false && second._meta.idempotency.replayed === true, 'Second call is marked as replayed');
+    check(/^auto-[0-9a-f]{32}\.1$/.test(writes[0].headers['Idempotency-Key']), 'The write carries the derived Idempotency-Key');
+  }
+
+  // Test 2: another change for the same customer ends the replay window of a derived key
+  console.log('\nTest 2: a different change in the same scope invalidates the derived key');
+  {
+    const journal = new IdempotencyJournal();
+    const { client, writes } = createStubbedClient('st_idempotency_customer_a', 1001);
+    const options = { sessionToken: 'st_idempotency_customer_a' };
+
+    await callTool(journal, updateCustomer, client, { first_name: 'New' }, options);
+    await callTool(journal, updateCustomer, client, { first_name: 'Old' }, options);
+    const third = await callTool(journal, updateCustomer, client, { first_name: 'New' }, options);
+
+    check(writes.length === 3, `New, Old, New sends three PUTs (got ${writes.length})`);
+    check(third._meta.idempotency.replayed === false, 'Third call was executed, not replayed');
+  }
+
+  // Test 3: two customers authenticated by session token make the same call
+  console.log('\nTest 3: identical calls from two sessions both execute');
+  {
+    const journal = new IdempotencyJournal();
+    const customerA = createStubbedClient('st_idempotency_customer_a', 1001);
+    const customerB = createStubbedClient('st_idempotency_customer_b', 2002);
+    const args = { first_name: 'New' };
+
+    const resultA = await callTool(journal, updateCustomer, customerA.client, args, { sessionToken: 'st_idempotency_customer_a' });
+    const resultB = await callTool(journal, updateCustomer, customerB.client, args, { sessionToken: 'st_idempotency_customer_b' });
+
+    check(customerA.writes.length === 1 && customerB.writes.length === 1, 'Each customer\'s PUT was sent');
+    check(resultB._meta.idempotency.replayed === false, 'Customer B did not get a replay');
+    check(!JSON.stringify(resultB.content).includes('1001'), 'Customer B\'s result holds none of customer A\'s data');
+    check(resultA._meta.idempotency.key !== resultB._meta.idempotency.key, 'Derived keys differ between the sessions');
+  }
+
+  // Test 4: a caller-supplied key is only matched within the caller's scope
+  console.log('\nTest 4: the same idempotency_key from two sessions both execute');
+  {
+    const journal = new IdempotencyJournal();
+    const customerA = createStubbedClient('st_idempotency_customer_a', 1001);
+    const customerB = createStubbedClient('st_idempotency_customer_b', 2002);
+    const args = { first_name: 'New' };
+
+    await callTool(journal, updateCustomer, customerA.client, args, { sessionToken: 'st_idempotency_customer_a', idempotencyKey: 'rename-1' });
+    const resultB = await callTool(journal, updateCustomer, customerB.client, args, { sessionToken: 'st_idempotency_customer_b', idempotencyKey: 'rename-1' });
+    const repeatB = await callTool(journal, updateCustomer, customerB.client, args, { sessionToken: 'st_idempotency_customer_b', idempotencyKey: 'rename-1' });
+
+    check(customerB.writes.length === 1 && resultB._meta.idempotency.replayed === false, 'Customer B\'s first call was executed');
+    check(repeatB._meta.idempotency.replayed === true, 'Customer B\'s repeat with the same key is replayed');
+  }
+
+  // Test 5: the admin token and customer are part of the scope
+  console.log('\nTest 5: scope covers admin token and customer');
+  {
+    const byId = getIdempotencyScope(DOMAIN, { customer_id: '1' }, { adminToken: 'admin_one' });
+    check(byId !== getIdempotencyScope(DOMAIN, { customer_id: '1' }, { adminToken: 'admin_two' }), 'Different admin tokens give different scopes');
+    check(byId !== getIdempotencyScope(DOMAIN, { customer_id: '2' }, { adminToken: 'admin_one' }), 'Different customers give different scopes');
+    check(
+      getIdempotencyScope(DOMAIN, { customer_email: ' ann@Example.COM' }) === getIdempotencyScope(DOMAIN, { customer_email: 'ann@example.com' }),
+      'Customer email domains are compared case-insensitively'
+    );
+    check(
+      getIdempotencyScope(DOMAIN, { customer_email: 'Ann@example.com' }) !== getIdempotencyScope(DOMAIN, { customer_email: 'ann@example.com' }),
+      'The local part is case-sensitive by default, as in the session cache'
+    );
+    process.env.RECHARGE_EMAIL_CASE_INSENSITIVE_STORES = DOMAIN;
+    check(
+      getIdempotencyScope(DOMAIN, { customer_email: 'Ann@example.com' }) === getIdempotencyScope(DOMAIN, { customer_email: 'ann@example.com' }),
+      'Stores configured in RECHARGE_EMAIL_CASE_INSENSITIVE_STORES ignore the local part\'s case'
+    );
+    delete process.env.RECHARGE_EMAIL_CASE_INSENSITIVE_STORES;
+  }
+
+  // Test 6: only endpoints that honor Idempotency-Key are sent one
+  console.log('\nTest 6: Idempotency-Key is only sent where it is honored');
+  {
+    check(acceptsIdempotencyKey('PUT', '/subscriptions/123') && acceptsIdempotencyKey('post', '/addresses'), 'Resource creates and updates accept it');
+    check(!acceptsIdempotencyKey('GET', '/customer'), 'Reads do not');
+    check(
+      !['/sessions', '/sessions/portal', '/passwordless/send-code', '/charges/1/process', '/onetimes'].some(endpoint => acceptsIdempotencyKey('POST', endpoint)),
+      'Logins, passwordless codes, charge processing and one-time purchases do not'
+    );
+
+    const client = new RechargeClient({ storeUrl: DOMAIN, sessionToken: 'st_idempotency_customer_a' });
+    const sent = [];
+    client.storefrontApi.request = async (config) => {
+      sent.push(config);
+      return { data: { session_token: 'st_new', charge: { id: 1 } } };
+    };
+    const context = { toolName: 'test', idempotency: { key: 'header-test', requestCount: 0 } };
+    await runWithRequestContext(context, async () => {
+      await client.loginShopifyAppProxy();
+      await client.sendPasswordlessCode('ann@example.com');
+      await client.post('/charges/1/process', {});
+      await client.updateSubscription('1', { quantity: 2 });
+    });
+
+    check(sent.slice(0, 3).every(config => !config.headers[IDEMPOTENCY_KEY_HEADER]), 'Login, passwordless and process charge requests are sent without it');
+    check(sent[3].headers[IDEMPOTENCY_KEY_HEADER] === 'header-test.1', 'The subscription update carries the first request key');
+  }
+
+  console.log(failures === 0
+    ? '\n🎉 Idempotency tests passed'
+    : `\n❌ ${failures} idempotency check(s) failed`);
+
+  process.exit(failures === 0 ? 0 : 1);
+})();
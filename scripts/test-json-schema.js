@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the tools' JSON Schemas
+ * Converts every tool's input schema, and checks that the refinement rules of update_subscription
+ * and swap_subscription accept and reject the same calls as the Zod schemas when validated with
+ * JSON Schema 2020-12
+ */
+
+import Ajv2020 from 'ajv/dist/2020.js';
+import { tools } from '../src/tools/index.js';
+import { zodToJsonSchema } from '../src/utils/json-schema.js';
+
+const ajv = new Ajv2020({ strict: false, validateFormats: false, allErrors: true });
+const getTool = name => tools.find(tool => tool.name === name);
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`❌ ${message}`);
+  }
+}
+
+/**
+ * Check that JSON Schema validation and the Zod schema agree on a call
+ */
+function checkAgreement(tool, validate, args, expectedValid, message) {
+  const jsonValid = validate(args);
+  const zodValid = tool.inputSchema.safeParse(args).success;
+  check(jsonValid === expectedValid && zodValid === expectedValid, `${message} (JSON Schema ${jsonValid}, Zod ${zodValid})`);
+}
+
+(async () => {
+  console.log('🧪 Testing tool JSON Schemas\n');
+
+  // Test 1: every tool converts to a valid object schema
+  console.log('Test 1: every input schema converts');
+  {
+    const problems = [];
+    for (const tool of tools) {
+      try {
+        const jsonSchema = zodToJsonSchema(tool.inputSchema);
+        if (jsonSchema.type !== 'object' || '$schema' in jsonSchema) {
+          problems.push(`${tool.name}: not a plain object schema`);
+        }
+        ajv.compile(jsonSchema);
+      } catch (error) {
+        problems.push(`${tool.name}: ${error.message}`);
+      }
+    }
+    check(problems.length === 0, `${tools.length} schemas compile as JSON Schema 2020-12${problems.length ? `: ${problems.join('; ')}` : ''}`);
+
+    const getSubscriptions = zodToJsonSchema(getTool('get_subscriptions').inputSchema);
+    check(getSubscriptions.properties.customer_email.format === 'email', 'Formats are kept');
+    check(!('additionalProperties' in getSubscriptions), 'Unknown arguments are not rejected, like the Zod schemas');
+  }
+
+  // Test 2: update_subscription refinements
+  console.log('\nTest 2: update_subscription rules');
+  {
+    const tool = getTool('update_subscription');
+    const jsonSchema = zodToJsonSchema(tool.inputSchema);
+    const validate = ajv.compile(jsonSchema);
+
+    check(Array.isArray(jsonSchema.anyOf) && jsonSchema.dependentRequired && jsonSchema.allOf?.length === 3, 'anyOf, dependentRequired and allOf rules are present');
+    checkAgreement(tool, validate, { subscription_id: '1' }, false, 'At least one field to update is required');
+    checkAgreement(tool, validate, { subscription_id: '1', quantity: 2 }, true, 'A single field is enough');
+    checkAgreement(tool, validate, { subscription_id: '1', order_interval_frequency: 2 }, false, 'Frequency needs a unit');
+    checkAgreement(tool, validate, { subscription_id: '1', order_interval_frequency: 60, order_interval_unit: 'day' }, true, '60 days is allowed');
+    checkAgreement(tool, validate, { subscription_id: '1', order_interval_frequency: 91, order_interval_unit: 'day' }, false, '91 days is rejected');
+    checkAgreement(tool, validate, { subscription_id: '1', order_interval_frequency: 13, order_interval_unit: 'month' }, false, '13 months is rejected');
+  }
+
+  // Test 3: swap_subscription property rule
+  console.log('\nTest 3: swap_subscription rules');
+  {
+    const tool = getTool('swap_subscription');
+    const validate = ajv.compile(zodToJsonSchema(tool.inputSchema));
+
+    checkAgreement(tool, validate, { subscription_id: '1', variant_id: 0 }, false, 'variant_id 0 is rejected');
+    checkAgreement(tool, validate, { subscription_id: '1', variant_id: 42 }, true, 'A positive variant_id is allowed');
+  }
+
+  console.log(failures === 0
+    ? '\n🎉 JSON Schema tests passed'
+    : `\n❌ ${failures} JSON Schema check(s) failed`);
+
+  process.exit(failures === 0 ? 0 : 1);
+})();
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the token bucket rate limiter
+ * Checks bursts, FIFO queueing at the refill rate, cancellation of queued requests and that a
+ * cancelled tool call waiting for a token never reaches the API
+ */
+
+import { RechargeClient } from '../src/recharge-client.js';
+import { TokenBucket, StoreRateLimiters } from '../src/utils/rate-limiter.js';
+import { runWithRequestContext } from '../src/utils/request-context.js';
+import { isCancellationError } from '../src/utils/error-handler.js';
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`❌ ${message}`);
+  }
+}
+
+(async () => {
+  console.log('🧪 Testing the rate limiter\n');
+
+  // Test 1: a burst up to capacity goes through at once, the rest queue in order
+  console.log('Test 1: burst and FIFO queue');
+  {
+    const bucket = new TokenBucket({ capacity: 2, refillPerSecond: 20 });
+    const order = [];
+    const startedAt = Date.now();
+
+    const waits = await Promise.all([1, 2, 3, 4].map(n => bucket.acquire().then(waitMs => {
+      order.push(n);
+      return waitMs;
+    })));
+    const elapsedMs = Date.now() - startedAt;
+
+    check(waits[0] === 0 && waits[1] === 0, 'The first two requests use the burst');
+    check(order.join() === '1,2,3,4', `Queued requests are released in order (got ${order.join()})`);
+    check(elapsedMs >= 90 && elapsedMs < 400, `Two queued requests at 20/s take about 100ms (took ${elapsedMs}ms)`);
+
+    const stats = bucket.getStats();
+    check(stats.totalRequests === 4 && stats.queuedRequests === 2 && stats.queueDepth === 0, 'Stats count queued requests and an empty queue');
+  }
+
+  // Test 2: cancelling a queued request removes it without blocking the others
+  console.log('\nTest 2: cancellation while queued');
+  {
+    const bucket = new TokenBucket({ capacity: 1, refillPerSecond: 10 });
+    await bucket.acquire();
+
+    const controller = new AbortController();
+    const cancelled = bucket.acquire(controller.signal).then(() => 'acquired', error => error);
+    const next = bucket.acquire();
+    check(bucket.getStats().queueDepth === 2, 'Both requests are queued');
+
+    controller.abort();
+    const error = await cancelled;
+    check(isCancellationError(error), 'The cancelled request rejects with REQUEST_CANCELLED');
+    check(bucket.getStats().queueDepth === 1, 'It leaves the queue right away');
+
+    const waitMs = await next;
+    check(waitMs < 250, `The next request gets the freed token (waited ${waitMs}ms)`);
+
+    const preAborted = new AbortController();
+    preAborted.abort();
+    check(isCancellationError(await bucket.acquire(preAborted.signal).catch(caught => caught)), 'An already cancelled request is rejected');
+  }
+
+  // Test 3: buckets per store and API, and disabling
+  console.log('\nTest 3: buckets per store and API');
+  {
+    const limiters = new StoreRateLimiters({
+      admin: { capacity: 1, refillPerSecond: 1 },
+      storefront: { capacity: 5, refillPerSecond: 0 },
+    });
+
+    check(limiters.getBucket('Shop.myshopify.com', 'admin') === limiters.getBucket('shop.myshopify.com', 'admin'), 'Domains share a bucket regardless of case');
+    check(limiters.getBucket('shop.myshopify.com', 'admin') !== limiters.getBucket('shop.myshopify.com', 'storefront'), 'Admin and Storefront APIs have separate buckets');
+    check(limiters.getBucket('shop.myshopify.com', 'admin') !== limiters.getBucket('other.myshopify.com', 'admin'), 'Each store has its own bucket');
+
+    const unlimited = limiters.getBucket('shop.myshopify.com', 'storefront');
+    const waits = await Promise.all(Array.from({ length: 20 }, () => unlimited.acquire()));
+    check(waits.every(waitMs => waitMs === 0), 'A refill rate of 0 disables limiting');
+  }
+
+  // Test 4: a tool call cancelled while waiting for a token sends nothing
+  console.log('\nTest 4: cancelled tool call never reaches the API');
+  {
+    const client = new RechargeClient({ storeUrl: 'rate-limit-test.myshopify.com', sessionToken: 'st_rate_limit_test' });
+    client.storefrontLimiter = new TokenBucket({ capacity: 1, refillPerSecond: 0.5 });
+    let requests = 0;
+    client.storefrontApi.request = async () => {
+      requests++;
+      return { data: { subscription: { id: 1 } } };
+    };
+
+    const controller = new AbortController();
+    const first = runWithRequestContext({ toolName: 'get_subscription' }, () => client.getSubscription('1'));
+    const second = runWithRequestContext(
+      { toolName: 'get_subscription', signal: controller.signal },
+      () => client.getSubscription('1')
+    ).catch(error => error);
+
+    await first;
+    setTimeout(() => controller.abort(), 20);
+    const error = await second;
+
+    check(isCancellationError(error), 'The queued call fails with REQUEST_CANCELLED');
+    check(requests === 1, `Only the first call was sent (got ${requests})`);
+  }
+
+  console.log(failures === 0
+    ? '\n🎉 Rate limiter tests passed'
+    : `\n❌ ${failures} rate limiter check(s) failed`);
+
+  process.exit(failures === 0 ? 0 : 1);
+})();
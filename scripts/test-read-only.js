@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for read-only mode
+ * Sends requests through RechargeClient's real axios pipeline with a stubbed adapter and checks
+ * that every Storefront API write is refused before it is sent, including logins, while reads
+ * still work; also checks which tools read-only mode hides
+ */
+
+import { RechargeClient } from '../src/recharge-client.js';
+import { tools } from '../src/tools/index.js';
+import { isMutatingTool } from '../src/utils/idempotency.js';
+import { setReadOnlyMode } from '../src/utils/read-only.js';
+
+/**
+ * Create a client whose Storefront API adapter records what reaches the network
+ */
+function createStubbedClient() {
+  const client = new RechargeClient({ storeUrl: 'read-only-test.myshopify.com', sessionToken: 'st_read_only_test' });
+  const sent = [];
+
+  client.storefrontApi.defaults.adapter = async (config) => {
+    sent.push(`${config.method.toUpperCase()} ${config.url}`);
+    return { data: { subscription: { id: 1 }, session_token: 'st_new' }, status: 200, statusText: 'OK', headers: {}, config };
+  };
+
+  return { client, sent };
+}
+
+/**
+ * Run a client call and return the error code, or 'ok'
+ */
+async function attempt(call) {
+  try {
+    await call();
+    return 'ok';
+  } catch (error) {
+    return error.errorCode || error.message;
+  }
+}
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`❌ ${message}`);
+  }
+}
+
+(async () => {
+  console.log('🧪 Testing read-only mode\n');
+
+  // Test 1: writes are refused before they are sent
+  console.log('Test 1: Storefront API writes are refused');
+  {
+    setReadOnlyMode(true);
+    const { client, sent } = createStubbedClient();
+
+    check(await attempt(() => client.updateSubscription('1', { quantity: 2 })) === 'READ_ONLY_MODE', 'update_subscription\'s PUT is refused');
+    check(await attempt(() => client.loginShopifyAppProxy()) === 'READ_ONLY_MODE', 'Login POST /sessions is refused');
+    check(await attempt(() => client.sendPasswordlessCode('ann@example.com')) === 'READ_ONLY_MODE', 'Passwordless code POST is refused');
+    check(sent.length === 0, `Nothing reached the network (got ${sent.join(', ') || 'none'})`);
+
+    check(await attempt(() => client.getSubscription('1')) === 'ok' && sent.join() === 'GET /subscriptions/1', 'Reads are sent');
+  }
+
+  // Test 2: outside read-only mode the same writes go through
+  console.log('\nTest 2: writes are sent when read-only mode is off');
+  {
+    setReadOnlyMode(false);
+    const { client, sent } = createStubbedClient();
+
+    check(await attempt(() => client.updateSubscription('1', { quantity: 2 })) === 'ok', 'The PUT succeeds');
+    check(sent.join() === 'PUT /subscriptions/1', 'It was sent');
+  }
+
+  // Test 3: which tools read-only mode hides
+  console.log('\nTest 3: tools that change data are treated as writes');
+  {
+    const isWrite = name => isMutatingTool(tools.find(tool => tool.name === name));
+
+    check(['update_subscription', 'cancel_subscription', 'create_address', 'undo_action'].every(isWrite), 'Update, cancel, create and undo tools change data');
+    check(['login_shopify_app_proxy', 'send_passwordless_code', 'validate_passwordless_code'].every(isWrite), 'Login and passwordless tools change data');
+    check(!['get_subscriptions', 'get_customer', 'list_recent_actions', 'create_customer_session_by_id'].some(isWrite), 'Reads and session creation stay available');
+  }
+
+  console.log(failures === 0
+    ? '\n🎉 Read-only tests passed'
+    : `\n❌ ${failures} read-only check(s) failed`);
+
+  process.exit(failures === 0 ? 0 : 1);
+})();
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the retry policy
+ * Checks the jittered backoff bounds, Retry-After handling, which requests are retried, the
+ * time budget and cancellation during a backoff wait
+ */
+
+import { RetryPolicy } from '../src/utils/retry-policy.js';
+import { IDEMPOTENCY_KEY_HEADER } from '../src/utils/idempotency.js';
+import { isCancellationError } from '../src/utils/error-handler.js';
+
+/**
+ * Create an axios-style HTTP error
+ */
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.request = {};
+  error.response = { status, headers };
+  return error;
+}
+
+/**
+ * Create an axios-style network error (no response)
+ */
+function networkError(code) {
+  const error = new Error(code);
+  error.request = {};
+  error.code = code;
+  return error;
+}
+
+/**
+ * Create a send function that fails with the given errors, then succeeds
+ */
+function failingThenOk(errors) {
+  const send = async () => {
+    send.calls++;
+    if (errors.length > 0) {
+      throw errors.shift();
+    }
+    return { status: 200, data: { ok: true } };
+  };
+  send.calls = 0;
+  return send;
+}
+
+/**
+ * Run with Math.random fixed to a value
+ */
+function withRandom(value, fn) {
+  const random = Math.random;
+  Math.random = () => value;
+  try {
+    return fn();
+  } finally {
+    Math.random = random;
+  }
+}
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`❌ ${message}`);
+  }
+}
+
+(async () => {
+  console.log('🧪 Testing the retry policy\n');
+
+  // Test 1: equal jitter stays within half and all of the exponential delay
+  console.log('Test 1: jittered exponential backoff');
+  {
+    const policy = new RetryPolicy({ baseDelayMs: 100, maxDelayMs: 1000 });
+    const error = httpError(503);
+
+    check(withRandom(0, () => policy.getDelayMs(error, 1)) === 50 && withRandom(1, () => policy.getDelayMs(error, 1)) === 100, 'First retry waits 50-100ms');
+    check(withRandom(0, () => policy.getDelayMs(error, 3)) === 200 && withRandom(1, () => policy.getDelayMs(error, 3)) === 400, 'Third retry waits 200-400ms');
+    check(withRandom(1, () => policy.getDelayMs(error, 10)) === 1000, 'Backoff is capped at maxDelayMs');
+
+    const delays = Array.from({ length: 50 }, () => policy.getDelayMs(error, 2));
+    check(delays.every(delay => delay >= 100 && delay <= 200) && new Set(delays).size > 1, 'Random delays vary within the bounds');
+  }
+
+  // Test 2: Retry-After replaces the computed backoff
+  console.log('\nTest 2: Retry-After header');
+  {
+    const policy = new RetryPolicy({ baseDelayMs: 100 });
+
+    check(policy.getDelayMs(httpError(429, { 'retry-after': '2' }), 1) === 2000, 'Delta-seconds are used as given');
+    const dateDelay = policy.getDelayMs(httpError(429, { 'retry-after': new Date(Date.now() + 3000).toUTCString() }), 1);
+    check(dateDelay > 1000 && dateDelay <= 3000, `An HTTP date waits until then (got ${dateDelay}ms)`);
+    check(policy.getRetryAfterMs(httpError(429, { 'retry-after': 'soon' })) === null, 'An unparseable value falls back to backoff');
+  }
+
+  // Test 3: which failures and requests are retried
+  console.log('\nTest 3: retry decisions');
+  {
+    const policy = new RetryPolicy({ baseDelayMs: 1, maxDelayMs: 2 });
+
+    const get = failingThenOk([httpError(503), httpError(429)]);
+    const response = await policy.execute(get, { method: 'get', url: '/subscriptions' });
+    check(response.status === 200 && get.calls === 3, 'GET is retried through 503 and 429');
+
+    const badRequest = failingThenOk([httpError(422)]);
+    const error = await policy.execute(badRequest, { method: 'get', url: '/subscriptions' }).catch(caught => caught);
+    check(badRequest.calls === 1 && error.response.status === 422 && error.retryAttempts === 0, 'A 422 is not retried');
+
+    const post = failingThenOk([httpError(503)]);
+    await policy.execute(post, { method: 'post', url: '/onetimes' }).catch(() => {});
+    check(post.calls === 1, 'POST without an idempotency key is not retried');
+
+    const keyedPost = failingThenOk([httpError(503)]);
+    await policy.execute(keyedPost, { method: 'post', url: '/addresses', headers: { [IDEMPOTENCY_KEY_HEADER]: 'key-1' } });
+    check(keyedPost.calls === 2, 'POST with an idempotency key to an endpoint that honors it is retried');
+
+    const processCharge = failingThenOk([httpError(502)]);
+    await policy.execute(processCharge, { method: 'post', url: '/charges/1/process', headers: { [IDEMPOTENCY_KEY_HEADER]: 'key-2' } }).catch(() => {});
+    const createOnetime = failingThenOk([httpError(504)]);
+    await policy.execute(createOnetime, { method: 'post', url: '/onetimes', headers: { [IDEMPOTENCY_KEY_HEADER]: 'key-3' } }).catch(() => {});
+    check(processCharge.calls === 1 && createOnetime.calls === 1, 'Keyed POSTs to endpoints that ignore the key (process charge, create one-time) are not retried');
+
+    const timedOutPost = failingThenOk([networkError('ECONNABORTED')]);
+    await policy.execute(timedOutPost, { method: 'post', url: '/addresses', headers: { [IDEMPOTENCY_KEY_HEADER]: 'key-4' } }).catch(() => {});
+    const timedOutPut = failingThenOk([networkError('ECONNABORTED')]);
+    await policy.execute(timedOutPut, { method: 'put', url: '/addresses/1' });
+    check(timedOutPost.calls === 1 && timedOutPut.calls === 2, 'A response timeout is retried for PUT but not for POST');
+
+    const exhausted = failingThenOk([httpError(503), httpError(503), httpError(503), httpError(503)]);
+    const lastError = await policy.execute(exhausted, { method: 'get', url: '/orders' }).catch(caught => caught);
+    check(exhausted.calls === 4 && lastError.retryAttempts === 3, 'Gives up after maxRetries and reports the attempts');
+  }
+
+  // Test 4: the budget stops waits that would run past it
+  console.log('\nTest 4: retry budget');
+  {
+    const policy = new RetryPolicy({ budgetMs: 1000 });
+    const send = failingThenOk([httpError(429, { 'retry-after': '5' })]);
+    const startedAt = Date.now();
+    const error = await policy.execute(send, { method: 'get', url: '/charges' }).catch(caught => caught);
+
+    check(send.calls === 1 && error.response.status === 429, 'A Retry-After past the budget is not waited for');
+    check(Date.now() - startedAt < 500, 'The error is returned right away');
+  }
+
+  // Test 5: cancelling cuts the backoff short
+  console.log('\nTest 5: cancellation during backoff');
+  {
+    const policy = new RetryPolicy({ baseDelayMs: 5000, maxDelayMs: 5000 });
+    const controller = new AbortController();
+    const send = failingThenOk([httpError(503)]);
+    const startedAt = Date.now();
+    setTimeout(() => controller.abort(), 50);
+
+    const error = await policy.execute(send, { method: 'get', url: '/charges', signal: controller.signal }).catch(caught => caught);
+    check(isCancellationError(error) && send.calls === 1, 'The wait ends with a cancellation error and no retry');
+    check(Date.now() - startedAt < 1000, 'Cancellation does not wait out the backoff');
+  }
+
+  console.log(failures === 0
+    ? '\n🎉 Retry policy tests passed'
+    : `\n❌ ${failures} retry policy check(s) failed`);
+
+  process.exit(failures === 0 ? 0 : 1);
+})();
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the session cache limits
+ * Checks that sessions beyond maxEntries are evicted by least recent use, that email mappings are
+ * bounded separately, and that the eviction counters are reported by get_session_cache_stats
+ */
+
+import { SessionCache } from '../src/utils/session-cache.js';
+import { utilityTools } from '../src/tools/utility-tools.js';
+
+const getSessionCacheStats = utilityTools.find(tool => tool.name === 'get_session_cache_stats');
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`❌ ${message}`);
+  }
+}
+
+(async () => {
+  console.log('🧪 Testing the session cache limits\n');
+
+  // Test 1: the least recently used session is evicted
+  console.log('Test 1: sessions are evicted by last use');
+  {
+    const cache = new SessionCache({ domain: 'cache-test.myshopify.com', maxEntries: 3 });
+    for (const id of ['1', '2', '3']) {
+      cache.setSessionToken(id, `st_${id}`, `customer${id}@example.com`);
+      await tick();
+    }
+
+    cache.getSessionToken('1');
+    await tick();
+    cache.setSessionToken('4', 'st_4', 'customer4@example.com');
+
+    check(cache.sessions.size === 3, `The cache holds maxEntries sessions (got ${cache.sessions.size})`);
+    check(!cache.hasValidSession('2'), 'Session 2, the least recently used, was evicted');
+    check(['1', '3', '4'].every(id => cache.hasValidSession(id)), 'Session 1 was kept because it was used again');
+    check(cache.sessionsEvicted === 1, 'One session eviction is counted');
+    check(cache.getCustomerIdByEmail('customer2@example.com') === '2', 'The evicted session keeps its email mapping');
+  }
+
+  // Test 2: email mappings have their own bound
+  console.log('\nTest 2: email mappings are bounded');
+  {
+    const cache = new SessionCache({ domain: 'cache-test.myshopify.com', maxEntries: 2 });
+    cache.setCustomerIdByEmail('ann@example.com', '1');
+    cache.setCustomerIdByEmail('bob@example.com', '2');
+    cache.getCustomerIdByEmail('ann@example.com');
+    cache.setCustomerIdByEmail('cy@example.com', '3');
+
+    check(cache.emailToCustomerId.size === 2, `The cache holds maxEntries email mappings (got ${cache.emailToCustomerId.size})`);
+    check(cache.getCustomerIdByEmail('bob@example.com') === null, 'The least recently looked up mapping was evicted');
+    check(cache.getCustomerIdByEmail('ann@example.com') === '1', 'A mapping looked up again was kept');
+    check(cache.emailMappingsEvicted === 1 && cache.sessionsEvicted === 0, 'Mapping evictions are counted separately');
+  }
+
+  // Test 3: a snapshot larger than the limit is trimmed on restore
+  console.log('\nTest 3: restoring under a lower limit');
+  {
+    const savedAt = Date.now();
+    const session = (id, minutesAgo) => [id, {
+      token: `st_${id}`,
+      email: null,
+      createdAt: new Date(savedAt - 60 * 60 * 1000).toISOString(),
+      lastUsed: new Date(savedAt - minutesAgo * 60 * 1000).toISOString(),
+      expiresAt: new Date(savedAt + 60 * 60 * 1000).toISOString(),
+    }];
+    const saved = [];
+    const store = {
+      load: () => ({ sessions: [session('1', 5), session('2', 30), session('3', 1)], emailMappings: [] }),
+      save: (namespace, snapshot) => saved.push(snapshot),
+    };
+
+    const cache = new SessionCache({ store, domain: 'cache-test.myshopify.com', maxEntries: 2 });
+    check(cache.sessions.size === 2 && !cache.hasValidSession('2'), 'The session used longest ago was dropped');
+    check(saved.length === 1 && saved[0].sessions.length === 2, 'The trimmed cache was written back to the store');
+  }
+
+  // Test 4: get_session_cache_stats reports the limit and the counters
+  console.log('\nTest 4: counters in get_session_cache_stats');
+  {
+    const cache = new SessionCache({ domain: 'cache-test.myshopify.com', apiUrl: 'https://api.rechargeapps.com', maxEntries: 1 });
+    cache.setSessionToken('1', 'st_1', 'ann@example.com');
+    await tick();
+    cache.setSessionToken('2', 'st_2', 'bob@example.com');
+
+    const stats = cache.getStats();
+    check(stats.maxEntries === 1 && stats.sessionsEvicted === 1 && stats.emailMappingsEvicted === 1, 'getStats reports the limit and both counters');
+
+    const result = await getSessionCacheStats.execute({ sessionCache: cache }, {});
+    const text = result.content[0].text;
+    check(text.includes('Cache limit: 1 sessions / 1 email mappings'), 'The tool shows the limit');
+    check(text.includes('Evicted (least recently used): 1 sessions, 1 email mappings'), 'The tool shows the eviction counters');
+  }
+
+  console.log(failures === 0
+    ? '\n🎉 Session cache tests passed'
+    : `\n❌ ${failures} session cache check(s) failed`);
+
+  process.exit(failures === 0 ? 0 : 1);
+})();
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for single-flight session creation
+ * Fires concurrent requests for one customer against a stubbed admin API and checks
+ * that they share a single customer lookup and a single admin session request
+ */
+
+import { RechargeClient } from '../src/recharge-client.js';
+
+const CONCURRENT_CALLS = 10;
+
+/**
+ * Create a client whose admin and storefront APIs are stubbed with request counters
+ */
+function createStubbedClient() {
+  const client = new RechargeClient({
+    storeUrl: 'single-flight-test.myshopify.com',
+    adminToken: 'sk_test_single_flight_admin_token',
+  });
+
+  const counts = { lookups: 0, sessions: 0, storefront: 0 };
+
+  client.adminApi.request = async (config) => {
+    // Let every concurrent caller reach the cache before the first response arrives
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    if (config.method === 'GET' && config.url === '/customers') {
+      counts.lookups++;
+      return { data: { customers: [{ id: 4242, email: config.params.email }] } };
+    }
+
+    if (config.method === 'POST' && config.url === '/customers/4242/sessions') {
+      counts.sessions++;
+      return { data: { customer_session: { apiToken: `st_single_flight_token_${counts.sessions}` } } };
+    }
+
+    throw new Error(`Unexpected admin request: ${config.method} ${config.url}`);
+  };
+
+  client.storefrontApi.request = async () => {
+    counts.storefront++;
+    return { data: { subscriptions: [] } };
+  };
+
+  return { client, counts };
+}
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`❌ ${message}`);
+  }
+}
+
+(async () => {
+  console.log('🧪 Testing single-flight session creation\n');
+
+  // Test 1: concurrent calls by customer ID
+  console.log(`Test 1: ${CONCURRENT_CALLS} concurrent calls by customer ID`);
+  {
+    const { client, counts } = createStubbedClient();
+    const tokens = await Promise.all(
+      Array.from({ length: CONCURRENT_CALLS }, () => client.getOrCreateSessionToken('4242'))
+    );
+
+    check(counts.sessions === 1, `Exactly one admin session request (got ${counts.sessions})`);
+    check(new Set(tokens).size === 1, 'Every caller received the same session token');
+    check(client.pendingSessions.size === 0, 'No in-flight session creation left behind');
+    client.sessionCache.clearAll();
+  }
+
+  // Test 2: concurrent tool-style requests by email
+  console.log(`\nTest 2: ${CONCURRENT_CALLS} concurrent requests by customer email`);
+  {
+    const { client, counts } = createStubbedClient();
+    await Promise.all(
+      Array.from({ length: CONCURRENT_CALLS }, () => client.getSubscriptions({}, null, 'parallel@example.com'))
+    );
+
+    check(counts.lookups === 1, `Exactly one customer lookup (got ${counts.lookups})`);
+    check(counts.sessions === 1, `Exactly one admin session request (got ${counts.sessions})`);
+    check(counts.storefront === CONCURRENT_CALLS, `Every request reached the storefront API (got ${counts.storefront})`);
+    check(client.pendingLookups.size === 0, 'No in-flight email lookup left behind');
+    client.sessionCache.clearAll();
+  }
+
+  // Test 3: a failed creation is shared, then retried by the next call
+  console.log('\nTest 3: failures are shared and not cached');
+  {
+    const { client, counts } = createStubbedClient();
+    const stubbedRequest = client.adminApi.request;
+    let failNext = true;
+    client.adminApi.request = async (config) => {
+      if (failNext) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        counts.sessions++;
+        const error = new Error('Request failed with status code 400');
+        error.response = { status: 400, data: { error: 'bad request' } };
+        throw error;
+      }
+      return stubbedRequest(config);
+    };
+
+    // Skip the backoff between session creation attempts
+    client.createAndValidateSession = async (customerId) => {
+      await client.createCustomerSessionById(customerId);
+    };
+
+    const results = await Promise.allSettled(
+      Array.from({ length: CONCURRENT_CALLS }, () => client.getOrCreateSessionToken('4242'))
+    );
+
+    check(results.every(result => result.status === 'rejected'), 'Every concurrent caller saw the failure');
+    check(counts.sessions === 1, `Failure came from a single admin request (got ${counts.sessions})`);
+    check(client.pendingSessions.size === 0, 'Failed creation was not left in flight');
+
+    failNext = false;
+    delete client.createAndValidateSession;
+    const token = await client.getOrCreateSessionToken('4242');
+    check(token === 'st_single_flight_token_2' && counts.sessions === 2, 'Next call after the failure creates a fresh session');
+    client.sessionCache.clearAll();
+  }
+
+  console.log(failures === 0
+    ? '\n🎉 Single-flight session tests passed'
+    : `\n❌ ${failures} single-flight session check(s) failed`);
+
+  process.exit(failures === 0 ? 0 : 1);
+})();
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the file session store
+ * Checks that snapshots are encrypted at rest and round-trip, that a wrong or missing key and a
+ * tampered file are rejected without failing, and that writes are debounced, atomic and flushed
+ * when the client pool closes
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { FileSessionStore, createSessionStoreFromEnv, getDefaultSessionStore } from '../src/utils/session-store.js';
+import { ClientPool } from '../src/utils/client-pool.js';
+
+const KEY = 'session-store-test-key-0123456789';
+const TOKEN = 'st_session_store_secret_token';
+const SNAPSHOT = {
+  sessions: [['1001', { token: TOKEN, email: 'ann@example.com', createdAt: '2026-10-19T10:00:00.000Z' }]],
+  emailMappings: [['ann@example.com', '1001']],
+};
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recharge-session-store-'));
+let fileCount = 0;
+const nextFilePath = () => path.join(tempDir, `sessions-${++fileCount}.json`);
+
+/**
+ * Create a store file holding SNAPSHOT under the given namespace
+ */
+function writeStore(filePath, namespace = 'shop') {
+  const store = new FileSessionStore({ filePath, encryptionKey: KEY });
+  store.save(namespace, SNAPSHOT);
+  store.flush();
+  return store;
+}
+
+/**
+ * Run a function with console.error captured
+ */
+function captureWarnings(fn) {
+  const warnings = [];
+  const consoleError = console.error;
+  console.error = (...args) => warnings.push(args.join(' '));
+  try {
+    return { result: fn(), warnings };
+  } finally {
+    console.error = consoleError;
+  }
+}
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`❌ ${message}`);
+  }
+}
+
+(async () => {
+  console.log('🧪 Testing the file session store\n');
+
+  // Test 1: snapshots are encrypted on disk and read back with the same key
+  console.log('Test 1: encrypted round trip');
+  {
+    const filePath = nextFilePath();
+    writeStore(filePath);
+    const contents = fs.readFileSync(filePath, 'utf8');
+
+    check(!contents.includes(TOKEN) && !contents.includes('ann@example.com'), 'No token or email is stored in plain text');
+    check((fs.statSync(filePath).mode & 0o777) === 0o600, 'The file is only readable by its owner');
+
+    const reopened = new FileSessionStore({ filePath, encryptionKey: KEY });
+    check(JSON.stringify(reopened.load('shop')) === JSON.stringify(SNAPSHOT), 'A new store with the same key loads the snapshot');
+    check(reopened.load('other') === null, 'Unknown namespaces load as empty');
+  }
+
+  // Test 2: the wrong key, or no key, is rejected
+  console.log('\nTest 2: wrong or missing key');
+  {
+    const filePath = nextFilePath();
+    writeStore(filePath);
+
+    const wrongKey = new FileSessionStore({ filePath, encryptionKey: 'a-different-key-0123456789' });
+    const { result, warnings } = captureWarnings(() => wrongKey.load('shop'));
+    check(result === null && warnings.some(warning => warning.includes('Could not decrypt')), 'A wrong key loads nothing and warns');
+    check(!('shop' in wrongKey.namespaces), 'The unreadable namespace is dropped so it is recreated');
+
+    const attempt = options => {
+      try {
+        new FileSessionStore({ filePath, ...options });
+        return 'created';
+      } catch (error) {
+        return error.message;
+      }
+    };
+    check(attempt({}).includes('at least 16 characters'), 'A store without a key cannot be created');
+    check(attempt({ encryptionKey: 'short' }).includes('at least 16 characters'), 'A key shorter than 16 characters is refused');
+
+    process.env.RECHARGE_SESSION_STORE = 'file';
+    delete process.env.RECHARGE_SESSION_ENCRYPTION_KEY;
+    const envError = (() => {
+      try {
+        createSessionStoreFromEnv();
+        return null;
+      } catch (error) {
+        return error;
+      }
+    })();
+    check(envError?.message.includes('RECHARGE_SESSION_ENCRYPTION_KEY is required'), 'RECHARGE_SESSION_STORE=file without RECHARGE_SESSION_ENCRYPTION_KEY fails');
+    delete process.env.RECHARGE_SESSION_STORE;
+  }
+
+  // Test 3: a tampered file fails AES-GCM authentication
+  console.log('\nTest 3: tampered file');
+  {
+    const filePath = nextFilePath();
+    writeStore(filePath);
+
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const data = Buffer.from(parsed.namespaces.shop.data, 'base64');
+    data[0] ^= 0xff;
+    parsed.namespaces.shop.data = data.toString('base64');
+    fs.writeFileSync(filePath, JSON.stringify(parsed));
+
+    const store = new FileSessionStore({ filePath, encryptionKey: KEY });
+    const { result, warnings } = captureWarnings(() => store.load('shop'));
+    check(result === null && warnings.some(warning => warning.includes('Could not decrypt')), 'Modified ciphertext is rejected instead of decrypted');
+
+    fs.writeFileSync(filePath, '{ not json');
+    const { result: unreadable, warnings: fileWarnings } = captureWarnings(() => new FileSessionStore({ filePath, encryptionKey: KEY }));
+    check(Object.keys(unreadable.namespaces).length === 0 && fileWarnings.some(warning => warning.includes('unreadable session store')), 'A corrupt file starts the store empty');
+  }
+
+  // Test 4: writes are coalesced, written atomically and flushed on close
+  console.log('\nTest 4: debounced atomic writes');
+  {
+    const filePath = nextFilePath();
+    const store = new FileSessionStore({ filePath, encryptionKey: KEY, writeDelayMs: 50 });
+    const renameSync = fs.renameSync;
+    const renames = [];
+    fs.renameSync = (from, to) => {
+      renames.push({ from, to });
+      return renameSync(from, to);
+    };
+
+    try {
+      store.save('shop', SNAPSHOT);
+      store.save('shop', { ...SNAPSHOT, emailMappings: [] });
+      check(!fs.existsSync(filePath), 'Nothing is written right away');
+
+      await new Promise(resolve => setTimeout(resolve, 120));
+      check(renames.length === 1, `Two saves within the delay are written once (got ${renames.length})`);
+      check(renames[0]?.from.endsWith('.tmp') && renames[0]?.to === filePath, 'The file is written to a temp file and renamed into place');
+      check(!fs.readdirSync(tempDir).some(name => name.endsWith('.tmp')), 'No temp file is left behind');
+      check(new FileSessionStore({ filePath, encryptionKey: KEY }).load('shop').emailMappings.length === 0, 'The latest snapshot is the one written');
+    } finally {
+      fs.renameSync = renameSync;
+    }
+
+    const closedPath = nextFilePath();
+    process.env.RECHARGE_SESSION_STORE = 'file';
+    process.env.RECHARGE_SESSION_STORE_PATH = closedPath;
+    process.env.RECHARGE_SESSION_ENCRYPTION_KEY = KEY;
+    const defaultStore = getDefaultSessionStore();
+    defaultStore.save('shop', SNAPSHOT);
+    check(!fs.existsSync(closedPath), 'A pending write waits for the delay');
+
+    new ClientPool().close();
+    check(fs.existsSync(closedPath) && !defaultStore.writeTimer, 'Closing the client pool flushes it at once');
+    check(new FileSessionStore({ filePath: closedPath, encryptionKey: KEY }).load('shop') !== null, 'The flushed snapshot can be read back');
+  }
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+
+  console.log(failures === 0
+    ? '\n🎉 Session store tests passed'
+    : `\n❌ ${failures} session store check(s) failed`);
+
+  process.exit(failures === 0 ? 0 : 1);
+})();
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for structured output
+ * Runs every tool with an outputSchema against stubbed Storefront APIs returning records with
+ * null fields, and validates structuredContent with the MCP SDK's validator, as clients do
+ */
+
+import { AjvJsonSchemaValidator } from '@modelcontextprotocol/sdk/validation/ajv';
+import { RechargeClient } from '../src/recharge-client.js';
+import { tools } from '../src/tools/index.js';
+
+const validator = new AjvJsonSchemaValidator();
+
+// Records as the Storefront API returns them when optional fields are unset
+const RECORDS = {
+  subscription: {
+    id: 101,
+    address_id: 201,
+    status: 'ACTIVE',
+    product_title: 'Coffee Beans',
+    variant_title: null,
+    quantity: 2,
+    price: '20.00',
+    order_interval_frequency: '1',
+    order_interval_unit: 'month',
+    next_charge_scheduled_at: null,
+    updated_at: '2026-10-01T10:00:00',
+  },
+  charge: {
+    id: 301,
+    address_id: 201,
+    status: 'QUEUED',
+    scheduled_at: '2026-11-01',
+    total_price: '40.00',
+    currency: null,
+    line_items: [{ title: 'Coffee Beans', quantity: 2, price: null, variant_title: null }],
+  },
+  order: {
+    id: 401,
+    charge_id: null,
+    status: 'SUCCESS',
+    processed_at: null,
+    total_price: '40.00',
+    currency: 'USD',
+    line_items: null,
+  },
+  address: {
+    id: 201,
+    first_name: 'Ann',
+    last_name: null,
+    address1: '1 Main St',
+    address2: null,
+    city: 'Dublin',
+    province: null,
+    zip: null,
+    country_code: 'IE',
+    updated_at: '2026-10-01T10:00:00',
+  },
+};
+
+const RESPONSES = {
+  '/subscriptions': { subscriptions: [RECORDS.subscription], next_cursor: null, previous_cursor: null },
+  '/subscriptions/101': { subscription: RECORDS.subscription },
+  '/charges': { charges: [RECORDS.charge], next_cursor: 'cursor_2', previous_cursor: null },
+  '/charges/301': { charge: RECORDS.charge },
+  '/orders': { orders: [RECORDS.order] },
+  '/orders/401': { order: RECORDS.order },
+  '/addresses': { addresses: [RECORDS.address] },
+  '/addresses/201': { address: RECORDS.address },
+};
+
+const ARGS = {
+  get_subscription: { subscription_id: '101' },
+  get_charge: { charge_id: '301' },
+  get_order: { order_id: '401' },
+  get_address: { address_id: '201' },
+};
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`❌ ${message}`);
+  }
+}
+
+(async () => {
+  console.log('🧪 Testing structured output\n');
+
+  const client = new RechargeClient({ storeUrl: 'structured-output-test.myshopify.com', sessionToken: 'st_structured_output_test' });
+  client.storefrontApi.request = async (config) => {
+    if (config.method === 'GET' && RESPONSES[config.url]) {
+      return { data: RESPONSES[config.url] };
+    }
+    throw new Error(`Unexpected request: ${config.method} ${config.url}`);
+  };
+
+  // Test 1: every tool's structuredContent matches its outputSchema
+  console.log('Test 1: results with null fields validate against outputSchema');
+  const structuredTools = tools.filter(tool => tool.outputSchema);
+  check(structuredTools.length === 8, `8 tools declare an outputSchema (got ${structuredTools.length})`);
+
+  for (const tool of structuredTools) {
+    const args = tool.inputSchema.parse(ARGS[tool.name] || {});
+    const result = await tool.execute(client, args);
+    const validation = validator.getValidator(tool.outputSchema)(result.structuredContent);
+    check(validation.valid, `${tool.name}${validation.valid ? '' : `: ${validation.errorMessage}`}`);
+  }
+
+  // Test 2: the schemas still catch malformed records
+  console.log('\nTest 2: records without an ID are rejected');
+  {
+    const getAddress = tools.find(tool => tool.name === 'get_address');
+    const { id, ...withoutId } = RECORDS.address;
+    const validation = validator.getValidator(getAddress.outputSchema)({ address: withoutId });
+    check(!validation.valid, 'An address without id fails validation');
+  }
+
+  // Test 3: summaries leave out unset fields
+  console.log('\nTest 3: summaries skip null fields');
+  {
+    const getAddress = tools.find(tool => tool.name === 'get_address');
+    const result = await getAddress.execute(client, getAddress.inputSchema.parse(ARGS.get_address));
+    check(!result.content[0].text.includes('null'), `Address summary has no "null": ${result.content[0].text}`);
+  }
+
+  console.log(failures === 0
+    ? '\n🎉 Structured output tests passed'
+    : `\n❌ ${failures} structured output check(s) failed`);
+
+  process.exit(failures === 0 ? 0 : 1);
+})();
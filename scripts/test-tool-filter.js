@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the tool filter
+ * Checks name, glob and category patterns, the config file, and that a running server hides and
+ * refuses disabled tools and picks up config file changes
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { ToolListChangedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { ToolFilter, loadToolFilter } from '../src/utils/tool-filter.js';
+import { tools } from '../src/tools/index.js';
+
+const SERVER_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'index.js');
+const getTool = name => tools.find(tool => tool.name === name);
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`❌ ${message}`);
+  }
+}
+
+/**
+ * Wait for a condition, polling every 50 ms
+ */
+async function waitFor(condition, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition() && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return condition();
+}
+
+(async () => {
+  console.log('🧪 Testing the tool filter\n');
+
+  const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recharge-tool-filter-'));
+  const configPath = path.join(configDir, 'tools.json');
+
+  try {
+    // Test 1: pattern kinds
+    console.log('Test 1: names, globs and categories');
+    {
+      const filter = new ToolFilter({ allow: ['category:subscription', 'get_*', 'skip_charg?'], deny: ['cancel_subscription'] });
+
+      check(filter.isEnabled(getTool('update_subscription')), 'category:subscription enables update_subscription');
+      check(filter.isEnabled(getTool('get_orders')) && filter.isEnabled(getTool('skip_charge')), 'get_* and skip_charg? match by glob');
+      check(!filter.isEnabled(getTool('cancel_subscription')), 'deny wins over an allowed category');
+      check(!filter.isEnabled(getTool('update_address')), 'Tools matching no allow pattern are disabled');
+      check(new ToolFilter().isEnabled(getTool('update_address')), 'An empty allow list enables every tool');
+      check(
+        new ToolFilter({ allow: ['get_subscriptoins', 'category:subscription'] }).findUnmatchedPatterns(tools).join() === 'get_subscriptoins',
+        'Patterns matching no tool are reported'
+      );
+    }
+
+    // Test 2: config file
+    console.log('\nTest 2: config file replaces the environment lists');
+    {
+      process.env.RECHARGE_TOOLS_ALLOW = 'get_orders';
+      process.env.RECHARGE_TOOLS_CONFIG = configPath;
+      fs.writeFileSync(configPath, JSON.stringify({ deny: ['delete_*'] }));
+      const filter = loadToolFilter();
+
+      check(filter.source === configPath && filter.isEnabled(getTool('get_subscriptions')), 'The file is used instead of RECHARGE_TOOLS_ALLOW');
+      check(!filter.isEnabled(getTool('delete_address')), 'The file\'s deny list applies');
+
+      fs.writeFileSync(configPath, JSON.stringify({ allow: 'get_*' }));
+      let error = null;
+      try {
+        loadToolFilter();
+      } catch (loadError) {
+        error = loadError;
+      }
+      check(error?.message.includes('must be an array of strings'), 'An invalid file is rejected');
+
+      delete process.env.RECHARGE_TOOLS_ALLOW;
+      delete process.env.RECHARGE_TOOLS_CONFIG;
+    }
+
+    // Test 3: a running server hides, refuses and reloads
+    console.log('\nTest 3: server applies the filter and reloads it');
+    {
+      fs.writeFileSync(configPath, JSON.stringify({ allow: ['category:subscription', 'category:undo'], deny: ['update_subscription'] }));
+
+      const transport = new StdioClientTransport({
+        command: process.execPath,
+        args: [SERVER_PATH],
+        env: {
+          ...process.env,
+          RECHARGE_STOREFRONT_DOMAIN: 'tool-filter-test.myshopify.com',
+          RECHARGE_SESSION_TOKEN: 'st_tool_filter_test',
+          RECHARGE_TOOLS_CONFIG: configPath,
+          MCP_TRANSPORT: 'stdio',
+        },
+        stderr: 'ignore',
+      });
+      const client = new Client({ name: 'tool-filter-test', version: '1.0.0' });
+      let listChanged = 0;
+      client.setNotificationHandler(ToolListChangedNotificationSchema, () => {
+        listChanged++;
+      });
+
+      await client.connect(transport);
+      try {
+        const listed = (await client.listTools()).tools.map(tool => tool.name);
+        check(listed.includes('get_subscriptions') && listed.includes('undo_action'), 'Allowed tools are listed');
+        check(!listed.includes('update_subscription') && !listed.includes('get_orders'), 'Denied and unlisted tools are hidden');
+
+        const refused = await client.callTool({ name: 'update_subscription', arguments: { subscription_id: '123', quantity: 2 } });
+        check(refused.isError && refused.content[0].text.includes('disabled by the server\'s tool filter'), 'Calling a disabled tool by name is refused');
+
+        fs.writeFileSync(configPath, JSON.stringify({ allow: ['category:subscription'] }));
+        check(await waitFor(() => listChanged > 0, 5000), 'Editing the config file sends tools/list_changed');
+
+        const reloaded = (await client.listTools()).tools.map(tool => tool.name);
+        check(reloaded.includes('update_subscription') && !reloaded.includes('undo_action'), 'The new configuration is active');
+      } finally {
+        await client.close();
+      }
+    }
+  } finally {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  }
+
+  console.log(failures === 0
+    ? '\n🎉 Tool filter tests passed'
+    : `\n❌ ${failures} tool filter check(s) failed`);
+
+  process.exit(failures === 0 ? 0 : 1);
+})();
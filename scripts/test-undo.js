@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the undo journal
+ * Records update_subscription calls against stubbed Storefront APIs and undoes them with
+ * undo_action, checking the round trip and that customers only see and undo their own actions;
+ * also confirms an undo end to end through the server's handleCallTool
+ */
+
+import axios from 'axios';
+import { RechargeClient } from '../src/recharge-client.js';
+import { handleCallTool } from '../src/server.js';
+import { subscriptionTools } from '../src/tools/subscription-tools.js';
+import { undoTools } from '../src/tools/undo-tools.js';
+import { getIdempotencyScope } from '../src/utils/idempotency.js';
+import { runWithRequestContext } from '../src/utils/request-context.js';
+import { runUndoable } from '../src/utils/undo-journal.js';
+
+const DOMAIN = 'undo-test.myshopify.com';
+const tools = [...subscriptionTools, ...undoTools];
+const getTool = name => tools.find(tool => tool.name === name);
+
+/**
+ * Create a client for one session token whose Storefront API serves one subscription
+ */
+function createStubbedClient(sessionToken) {
+  const client = new RechargeClient({ storeUrl: DOMAIN, sessionToken });
+  const subscription = { id: 123, quantity: 2, updated_at: '2026-10-01T10:00:00' };
+  const writes = [];
+
+  client.storefrontApi.request = async (config) => {
+    if (config.method === 'GET' && config.url === '/subscriptions/123') {
+      return { data: { subscription: { ...subscription } } };
+    }
+    if (config.method === 'PUT' && config.url === '/subscriptions/123') {
+      writes.push(config.data);
+      Object.assign(subscription, config.data);
+      return { data: { subscription: { ...subscription } } };
+    }
+    throw new Error(`Unexpected request: ${config.method} ${config.url}`);
+  };
+
+  return { client, sessionToken, subscription, writes };
+}
+
+/**
+ * Call a tool as one customer the way handleCallTool does: scope in the request context, undo
+ * recording, and nested calls made through the same path
+ */
+function callTool(customer, name, args, { compensate } = {}) {
+  const tool = getTool(name);
+  const validatedArgs = tool.inputSchema.parse(args);
+  const scope = getIdempotencyScope(DOMAIN, validatedArgs, { sessionToken: customer.sessionToken });
+  const context = { toolName: name, scope, currentResources: new Map() };
+  const nestedCall = compensate || ((toolName, toolArgs) => callTool(customer, toolName, toolArgs));
+
+  return runWithRequestContext(context, () => runUndoable(
+    tool,
+    customer.client,
+    validatedArgs,
+    () => tool.execute(customer.client, validatedArgs, { callTool: nestedCall })
+  ));
+}
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`❌ ${message}`);
+  }
+}
+
+(async () => {
+  console.log('🧪 Testing the undo journal\n');
+
+  // Test 1: an update is recorded and undone once
+  console.log('Test 1: update and undo round trip');
+  {
+    const customer = createStubbedClient('st_undo_customer_a');
+    const update = await callTool(customer, 'update_subscription', { subscription_id: '123', quantity: 3 });
+    const actionId = update._meta.undo?.actionId;
+
+    check(Boolean(actionId) && customer.subscription.quantity === 3, 'Update was sent and recorded');
+
+    const listed = await callTool(customer, 'list_recent_actions', {});
+    check(listed._meta.actions.some(action => action.id === actionId), 'The action is listed for its customer');
+
+    const undo = await callTool(customer, 'undo_action', { action_id: actionId });
+    check(!undo.isError && customer.subscription.quantity === 2, 'Undo restored the previous quantity');
+    check(customer.writes.length === 2, `Two PUTs: the update and its compensation (got ${customer.writes.length})`);
+
+    const again = await callTool(customer, 'undo_action', { action_id: actionId });
+    check(again.isError && again.content[0].text.includes('already undone'), 'An action can only be undone once');
+  }
+
+  // Test 2: another customer can't see or undo the action
+  console.log('\nTest 2: actions stay within the customer\'s scope');
+  {
+    const customerA = createStubbedClient('st_undo_customer_a');
+    const customerB = createStubbedClient('st_undo_customer_b');
+    const update = await callTool(customerA, 'update_subscription', { subscription_id: '123', quantity: 5 });
+    const actionId = update._meta.undo.actionId;
+
+    const listed = await callTool(customerB, 'list_recent_actions', {});
+    check(!listed._meta.actions.some(action => action.id === actionId), 'Customer B does not see customer A\'s action');
+
+    const undo = await callTool(customerB, 'undo_action', { action_id: actionId });
+    check(undo.isError && customerB.writes.length === 0 && customerA.writes.length === 1, 'Customer B cannot undo it and nothing is sent');
+
+    const undoByA = await callTool(customerA, 'undo_action', { action_id: actionId });
+    check(!undoByA.isError && customerA.subscription.quantity === 2, 'Customer A can still undo it');
+  }
+
+  // Test 3: the compensation goes through the tool call pipeline
+  console.log('\nTest 3: the compensating call is dispatched as a tool call');
+  {
+    const customer = createStubbedClient('st_undo_customer_c');
+    const update = await callTool(customer, 'update_subscription', { subscription_id: '123', quantity: 4 });
+    const actionId = update._meta.undo.actionId;
+    const undoArgs = { action_id: actionId, session_token: customer.sessionToken };
+
+    const calls = [];
+    const refused = await callTool(customer, 'undo_action', undoArgs, {
+      compensate: async (name, args) => {
+        calls.push({ name, args });
+        return { content: [{ type: 'text', text: `Error: Tool ${name} is disabled` }], isError: true };
+      },
+    });
+    check(calls.length === 1 && calls[0].name === 'update_subscription' && calls[0].args.quantity === 2, 'Compensation is dispatched by tool name with the previous values');
+    check(calls[0].args.session_token === customer.sessionToken, 'The caller\'s credentials are passed on');
+    check(refused.isError && customer.writes.length === 1, 'A refused compensation returns the error without writing');
+    check(refused.content[0].text.includes(`${actionId} was not undone`), 'The error says the action was not undone');
+
+    const pending = await callTool(customer, 'undo_action', undoArgs, {
+      compensate: async () => ({
+        content: [{ type: 'text', text: 'Confirmation required' }],
+        _meta: { confirmation: { status: 'required', token: 'confirm_undo_test', expiresAt: '2026-10-19T00:00:00.000Z' } },
+      }),
+    });
+    check(pending.content[0].text.includes('call undo_action again') && pending.content[0].text.includes('confirm_undo_test'), 'A compensation awaiting confirmation asks for undo_action to be called again');
+
+    const listed = await callTool(customer, 'list_recent_actions', {});
+    const action = listed._meta.actions.find(entry => entry.id === actionId);
+    check(action.status === 'applied', 'The action is not marked undone until the compensation runs');
+  }
+
+  // Test 4: with update confirmations on, a confirmed undo runs through the server pipeline
+  console.log('\nTest 4: confirming an undo through handleCallTool');
+  {
+    const subscription = { id: 123, quantity: 2, updated_at: '2026-10-01T10:00:00' };
+    const writes = [];
+    // Pooled clients are created inside handleCallTool and copy axios' defaults
+    axios.defaults.adapter = async (config) => {
+      const method = config.method.toUpperCase();
+      if (method === 'PUT' && config.url === '/subscriptions/123') {
+        writes.push(JSON.parse(config.data));
+        Object.assign(subscription, JSON.parse(config.data));
+      } else if (method !== 'GET' || config.url !== '/subscriptions/123') {
+        throw new Error(`Unexpected request: ${method} ${config.url}`);
+      }
+      return { data: { subscription: { ...subscription } }, status: 200, statusText: 'OK', headers: {}, config };
+    };
+    process.env.RECHARGE_CONFIRM_UPDATES = 'true';
+
+    const auth = { store_url: DOMAIN, session_token: 'st_undo_customer_d' };
+    const call = (name, args) => handleCallTool({ params: { name, arguments: { ...auth, ...args } } });
+    const confirmed = async (name, args) => {
+      const pending = await call(name, args);
+      return call(name, { ...args, confirmation_token: pending._meta?.confirmation?.token });
+    };
+
+    const update = await confirmed('update_subscription', { subscription_id: '123', quantity: 6 });
+    const actionId = update._meta?.undo?.actionId;
+    check(Boolean(actionId) && subscription.quantity === 6, 'The confirmed update was sent and recorded');
+
+    const pending = await call('undo_action', { action_id: actionId });
+    const token = pending._meta?.confirmation?.token;
+    check(Boolean(token) && writes.length === 1, 'The first undo_action asks for confirmation without writing');
+
+    const undo = await call('undo_action', { action_id: actionId, confirmation_token: token });
+    check(!undo.isError && !undo._meta?.idempotency?.replayed, 'The confirmed undo_action runs instead of replaying the request for confirmation');
+    check(subscription.quantity === 2 && writes.length === 2, `The compensation restored the previous quantity (got ${subscription.quantity})`);
+
+    const listed = await call('list_recent_actions', {});
+    check(listed._meta.actions.find(entry => entry.id === actionId)?.status === 'undone', 'The action is marked undone');
+
+    delete process.env.RECHARGE_CONFIRM_UPDATES;
+  }
+
+  console.log(failures === 0
+    ? '\n🎉 Undo tests passed'
+    : `\n❌ ${failures} undo check(s) failed`);
+
+  process.exit(failures === 0 ? 0 : 1);
+})();
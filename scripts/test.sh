@@ -88,6 +88,54 @@ run_test "Syntax validation" "npm run lint" "required"
 # Test API key logic
 run_test "API key logic test" "npm run test:api-keys" "required"
 
+# Test single-flight session creation
+run_test "Single-flight session test" "npm run test:single-flight" "required"
+
+# Test idempotent writes
+run_test "Idempotency test" "npm run test:idempotency" "required"
+
+# Test confirmation tokens
+run_test "Confirmation test" "npm run test:confirmation" "required"
+
+# Test update change previews
+run_test "Change preview test" "npm run test:change-preview" "required"
+
+# Test undo round trips and per-customer scoping
+run_test "Undo Journal" "npm run test:undo" "required"
+
+# Test tool filter patterns, config file and reload
+run_test "Tool Filter" "npm run test:tool-filter" "required"
+
+# Test JSON Schema conversion and refinement rules
+run_test "Tool JSON Schemas" "npm run test:json-schema" "required"
+
+# Test structuredContent against each tool's outputSchema
+run_test "Structured Output" "npm run test:structured-output" "required"
+
+# Test retry backoff, Retry-After, budget and cancellation
+run_test "Retry Policy" "npm run test:retry-policy" "required"
+
+# Test token bucket queueing and cancellation
+run_test "Rate Limiter" "npm run test:rate-limiter" "required"
+
+# Test circuit breaker state transitions
+run_test "Circuit Breaker" "npm run test:circuit-breaker" "required"
+
+# Test read-only refusal of Storefront API writes
+run_test "Read-only Mode" "npm run test:read-only" "required"
+
+# Test dry-run recording of writes and auth requests
+run_test "Dry Run" "npm run test:dry-run" "required"
+
+# Test encryption at rest and debounced writes of the file session store
+run_test "Session Store" "npm run test:session-store" "required"
+
+# Test LRU eviction and counters of the session cache
+run_test "Session Cache" "npm run test:session-cache" "required"
+
+# Smoke test the HTTP transport's session lifecycle and shutdown
+run_test "HTTP Transport" "npm run test:http-transport" "required"
+
 # Validate configuration
 run_test "Configuration validation" "npm run validate" "required"
 
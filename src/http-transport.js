@@ -0,0 +1,242 @@
+/**
+ * HTTP transport for the MCP server
+ * Serves MCP Streamable HTTP on /mcp with a legacy SSE fallback on /sse and /messages.
+ * Each client session gets its own MCP Server instance so several assistants can share one process.
+ */
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<any>} Parsed body, or undefined for an empty body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (chunks.length === 0) {
+        resolve(undefined);
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new Error('Invalid JSON in request body'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON-RPC error response
+ * @param {http.ServerResponse} res - Server response
+ * @param {number} status - HTTP status code
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ */
+function sendJsonRpcError(res, status, code, message) {
+  if (res.headersSent) {
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null,
+  }));
+}
+
+/**
+ * Start the HTTP transport
+ * @param {Function} createServer - Factory returning a new, unconnected MCP Server with handlers registered
+ * @param {Object} options - Transport options
+ * @param {string} options.host - Interface to bind to
+ * @param {number} options.port - Port to listen on
+ * @param {Function} [options.getHealthStatus] - Returns the health payload served on GET /health
+ * @returns {Promise<{ httpServer: http.Server, sessions: Map, close: Function }>} Running transport handle
+ */
+export async function startHttpTransport(createServer, { host, port, getHealthStatus = null }) {
+  // sessionId -> { type: 'streamable' | 'sse', transport, server }
+  const sessions = new Map();
+
+  async function handleStreamableRequest(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const existing = sessionId ? sessions.get(sessionId) : null;
+
+    if (existing && existing.type !== 'streamable') {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: session was created with the SSE transport');
+      return;
+    }
+
+    if (req.method === 'POST') {
+      let body;
+      try {
+        body = await readJsonBody(req);
+      } catch (error) {
+        sendJsonRpcError(res, 400, -32700, `Parse error: ${error.message}`);
+        return;
+      }
+
+      if (existing) {
+        await existing.transport.handleRequest(req, res, body);
+        return;
+      }
+
+      if (sessionId || !isInitializeRequest(body)) {
+        sendJsonRpcError(res, 400, -32000, 'Bad Request: no valid session ID provided');
+        return;
+      }
+
+      const server = createServer();
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (newSessionId) => {
+          sessions.set(newSessionId, { type: 'streamable', transport, server });
+          if (process.env.DEBUG === 'true') {
+            console.error(`[DEBUG] HTTP session initialized: ${newSessionId} (${sessions.size} active)`);
+          }
+        },
+      });
+
+      transport.onclose = () => {
+        // Close the session's server too, so it stops receiving tools/list_changed broadcasts
+        server.close().catch(() => {});
+        if (transport.sessionId && sessions.delete(transport.sessionId) && process.env.DEBUG === 'true') {
+          console.error(`[DEBUG] HTTP session closed: ${transport.sessionId} (${sessions.size} active)`);
+        }
+      };
+
+      try {
+        await server.connect(transport);
+        await transport.handleRequest(req, res, body);
+      } catch (error) {
+        // Nothing else holds a session that failed while initializing, so close it here
+        if (transport.sessionId) {
+          sessions.delete(transport.sessionId);
+        }
+        await transport.close().catch(() => {});
+        await server.close().catch(() => {});
+        throw error;
+      }
+      return;
+    }
+
+    if (req.method === 'GET' || req.method === 'DELETE') {
+      if (!existing) {
+        sendJsonRpcError(res, 400, -32000, 'Bad Request: no valid session ID provided');
+        return;
+      }
+      await existing.transport.handleRequest(req, res);
+      return;
+    }
+
+    res.writeHead(405, { Allow: 'GET, POST, DELETE' }).end();
+  }
+
+  async function handleSseConnect(req, res) {
+    const server = createServer();
+    const transport = new SSEServerTransport('/messages', res);
+    await server.connect(transport);
+    sessions.set(transport.sessionId, { type: 'sse', transport, server });
+
+    if (process.env.DEBUG === 'true') {
+      console.error(`[DEBUG] SSE session opened: ${transport.sessionId} (${sessions.size} active)`);
+    }
+
+    res.on('close', () => {
+      sessions.delete(transport.sessionId);
+      server.close().catch(() => {});
+      if (process.env.DEBUG === 'true') {
+        console.error(`[DEBUG] SSE session closed: ${transport.sessionId} (${sessions.size} active)`);
+      }
+    });
+  }
+
+  async function handleSseMessage(req, res, url) {
+    const sessionId = url.searchParams.get('sessionId');
+    const existing = sessionId ? sessions.get(sessionId) : null;
+
+    if (!existing || existing.type !== 'sse') {
+      res.writeHead(404).end('Unknown SSE session');
+      return;
+    }
+
+    await existing.transport.handlePostMessage(req, res);
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+      if (url.pathname === '/mcp') {
+        await handleStreamableRequest(req, res);
+      } else if (url.pathname === '/sse' && req.method === 'GET') {
+        await handleSseConnect(req, res);
+      } else if (url.pathname === '/messages' && req.method === 'POST') {
+        await handleSseMessage(req, res, url);
+      } else if (url.pathname === '/health' && req.method === 'GET' && getHealthStatus) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ...getHealthStatus(), activeSessions: sessions.size }));
+      } else {
+        res.writeHead(404).end('Not Found');
+      }
+    } catch (error) {
+      console.error('[ERROR] HTTP request handling failed:', error.message);
+      if (process.env.DEBUG === 'true' && error.stack) {
+        console.error('[DEBUG] Error stack:', error.stack);
+      }
+      sendJsonRpcError(res, 500, -32603, 'Internal server error');
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  /**
+   * Close every open session and stop accepting connections
+   */
+  async function close() {
+    const open = [...sessions.values()];
+    sessions.clear();
+
+    for (const { transport, server } of open) {
+      try {
+        await transport.close();
+        await server.close();
+      } catch (error) {
+        console.error('[ERROR] Error closing MCP session:', error.message);
+      }
+    }
+
+    const closed = new Promise(resolve => httpServer.close(() => resolve()));
+    httpServer.closeAllConnections?.();
+    await closed;
+  }
+
+  return { httpServer, sessions, close };
+}
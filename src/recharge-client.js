@@ -1,6 +1,20 @@
 import axios from 'axios';
-import { handleAPIError } from './utils/error-handler.js';
-import { SessionCache } from './utils/session-cache.js';
+import { handleAPIError, RechargeAPIError, isCancellationError } from './utils/error-handler.js';
+import { getSharedSessionCache } from './utils/session-cache.js';
+import { fingerprintToken } from './utils/crypto-helpers.js';
+import { getDefaultRetryPolicy } from './utils/retry-policy.js';
+import { getSharedRateLimiters } from './utils/rate-limiter.js';
+import { getCircuitBreaker } from './utils/circuit-breaker.js';
+import {
+  getRequestContext,
+  runWithRequestContext,
+  throwIfCancelled,
+  sleep,
+  raceWithCancellation,
+} from './utils/request-context.js';
+import { getCategoryTimeoutMs } from './utils/tool-timeouts.js';
+import { IDEMPOTENCY_KEY_HEADER, acceptsIdempotencyKey, nextRequestIdempotencyKey } from './utils/idempotency.js';
+import { refuseWritesInReadOnlyMode } from './utils/read-only.js';
 
 /**
  * Recharge Storefront API Client
@@ -62,7 +76,6 @@ export class RechargeClient {
     this.storeUrl = domain;
     this.sessionToken = sessionToken;
     this.adminToken = adminToken;
-    this.sessionCache = new SessionCache();
     this.currentDomain = domain; // Store current domain for cache management
 
     // Get API URL from environment variable or use production default
@@ -81,10 +94,40 @@ export class RechargeClient {
       }
     }
 
+    this.apiUrl = apiUrl;
+
+    // Sessions are only valid for the store and API environment that issued them,
+    // so each store/API URL (and admin token) gets its own cache partition
+    this.sessionCache = getSharedSessionCache().partition({
+      domain,
+      apiUrl,
+      adminFingerprint: fingerprintToken(adminToken),
+    });
+
+    // Cached sessions this close to expiry are renewed in the background before they die
+    this.sessionRefreshMs = (parseInt(process.env.RECHARGE_SESSION_REFRESH_MINUTES, 10) || 5) * 60 * 1000;
+
+    // In-flight work shared by parallel tool calls for the same customer
+    this.pendingSessions = new Map(); // customer_id -> session creation promise
+    this.pendingLookups = new Map(); // email -> customer lookup promise
+
+    // Transient failures (429/5xx/timeouts) are retried according to this policy
+    this.retryPolicy = getDefaultRetryPolicy();
+
+    // Every client for this store shares the same buckets, so parallel tool calls queue instead of hitting 429
+    this.storefrontLimiter = getSharedRateLimiters().getBucket(domain, 'storefront');
+    this.adminLimiter = getSharedRateLimiters().getBucket(domain, 'admin');
+
+    // Fail fast while the API host is down instead of waiting out every timeout
+    this.circuitBreaker = getCircuitBreaker(apiUrl);
+
+    // Tool calls override this per request (see sendRequest); it applies to calls made outside a tool call
+    const defaultTimeoutMs = getCategoryTimeoutMs('write');
+
     // Create axios instances
     this.storefrontApi = axios.create({
       baseURL: apiUrl,
-      timeout: 30000,
+      timeout: defaultTimeoutMs,
       headers: {
         'Content-Type': 'application/json',
         'Accept': 'application/json',
@@ -93,13 +136,18 @@ export class RechargeClient {
 
     this.adminApi = axios.create({
       baseURL: apiUrl,
-      timeout: 30000,
+      timeout: defaultTimeoutMs,
       headers: {
         'Content-Type': 'application/json',
         'Accept': 'application/json',
       },
     });
 
+    // Second layer behind the tool filter: nothing but reads may reach the Storefront API in read-only
+    // mode, whichever method sends them. Admin API requests are customer lookups and session creation,
+    // which reads need too.
+    this.storefrontApi.interceptors.request.use(refuseWritesInReadOnlyMode);
+
     // Add request interceptors for debugging
     if (process.env.DEBUG === 'true') {
       this.storefrontApi.interceptors.request.use(request => {
@@ -202,8 +250,8 @@ export class RechargeClient {
    * Get or create session token for customer operations
    */
   async getOrCreateSessionToken(customerId = null, customerEmail = null) {
-    // Auto-purge very old sessions (older than 4 hours) to prevent stale token issues
-    this.sessionCache.clearExpiredSessions(240);
+    // Drop sessions past their recorded expiry so they are never sent to the API
+    this.sessionCache.purgeExpiredSessions();
 
     // If explicit session token provided, validate and use it
     if (this.sessionToken) {
@@ -244,6 +292,9 @@ export class RechargeClient {
           throw new Error(`Invalid email format: ${customerEmail}`);
         }
 
+        // One identity per address, however the caller capitalized or padded it
+        customerEmail = this.sessionCache.normalizeEmail(customerEmail);
+
         finalCustomerId = this.sessionCache.getCustomerIdByEmail(customerEmail);
 
         if (!finalCustomerId) {
@@ -251,9 +302,13 @@ export class RechargeClient {
             console.error(`[DEBUG] Looking up customer ID for email: ${customerEmail}`);
           }
           try {
-            const customer = await this.getCustomerByEmail(customerEmail);
-            finalCustomerId = customer.id.toString();
-            this.sessionCache.setCustomerIdByEmail(customerEmail, finalCustomerId);
+            // Parallel calls for the same email share one lookup
+            finalCustomerId = await this.runSingleFlight(this.pendingLookups, customerEmail, async () => {
+              const customer = await this.getCustomerByEmail(customerEmail);
+              const customerId = customer.id.toString();
+              this.sessionCache.setCustomerIdByEmail(customerEmail, customerId);
+              return customerId;
+            });
           } catch (error) {
             if (process.env.DEBUG === 'true') {
               console.error(`[DEBUG] Customer lookup failed for email ${customerEmail}:`, error.message);
@@ -277,6 +332,10 @@ export class RechargeClient {
           if (process.env.DEBUG === 'true') {
             console.error(`[DEBUG] Using cached session for customer ${finalCustomerId}`);
           }
+          // Still valid for this request, but renew it now so the next one doesn't hit a 401
+          if (this.sessionCache.getTimeToExpiry(finalCustomerId) <= this.sessionRefreshMs) {
+            this.refreshSessionInBackground(finalCustomerId, customerEmail);
+          }
           return cachedToken;
         } else {
           if (process.env.DEBUG === 'true') {
@@ -287,8 +346,9 @@ export class RechargeClient {
         }
       }
 
-      // Create new session with validation
-      return await this.createAndValidateSession(finalCustomerId, customerEmail);
+      // Create new session with validation; parallel calls for the same customer share one admin request
+      return await this.runSingleFlight(this.pendingSessions, finalCustomerId,
+        () => this.createAndValidateSession(finalCustomerId, customerEmail));
     }
 
     // Security check: prevent using default session when customer sessions exist
@@ -306,14 +366,105 @@ export class RechargeClient {
     );
   }
 
+  /**
+   * Renew a cached session that is close to expiry without blocking the current request
+   */
+  refreshSessionInBackground(customerId, customerEmail = null) {
+    if (this.pendingSessions.has(customerId)) {
+      return;
+    }
+
+    if (process.env.DEBUG === 'true') {
+      console.error(`[DEBUG] Session for customer ${customerId} is close to expiry, refreshing in background`);
+    }
+
+    // Not part of the current tool call, so cancelling that call must not abort the refresh
+    runWithRequestContext({}, () => this.runSingleFlight(this.pendingSessions, customerId,
+      () => this.createAndValidateSession(customerId, customerEmail, { refresh: true })))
+      .catch(error => {
+        // The current token stays cached; the request path will create a new one once it expires
+        if (process.env.DEBUG === 'true') {
+          console.error(`[DEBUG] Background session refresh failed for customer ${customerId}:`, error.message);
+        }
+      });
+  }
+
+  /**
+   * Run a task at most once per key at a time; callers arriving while it runs share its promise
+   * A waiting caller stops waiting when its own tool call is cancelled, and starts the task again
+   * if the call that started it was cancelled instead.
+   * @param {Map} pending - Map of in-flight promises for this kind of task
+   * @param {string} key - Deduplication key
+   * @param {Function} task - Async function to run
+   * @returns {Promise<any>} Result of the (shared) task
+   */
+  runSingleFlight(pending, key, task) {
+    const inFlight = pending.get(key);
+    if (inFlight) {
+      if (process.env.DEBUG === 'true') {
+        console.error(`[DEBUG] Waiting on in-flight request for ${key}`);
+      }
+      const { signal } = getRequestContext();
+      return raceWithCancellation(inFlight, signal).catch(error => {
+        if (isCancellationError(error) && !signal?.aborted) {
+          return this.runSingleFlight(pending, key, task);
+        }
+        throw error;
+      });
+    }
+
+    const promise = (async () => {
+      try {
+        return await task();
+      } finally {
+        pending.delete(key);
+      }
+    })();
+
+    pending.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Read the expiry from a session creation response
+   * @returns {Date|null} Expiry, or null when the response doesn't include a usable one
+   */
+  getSessionExpiry(session) {
+    const rawExpiry = session.expires_at ?? session.expiresAt;
+    if (rawExpiry === undefined || rawExpiry === null || rawExpiry === '') {
+      return null;
+    }
+
+    // Numeric expiries are Unix timestamps in seconds (or milliseconds)
+    let expiresAt;
+    if (typeof rawExpiry === 'number') {
+      expiresAt = new Date(rawExpiry < 1e12 ? rawExpiry * 1000 : rawExpiry);
+    } else {
+      expiresAt = new Date(rawExpiry);
+    }
+
+    if (isNaN(expiresAt) || expiresAt <= new Date()) {
+      if (process.env.DEBUG === 'true') {
+        console.error(`[DEBUG] Ignoring unusable session expiry: ${rawExpiry}`);
+      }
+      return null;
+    }
+
+    return expiresAt;
+  }
+
   /**
    * Create and validate a new session token
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.refresh] - Renewing a still-valid session, so getting the same token back is fine
    */
-  async createAndValidateSession(customerId, customerEmail = null) {
+  async createAndValidateSession(customerId, customerEmail = null, { refresh = false } = {}) {
     const MAX_SESSION_ATTEMPTS = 3;
 
     for (let attempt = 1; attempt <= MAX_SESSION_ATTEMPTS; attempt++) {
       try {
+        throwIfCancelled();
+
         if (process.env.DEBUG === 'true') {
           console.error(`[DEBUG] Creating new session for customer ${customerId} (attempt ${attempt}/${MAX_SESSION_ATTEMPTS})`);
         }
@@ -329,21 +480,21 @@ export class RechargeClient {
 
         // Verify token is different from any previously cached token
         const previousToken = this.sessionCache.getSessionToken(customerId);
-        if (previousToken === newToken) {
+        if (previousToken === newToken && !refresh) {
           if (process.env.DEBUG === 'true') {
             console.error(`[DEBUG] New session token identical to previous token, attempt ${attempt}`);
           }
           if (attempt < MAX_SESSION_ATTEMPTS) {
             // Wait before retry
-            await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+            await sleep(1000 * attempt);
             continue;
           } else {
             throw new Error('Session creation returned same token as expired session');
           }
         }
 
-        // Cache the new session
-        this.sessionCache.setSessionToken(customerId, newToken, customerEmail);
+        // Cache the new session with the expiry the API reported (or the configured TTL)
+        this.sessionCache.setSessionToken(customerId, newToken, customerEmail, this.getSessionExpiry(session));
 
         if (process.env.DEBUG === 'true') {
           console.error(`[DEBUG] Successfully created and cached new session for customer ${customerId}`);
@@ -355,13 +506,17 @@ export class RechargeClient {
           console.error(`[DEBUG] Session creation attempt ${attempt} failed for customer ${customerId}:`, error.message);
         }
 
+        if (isCancellationError(error)) {
+          throw error;
+        }
+
         if (attempt === MAX_SESSION_ATTEMPTS) {
           throw new Error(`Session creation failed after ${MAX_SESSION_ATTEMPTS} attempts: ${error.message}`);
         }
 
         // Wait before retry with exponential backoff
         const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
-        await new Promise(resolve => setTimeout(resolve, delay));
+        await sleep(delay);
       }
     }
   }
@@ -476,9 +631,12 @@ export class RechargeClient {
 
   /**
    * Make authenticated request to Storefront API
+   * Writes made during an idempotent tool call to endpoints that honor it get their own
+   * Idempotency-Key, reused by every retry
    */
   async makeRequest(method, endpoint, data = null, params = null, customerId = null, customerEmail = null, sessionToken = null) {
-    return await this.makeRequestWithRetry(method, endpoint, data, params, customerId, customerEmail, sessionToken, 0);
+    const idempotencyKey = acceptsIdempotencyKey(method, endpoint) ? nextRequestIdempotencyKey() : null;
+    return await this.makeRequestWithRetry(method, endpoint, data, params, customerId, customerEmail, sessionToken, 0, idempotencyKey);
   }
 
   async get(endpoint, customerId = null, customerEmail = null, sessionToken = null, params = null) {
@@ -500,7 +658,7 @@ export class RechargeClient {
   /**
    * Make authenticated request with retry logic for session expiry
    */
-  async makeRequestWithRetry(method, endpoint, data = null, params = null, customerId = null, customerEmail = null, sessionToken = null, retryCount = 0) {
+  async makeRequestWithRetry(method, endpoint, data = null, params = null, customerId = null, customerEmail = null, sessionToken = null, retryCount = 0, idempotencyKey = null) {
     const MAX_RETRIES = 2;
 
     // Validate method
@@ -540,6 +698,10 @@ export class RechargeClient {
       },
     };
 
+    if (idempotencyKey) {
+      config.headers[IDEMPOTENCY_KEY_HEADER] = idempotencyKey;
+    }
+
     if (data) {
       config.data = data;
     }
@@ -548,8 +710,13 @@ export class RechargeClient {
       config.params = params;
     }
 
+    // Dry run: show the write instead of sending it; the tool gets a placeholder response
+    if (this.recordDryRunWrite(config)) {
+      return { dry_run: true };
+    }
+
     try {
-      const response = await this.storefrontApi.request(config);
+      const response = await this.sendRequest(this.storefrontApi, this.storefrontLimiter, config);
 
       if (!response || !response.data) {
         throw new Error('Invalid response from API');
@@ -571,18 +738,18 @@ export class RechargeClient {
 
         // Add exponential backoff delay
         const delay = Math.min(1000 * Math.pow(2, retryCount), 5000);
-        await new Promise(resolve => setTimeout(resolve, delay));
+        await sleep(delay);
 
         // Retry with incremented count
         try {
-          return await this.makeRequestWithRetry(method, endpoint, data, params, customerId, customerEmail, null, retryCount + 1);
+          return await this.makeRequestWithRetry(method, endpoint, data, params, customerId, customerEmail, null, retryCount + 1, idempotencyKey);
         } catch (retryError) {
           if (process.env.DEBUG === 'true') {
             console.error(`[DEBUG] Session retry ${retryCount + 1} failed:`, retryError.message);
           }
 
           // If this was the last retry, provide enhanced error context
-          if (retryCount >= MAX_RETRIES - 1) {
+          if (retryCount >= MAX_RETRIES - 1 && !isCancellationError(retryError)) {
             const enhancedError = new Error(
               `Session refresh failed after ${MAX_RETRIES} attempts. Original error: ${error.message}. ` +
               `Final retry error: ${retryError.message}. This may indicate admin token expiry or insufficient permissions.`
@@ -601,6 +768,45 @@ export class RechargeClient {
     }
   }
 
+  /**
+   * Record a Storefront API write instead of sending it when the current tool call is a dry run
+   * @param {Object} config - Axios request config
+   * @returns {boolean} True if the request was recorded and must not be sent
+   */
+  recordDryRunWrite(config) {
+    const { dryRun } = getRequestContext();
+    if (!dryRun || config.method === 'GET') {
+      return false;
+    }
+    dryRun.record(this.storefrontApi.defaults.baseURL, config);
+    return true;
+  }
+
+  /**
+   * Send a request with retries, the host circuit breaker and rate limiting applied
+   * Each attempt fails fast while the circuit is open, otherwise waits for a rate limit token.
+   * The timeout and abort signal come from the current tool call (category default or timeout_ms argument).
+   */
+  async sendRequest(api, limiter, config) {
+    const { timeoutMs, timeoutFromCaller = false, signal } = getRequestContext();
+    const requestConfig = { ...config };
+    if (timeoutMs) {
+      requestConfig.timeout = timeoutMs;
+    }
+    if (signal) {
+      requestConfig.signal = signal;
+    }
+    throwIfCancelled(signal);
+
+    // A timeout the caller chose doesn't say the host is down, so it must not open the circuit
+    const breakerOptions = { countTimeouts: !timeoutFromCaller };
+
+    return await this.retryPolicy.execute(() => this.circuitBreaker.execute(async () => {
+      await limiter.acquire(signal);
+      return await api.request(requestConfig);
+    }, breakerOptions), requestConfig);
+  }
+
   /**
    * Detect if an error indicates session expiry
    */
@@ -639,6 +845,8 @@ export class RechargeClient {
    */
   async clearExpiredSession(customerId, customerEmail, expiredToken) {
     try {
+      customerEmail = this.sessionCache.normalizeEmail(customerEmail);
+
       // Determine the customer ID if not provided
       let finalCustomerId = customerId;
       if (!finalCustomerId && customerEmail) {
@@ -723,7 +931,7 @@ export class RechargeClient {
     }
 
     try {
-      const response = await this.adminApi.request(config);
+      const response = await this.sendRequest(this.adminApi, this.adminLimiter, config);
 
       if (!response || !response.data) {
         throw new Error('Invalid response from Admin API');
@@ -757,8 +965,10 @@ export class RechargeClient {
       throw new Error(`Invalid email format: ${email}`);
     }
 
+    email = this.sessionCache.normalizeEmail(email);
+
     try {
-      const response = await this.makeAdminRequest('GET', '/customers', null, { email: email.trim() });
+      const response = await this.makeAdminRequest('GET', '/customers', null, { email });
 
       if (!response || !response.customers || !Array.isArray(response.customers)) {
         throw new Error('Invalid response format from customer lookup API');
@@ -768,6 +978,19 @@ export class RechargeClient {
         throw new Error(`Customer not found with email: ${email}`);
       }
 
+      // Never guess between duplicate customer records - the caller must pick one by ID
+      if (response.customers.length > 1) {
+        throw new RechargeAPIError(
+          `Multiple customers (${response.customers.length}) match email: ${email}. Specify customer_id to choose one.`,
+          409,
+          'AMBIGUOUS_CUSTOMER',
+          {
+            email,
+            candidates: response.customers.map(candidate => this.summarizeCustomer(candidate)),
+          }
+        );
+      }
+
       const customer = response.customers[0];
       if (!customer || !customer.id) {
         throw new Error('Customer data is incomplete - missing ID');
@@ -782,6 +1005,45 @@ export class RechargeClient {
     }
   }
 
+  /**
+   * List every customer matching an email, so the caller can choose between duplicates explicitly
+   */
+  async findCustomers(email, params = {}) {
+    if (!email || typeof email !== 'string' || email.trim() === '') {
+      throw new Error('Valid email address is required for customer search');
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email.trim())) {
+      throw new Error(`Invalid email format: ${email}`);
+    }
+
+    email = this.sessionCache.normalizeEmail(email);
+
+    const response = await this.makeAdminRequest('GET', '/customers', null, { ...params, email });
+
+    if (!response || !response.customers || !Array.isArray(response.customers)) {
+      throw new Error('Invalid response format from customer search API');
+    }
+
+    return response.customers.map(customer => this.summarizeCustomer(customer));
+  }
+
+  /**
+   * Reduce a customer record to the fields needed to tell duplicates apart
+   */
+  summarizeCustomer(customer) {
+    return {
+      id: customer.id,
+      email: customer.email ?? null,
+      first_name: customer.first_name ?? null,
+      last_name: customer.last_name ?? null,
+      created_at: customer.created_at ?? null,
+      subscriptions_active_count: customer.subscriptions_active_count ?? null,
+      subscriptions_total_count: customer.subscriptions_total_count ?? null,
+    };
+  }
+
   async createCustomerSessionById(customerId, options = {}) {
     if (!customerId) {
       throw new Error('Customer ID is required for session creation');
@@ -1136,15 +1398,47 @@ export class RechargeClient {
   }
 
   // Authentication Methods
-  async loginShopifyAppProxy() {
-    // App Proxy context - session is obtained from Shopify context
-    const response = await this.storefrontApi.post('/sessions', {}, {
+
+  /**
+   * Make a Storefront API request authenticated with the store access token instead of a customer session
+   * Login and passwordless endpoints use this; it applies the same dry-run recording, timeouts,
+   * cancellation, rate limiting, circuit breaker and retries as makeRequest
+   */
+  async makeStorefrontAuthRequest(method, endpoint, data = null) {
+    const config = {
+      method,
+      url: endpoint,
       headers: {
         'X-Recharge-Access-Token': this.storefrontAccessToken,
         'X-Recharge-Version': '2021-11',
       },
-    });
-    return response.data;
+    };
+
+    if (data) {
+      config.data = data;
+    }
+
+    // Dry run: show the request instead of sending it
+    if (this.recordDryRunWrite(config)) {
+      return { dry_run: true };
+    }
+
+    try {
+      const response = await this.sendRequest(this.storefrontApi, this.storefrontLimiter, config);
+
+      if (!response || !response.data) {
+        throw new Error('Invalid response from API');
+      }
+
+      return response.data;
+    } catch (error) {
+      handleAPIError(error);
+    }
+  }
+
+  async loginShopifyAppProxy() {
+    // App Proxy context - session is obtained from Shopify context
+    return await this.makeStorefrontAuthRequest('POST', '/sessions', {});
   }
 
   async loginWithShopifyStorefront(shopifyStorefrontToken, shopifyCustomerAccessToken = null) {
@@ -1155,61 +1449,38 @@ export class RechargeClient {
       shopify_storefront_token: shopifyStorefrontToken,
       ...(shopifyCustomerAccessToken && { shopify_customer_access_token: shopifyCustomerAccessToken }),
     };
-    const response = await this.storefrontApi.post('/sessions', data, {
-      headers: {
-        'X-Recharge-Access-Token': this.storefrontAccessToken,
-        'X-Recharge-Version': '2021-11',
-      },
-    });
-    return response.data;
+    return await this.makeStorefrontAuthRequest('POST', '/sessions', data);
   }
 
   async loginWithShopifyCustomerAccount(shopifyCustomerAccessToken) {
     if (!shopifyCustomerAccessToken) {
       throw new Error('Shopify Customer Access Token is required');
     }
-    const response = await this.storefrontApi.post('/sessions', {
+    return await this.makeStorefrontAuthRequest('POST', '/sessions', {
       shopify_customer_access_token: shopifyCustomerAccessToken,
-    }, {
-      headers: {
-        'X-Recharge-Access-Token': this.storefrontAccessToken,
-        'X-Recharge-Version': '2021-11',
-      },
     });
-    return response.data;
   }
 
   async sendPasswordlessCode(email, options = {}) {
     if (!email || typeof email !== 'string' || email.trim() === '') {
       throw new Error('Email is required');
     }
-    const response = await this.storefrontApi.post('/passwordless/send-code', {
+    const response = await this.makeStorefrontAuthRequest('POST', '/passwordless/send-code', {
       email: email.trim(),
       ...options,
-    }, {
-      headers: {
-        'X-Recharge-Access-Token': this.storefrontAccessToken,
-        'X-Recharge-Version': '2021-11',
-      },
     });
-    return response.data.session_token || response.data;
+    return response.session_token || response;
   }
 
   async validatePasswordlessCode(email, sessionToken, code) {
     if (!email || !sessionToken || !code) {
       throw new Error('Email, session token, and code are required');
     }
-    const response = await this.storefrontApi.post('/passwordless/validate-code', {
+    return await this.makeStorefrontAuthRequest('POST', '/passwordless/validate-code', {
       email: email.trim(),
       session_token: sessionToken,
       code: code.trim(),
-    }, {
-      headers: {
-        'X-Recharge-Access-Token': this.storefrontAccessToken,
-        'X-Recharge-Version': '2021-11',
-      },
     });
-    return response.data;
   }
 
   async sendPasswordlessCodeAppProxy(email, options = {}) {
@@ -1224,13 +1495,7 @@ export class RechargeClient {
 
   async loginCustomerPortal() {
     // Customer Portal context - session obtained from portal environment
-    const response = await this.storefrontApi.post('/sessions/portal', {}, {
-      headers: {
-        'X-Recharge-Access-Token': this.storefrontAccessToken,
-        'X-Recharge-Version': '2021-11',
-      },
-    });
-    return response.data;
+    return await this.makeStorefrontAuthRequest('POST', '/sessions/portal', {});
   }
 
   // Collection Methods
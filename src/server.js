@@ -12,9 +12,35 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import dotenv from 'dotenv';
-import { RechargeClient } from './recharge-client.js';
-import { tools } from './tools/index.js';
-import { formatErrorResponse, validateAuthParams } from './utils/error-handler.js';
+import fs from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { ClientPool } from './utils/client-pool.js';
+import { getDefaultSessionStore } from './utils/session-store.js';
+import { getSharedRateLimiters } from './utils/rate-limiter.js';
+import { getCircuitBreakerStats } from './utils/circuit-breaker.js';
+import { runWithRequestContext, getRequestContext, throwIfCancelled } from './utils/request-context.js';
+import { resolveToolTimeoutMs } from './utils/tool-timeouts.js';
+import {
+  isMutatingTool,
+  deriveIdempotencyKey,
+  getIdempotencyScope,
+  getSharedIdempotencyJournal,
+} from './utils/idempotency.js';
+import { getSharedUndoJournal, runUndoable } from './utils/undo-journal.js';
+import { startHttpTransport } from './http-transport.js';
+import { tools, callOptionsSchema } from './tools/index.js';
+import {
+  formatErrorResponse,
+  validateAuthParams,
+  isCancellationError,
+  createCancellationError,
+  RechargeAPIError,
+} from './utils/error-handler.js';
+import { requiresConfirmation, getSharedConfirmationStore } from './utils/confirmation.js';
+import { isReadOnlyMode, setReadOnlyMode } from './utils/read-only.js';
+import { isDryRunMode, setDryRunMode, DryRunRecorder } from './utils/dry-run.js';
+import { getToolFilter, reloadToolFilter, watchToolFilterConfig } from './utils/tool-filter.js';
+import { zodToJsonSchema } from './utils/json-schema.js';
 
 // Load environment variables
 dotenv.config();
@@ -26,24 +52,123 @@ const serverStats = {
   startTime: new Date(),
   toolCalls: 0,
   errors: 0,
+  cancelledCalls: 0,
   customers: new Set(),
   lastActivity: new Date(),
 };
 
 /**
- * MCP Server instance
+ * Long-lived RechargeClient pool keyed by store domain and token fingerprints
+ * Shared by every tool call (and every HTTP session) so session caches persist
  */
-const server = new Server(
-  {
-    name: process.env.MCP_SERVER_NAME || 'recharge-storefront-api-mcp',
-    version: process.env.MCP_SERVER_VERSION || '1.0.0',
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
+const clientPool = new ClientPool({
+  idleTtlMs: (parseInt(process.env.RECHARGE_CLIENT_IDLE_MINUTES, 10) || 60) * 60 * 1000,
+});
+
+/**
+ * Active transport handle, set once the server starts
+ * stdio: { close } wrapping the single Server; http: the handle from startHttpTransport
+ */
+let activeTransport = null;
+
+/**
+ * Connected MCP servers (one for stdio, one per HTTP session), notified when the tool list changes
+ */
+const activeServers = new Set();
+
+/**
+ * Stops watching the tool filter config file
+ */
+let stopWatchingToolFilter = () => {};
+
+/**
+ * Resolve the transport mode from CLI flags or environment
+ * Accepts --transport=<mode>, --transport <mode>, --http, --stdio, or MCP_TRANSPORT
+ * @returns {string} 'stdio' or 'http'
+ */
+function resolveTransportMode() {
+  const argv = process.argv.slice(2);
+  let mode = process.env.MCP_TRANSPORT;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--http') {
+      mode = 'http';
+    } else if (arg === '--stdio') {
+      mode = 'stdio';
+    } else if (arg.startsWith('--transport=')) {
+      mode = arg.slice('--transport='.length);
+    } else if (arg === '--transport' && argv[i + 1]) {
+      mode = argv[++i];
+    }
   }
-);
+
+  mode = (mode || 'stdio').trim().toLowerCase();
+  if (!['stdio', 'http'].includes(mode)) {
+    throw new Error(`Invalid transport mode: ${mode}. Use 'stdio' or 'http'.`);
+  }
+  return mode;
+}
+
+/**
+ * Resolve read-only mode from the --read-only flag or RECHARGE_MCP_READ_ONLY
+ * @returns {boolean} True if tools that change data must be hidden and refused
+ */
+function resolveReadOnlyMode() {
+  return process.argv.slice(2).includes('--read-only') || isReadOnlyMode();
+}
+
+/**
+ * Resolve global dry-run mode from the --dry-run flag or RECHARGE_MCP_DRY_RUN
+ * @returns {boolean} True if every call should only preview its writes
+ */
+function resolveDryRunMode() {
+  return process.argv.slice(2).includes('--dry-run') || isDryRunMode();
+}
+
+/**
+ * Get the tools this server exposes
+ * Tools disabled by the tool filter, and in read-only mode tools that change data, are left out
+ * @returns {Object[]} Enabled tool definitions
+ */
+function getEnabledTools() {
+  const toolFilter = getToolFilter();
+  const readOnly = isReadOnlyMode();
+  return tools.filter(tool => toolFilter.isEnabled(tool) && !(readOnly && isMutatingTool(tool)));
+}
+
+/**
+ * Reload the tool filter and tell connected clients if the tool list changed
+ * An invalid configuration is reported and the previous filter stays active.
+ * @param {string} reason - What triggered the reload, for logging
+ */
+function reloadToolConfiguration(reason) {
+  const before = getEnabledTools().map(tool => tool.name).join(',');
+
+  try {
+    reloadToolFilter();
+  } catch (error) {
+    console.error(`[ERROR] Tool filter reload (${reason}) failed, keeping the previous configuration: ${error.message}`);
+    return;
+  }
+
+  const enabledTools = getEnabledTools();
+  if (enabledTools.map(tool => tool.name).join(',') === before) {
+    if (process.env.DEBUG === 'true') {
+      console.error(`[DEBUG] Tool filter reloaded (${reason}), tool list unchanged`);
+    }
+    return;
+  }
+
+  console.error(`[INFO] Tool filter reloaded (${reason}): ${enabledTools.length} of ${tools.length} tools enabled`);
+  for (const server of activeServers) {
+    server.sendToolListChanged().catch(error => {
+      if (process.env.DEBUG === 'true') {
+        console.error('[DEBUG] Failed to send tools/list_changed:', error.message);
+      }
+    });
+  }
+}
 
 /**
  * Health check function
@@ -56,9 +181,19 @@ function getHealthStatus() {
   return {
     status: 'healthy',
     uptime: `${uptimeHours}h ${uptimeMinutes}m`,
+    readOnly: isReadOnlyMode(),
+    dryRun: isDryRunMode(),
+    enabledTools: getEnabledTools().length,
+    toolFilter: getToolFilter().getStats(),
     toolCalls: serverStats.toolCalls,
     errors: serverStats.errors,
+    cancelledCalls: serverStats.cancelledCalls,
     uniqueCustomers: serverStats.customers.size,
+    clientPool: clientPool.getStats(),
+    rateLimits: getSharedRateLimiters().getStats(),
+    circuitBreakers: getCircuitBreakerStats(),
+    idempotency: getSharedIdempotencyJournal().getStats(),
+    undo: getSharedUndoJournal().getStats(),
     lastActivity: serverStats.lastActivity.toISOString(),
     memoryUsage: process.memoryUsage(),
     nodeVersion: process.version,
@@ -67,28 +202,176 @@ function getHealthStatus() {
   };
 }
 
+const listedInputSchemas = new Map();
+
+/**
+ * Get the JSON Schema of a tool's arguments for tools/list
+ * Adds the call options that apply to the tool: timeout_ms everywhere, idempotency_key and
+ * dry_run for tools that change data, confirmation_token for tools that can require confirmation.
+ * @param {Object} tool - Tool definition
+ * @returns {Object} JSON Schema
+ */
+function getListedInputSchema(tool) {
+  if (!listedInputSchemas.has(tool.name)) {
+    const inputSchema = zodToJsonSchema(tool.inputSchema);
+    const callOptions = zodToJsonSchema(callOptionsSchema).properties;
+
+    const applicableOptions = { timeout_ms: callOptions.timeout_ms };
+    if (isMutatingTool(tool)) {
+      applicableOptions.idempotency_key = callOptions.idempotency_key;
+      applicableOptions.dry_run = callOptions.dry_run;
+    }
+    if (tool.destructive || tool.previewsChanges || tool.callsTools) {
+      applicableOptions.confirmation_token = callOptions.confirmation_token;
+    }
+
+    inputSchema.properties = { ...inputSchema.properties, ...applicableOptions };
+    listedInputSchemas.set(tool.name, inputSchema);
+  }
+  return listedInputSchemas.get(tool.name);
+}
+
+/**
+ * Get the MCP annotations of a tool for tools/list
+ * The spec assumes a tool that isn't read-only is destructive, so destructiveHint is always
+ * set for those, following the destructive flag that also gates confirmation.
+ * @param {Object} tool - Tool definition
+ * @returns {Object} Tool annotations
+ */
+function getToolAnnotations(tool) {
+  const annotations = { ...tool.annotations };
+  if (!annotations.readOnlyHint) {
+    annotations.destructiveHint = Boolean(tool.destructive);
+  }
+  return annotations;
+}
+
 /**
  * List available tools
  */
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+async function handleListTools() {
+  const enabledTools = getEnabledTools();
+
   if (process.env.DEBUG === 'true') {
-    console.error(`[DEBUG] Listing ${tools.length} available tools`);
+    console.error(`[DEBUG] Listing ${enabledTools.length} available tools`);
   }
   
   return {
-    tools: tools.map(tool => ({
+    tools: enabledTools.map(tool => ({
       name: tool.name,
       description: tool.description,
-      inputSchema: tool.inputSchema,
+      inputSchema: getListedInputSchema(tool),
+      annotations: getToolAnnotations(tool),
+      ...(tool.outputSchema && { outputSchema: tool.outputSchema }),
     })),
   };
-});
+}
+
+/**
+ * Describe what a tool call that needs confirmation will affect
+ * Falls back to listing the arguments when the tool has no describeImpact or it fails.
+ * @returns {Promise<string>} Impact summary
+ */
+async function describeToolImpact(tool, client, args) {
+  const { session_token, admin_token, ...shownArgs } = args;
+  const argumentsLine = `Arguments: ${JSON.stringify(shownArgs)}`;
+
+  if (!tool.describeImpact) {
+    return argumentsLine;
+  }
+
+  try {
+    return await tool.describeImpact(client, args);
+  } catch (error) {
+    if (isCancellationError(error)) {
+      throw error;
+    }
+    return `${argumentsLine}\n(Impact details could not be loaded: ${error.message})`;
+  }
+}
+
+/**
+ * Get the go-ahead for a destructive tool call or an update
+ * A matching confirmation token lets the call proceed. Without one, clients that support
+ * elicitation are asked directly; others get the impact summary and a token to call again with.
+ * @returns {Promise<Object|null>} null to run the tool, or the MCP result to return instead
+ */
+async function confirmToolCall({ tool, client, args, scope, confirmationToken, server, extra }) {
+  const confirmations = getSharedConfirmationStore();
+
+  if (confirmationToken) {
+    confirmations.consume(confirmationToken, tool.name, scope, args);
+    return null;
+  }
+
+  const impact = await describeToolImpact(tool, client, args);
+
+  if (server?.getClientCapabilities()?.elicitation?.form) {
+    try {
+      const response = await server.elicitInput({
+        message: `${tool.name} ${tool.destructive ? 'is a destructive action' : 'will make these changes'}.\n\n${impact}\n\nRun it now?`,
+        requestedSchema: {
+          type: 'object',
+          properties: {
+            confirm: {
+              type: 'boolean',
+              title: `Run ${tool.name}`,
+              description: 'Confirm that this action should run',
+            },
+          },
+          required: ['confirm'],
+        },
+      }, { signal: extra.signal, relatedRequestId: extra.requestId });
+
+      if (response.action === 'accept' && response.content?.confirm === true) {
+        return null;
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${tool.name} was not executed: the user did not confirm it.\n\n${impact}`,
+          },
+        ],
+        _meta: { confirmation: { status: 'declined', action: response.action } },
+      };
+    } catch (error) {
+      if (extra.signal?.aborted) {
+        throw createCancellationError();
+      }
+      // The client advertised elicitation but the request failed; fall back to a token
+      if (process.env.DEBUG === 'true') {
+        console.error(`[DEBUG] Elicitation for ${tool.name} failed, issuing a confirmation token instead:`, error.message);
+      }
+    }
+  }
+
+  const { token, expiresAt } = confirmations.issue(tool.name, scope, args);
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Confirmation required: ${tool.name} has not been executed.\n\n` +
+          `Impact:\n${impact}\n\n` +
+          `To run it, call ${tool.name} again with the same arguments plus "confirmation_token": "${token}". ` +
+          `The token works once and expires at ${expiresAt.toISOString()}.`,
+      },
+    ],
+    _meta: { confirmation: { status: 'required', token, expiresAt: expiresAt.toISOString() } },
+  };
+}
 
 /**
  * Handle tool execution
+ * extra.signal fires when the client cancels the call (notifications/cancelled) or disconnects
+ * @param {Object} request - tools/call request
+ * @param {Object} [extra] - Request context from the SDK (signal, requestId)
+ * @param {Server} [server] - Server that received the request, used for elicitation
  */
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+async function handleCallTool(request, extra = {}, server = null) {
   const { name, arguments: args } = request.params;
+  const { signal } = extra;
   
   // Update statistics
   serverStats.toolCalls++;
@@ -114,9 +397,42 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     return formatErrorResponse(error);
   }
 
+  // Disabled tools are hidden from tools/list, but a client may still call them by name
+  if (!getToolFilter().isEnabled(tool)) {
+    serverStats.errors++;
+    if (process.env.DEBUG === 'true') {
+      console.error(`[DEBUG] Refusing ${name}, disabled by the tool filter`);
+    }
+    return formatErrorResponse(new RechargeAPIError(
+      `Tool ${name} is disabled by the server's tool filter configuration`,
+      403,
+      'TOOL_DISABLED',
+      { tool: name, category: tool.category }
+    ));
+  }
+
+  if (isReadOnlyMode() && isMutatingTool(tool)) {
+    serverStats.errors++;
+    if (process.env.DEBUG === 'true') {
+      console.error(`[DEBUG] Refusing ${name} in read-only mode`);
+    }
+    return formatErrorResponse(new RechargeAPIError(
+      `Tool ${name} changes data and is disabled because the server is running in read-only mode`,
+      403,
+      'READ_ONLY_MODE',
+      { tool: name }
+    ));
+  }
+
+  let dryRun = null;
+
   try {
+    // Separate the options every tool accepts from the tool's own arguments
+    const { timeout_ms, idempotency_key, dry_run, confirmation_token, ...toolArgs } = args || {};
+    const callOptions = callOptionsSchema.parse({ timeout_ms, idempotency_key, dry_run, confirmation_token });
+
     // Validate input schema
-    const validatedArgs = tool.inputSchema.parse(args || {});
+    const validatedArgs = tool.inputSchema.parse(toolArgs);
     
     // Validate authentication parameters
     validateAuthParams(validatedArgs);
@@ -187,8 +503,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
     }
     
-    // Create client with available tokens
-    const client = new RechargeClient({
+    // Reuse the pooled client for this store/token combination
+    const client = clientPool.acquire({
       storeUrl: domain,
       sessionToken,
       adminToken
@@ -199,18 +515,109 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       serverStats.customers.add(validatedArgs.customer_id);
     }
     if (validatedArgs.customer_email) {
-      serverStats.customers.add(validatedArgs.customer_email);
+      serverStats.customers.add(client.sessionCache.normalizeEmail(validatedArgs.customer_email));
     }
     
+    // Calls that change data run once per idempotency key and customer; repeats within the window
+    // replay the result
+    const scope = getIdempotencyScope(domain, validatedArgs, { sessionToken, adminToken });
+    const idempotencyKey = isMutatingTool(tool)
+      ? callOptions.idempotency_key || deriveIdempotencyKey(name, scope, validatedArgs)
+      : null;
+    const idempotentCall = {
+      toolName: name,
+      domain,
+      scope,
+      derived: !callOptions.idempotency_key,
+    };
+    // Tools that run other tools (undo_action) send those calls through this same pipeline, so the
+    // filter, read-only, confirmation and idempotency checks apply to them too. The caller's
+    // confirmation token is passed on to the call it was issued for.
+    const callTool = (toolName, toolArgs) => handleCallTool({
+      params: {
+        name: toolName,
+        arguments: { ...toolArgs, confirmation_token: callOptions.confirmation_token },
+      },
+    }, extra, server);
+    // Reversible changes are recorded with their compensating call for undo_action
+    const execute = () => runUndoable(tool, client, validatedArgs, () => tool.execute(client, validatedArgs, { signal, callTool }));
+
+    // Dry runs record writes instead of sending them, and never enter the idempotency journal.
+    // A call made by another tool records into its caller's dry run.
+    const parentDryRun = getRequestContext().dryRun;
+    if (parentDryRun) {
+      dryRun = parentDryRun;
+    } else if (callOptions.dry_run ?? isDryRunMode()) {
+      dryRun = new DryRunRecorder();
+    }
+
+    // API calls made for this tool call pick up its timeout, abort signal and idempotency key
+    // from the request context
+    const timeoutMs = resolveToolTimeoutMs(tool, callOptions.timeout_ms);
+    const context = {
+      toolName: name,
+      timeoutMs,
+      timeoutFromCaller: callOptions.timeout_ms !== undefined,
+      signal,
+      idempotency: idempotencyKey ? { key: idempotencyKey, requestCount: 0 } : null,
+      // Customer the call acts for, within the store and admin token; undo entries are kept per scope
+      scope,
+      dryRun,
+      // The resource being changed, fetched once for the confirmation summary, undo journal and diff
+      currentResources: new Map(),
+    };
+
+    // Destructive tools and updates may need the user's go-ahead first (nothing runs in a dry run anyway)
+    if (requiresConfirmation(tool, validatedArgs) && !dryRun) {
+      const pendingResult = await runWithRequestContext(context, () => confirmToolCall({
+        tool,
+        client,
+        args: validatedArgs,
+        scope,
+        confirmationToken: callOptions.confirmation_token,
+        server,
+        extra,
+      }));
+      if (pendingResult) {
+        return pendingResult;
+      }
+    }
+
     // Execute the tool
-    const result = await tool.execute(client, validatedArgs);
+    const result = await runWithRequestContext(
+      context,
+      () => idempotencyKey && !dryRun
+        ? getSharedIdempotencyJournal().run(idempotencyKey, idempotentCall, execute)
+        : execute()
+    );
+
+    // A tool that collects per-item failures may finish after being cancelled; report the cancellation
+    throwIfCancelled(signal);
     
     if (process.env.DEBUG === 'true') {
       console.error(`[DEBUG] Tool ${name} executed successfully`);
     }
     
+    // Read-only tools and change previews have nothing to record and return their normal result
+    if (dryRun && (dryRun.requests.length > 0 || (isMutatingTool(tool) && !result._meta?.preview))) {
+      return dryRun.toResult(name);
+    }
+    
     return result;
   } catch (error) {
+    if (isCancellationError(error)) {
+      serverStats.cancelledCalls++;
+      if (process.env.DEBUG === 'true') {
+        console.error(`[DEBUG] Tool ${name} cancelled by the client`);
+      }
+      return formatErrorResponse(error);
+    }
+
+    // The tool may choke on the placeholder response after its writes were recorded
+    if (dryRun?.requests.length > 0) {
+      return dryRun.toResult(name);
+    }
+
     serverStats.errors++;
     
     if (process.env.DEBUG === 'true') {
@@ -222,12 +629,52 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     
     return formatErrorResponse(error);
   }
-});
+}
+
+/**
+ * Create an MCP Server instance with the tool handlers registered
+ * The HTTP transport calls this once per client session; stdio calls it once
+ * @returns {Server} Unconnected MCP server
+ */
+function createServer() {
+  const server = new Server(
+    {
+      name: process.env.MCP_SERVER_NAME || 'recharge-storefront-api-mcp',
+      version: process.env.MCP_SERVER_VERSION || '1.0.0',
+    },
+    {
+      capabilities: {
+        tools: { listChanged: true },
+      },
+    }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, handleListTools);
+  server.setRequestHandler(CallToolRequestSchema, (request, extra) => handleCallTool(request, extra, server));
+
+  activeServers.add(server);
+  server.onclose = () => activeServers.delete(server);
+
+  return server;
+}
+
+/**
+ * Close the active transport and its server sessions
+ */
+async function closeActiveTransport() {
+  stopWatchingToolFilter();
+  if (activeTransport) {
+    await activeTransport.close();
+    activeTransport = null;
+  }
+  clientPool.close();
+}
 
 /**
  * Handle health check requests
  */
-// Note: Health check would be handled by MCP client, not as a custom request handler
+// Note: Health check would be handled by MCP client, not as a custom request handler.
+// In HTTP mode getHealthStatus() is also served on GET /health.
 
 /**
  * Graceful shutdown handling
@@ -239,7 +686,7 @@ process.on('SIGINT', async () => {
   }
   
   try {
-    await server.close();
+    await closeActiveTransport();
     if (process.env.DEBUG === 'true') {
       console.error('[DEBUG] Server closed successfully');
     }
@@ -250,13 +697,17 @@ process.on('SIGINT', async () => {
   process.exit(0);
 });
 
+process.on('SIGHUP', () => {
+  reloadToolConfiguration('SIGHUP');
+});
+
 process.on('SIGTERM', async () => {
   if (process.env.DEBUG === 'true') {
     console.error('[DEBUG] Received SIGTERM, shutting down gracefully...');
   }
   
   try {
-    await server.close();
+    await closeActiveTransport();
   } catch (error) {
     console.error('[ERROR] Error during shutdown:', error.message);
   }
@@ -320,21 +771,59 @@ async function main() {
       console.error('[WARNING] Please update RECHARGE_ADMIN_TOKEN with your actual admin token');
     }
     
-    // Start server
-    const transport = new StdioServerTransport();
-    await server.connect(transport);
+    // Open the session store now so a misconfigured persistent store fails at startup
+    getDefaultSessionStore();
+    
+    setReadOnlyMode(resolveReadOnlyMode());
+    setDryRunMode(resolveDryRunMode());
+    if (isDryRunMode()) {
+      console.error('[INFO] Dry-run mode: writes are previewed, not sent');
+    }
+    if (isReadOnlyMode()) {
+      console.error('[INFO] Read-only mode: tools that change data are disabled');
+    }
+    
+    // Load the tool filter now so an invalid configuration fails at startup
+    const toolFilter = getToolFilter();
+    for (const pattern of toolFilter.findUnmatchedPatterns(tools)) {
+      console.error(`[WARNING] Tool filter pattern "${pattern}" does not match any tool`);
+    }
+    if (getEnabledTools().length < tools.length) {
+      console.error(`[INFO] ${getEnabledTools().length} of ${tools.length} tools enabled`);
+    }
+    stopWatchingToolFilter = watchToolFilterConfig(() => reloadToolConfiguration('config file changed'));
+    
+    // Start server on the selected transport
+    const transportMode = resolveTransportMode();
+    let listeningOn = 'stdio';
+
+    if (transportMode === 'http') {
+      const host = process.env.MCP_HTTP_HOST || '127.0.0.1';
+      const port = parseInt(process.env.MCP_HTTP_PORT || '3000', 10);
+      if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`Invalid MCP_HTTP_PORT: ${process.env.MCP_HTTP_PORT}`);
+      }
+
+      activeTransport = await startHttpTransport(createServer, { host, port, getHealthStatus });
+      listeningOn = `http://${host}:${activeTransport.httpServer.address().port}/mcp (SSE fallback: /sse)`;
+    } else {
+      const server = createServer();
+      await server.connect(new StdioServerTransport());
+      activeTransport = { close: () => server.close() };
+    }
     
     if (process.env.DEBUG === 'true') {
       console.error('[DEBUG] Recharge Storefront API MCP Server started');
       console.error('[DEBUG] Server name:', process.env.MCP_SERVER_NAME || 'recharge-storefront-api-mcp');
       console.error('[DEBUG] Server version:', process.env.MCP_SERVER_VERSION || '1.0.0');
-      console.error('[DEBUG] Available tools:', tools.length);
+      console.error('[DEBUG] Transport:', transportMode);
+      console.error('[DEBUG] Available tools:', getEnabledTools().length);
       console.error('[DEBUG] Store domain:', hasStoreDomain ? process.env.RECHARGE_STOREFRONT_DOMAIN : 'Not configured');
       console.error('[DEBUG] Admin token:', hasAdminToken ? 'Configured' : 'Not configured');
       console.error('[DEBUG] Session token:', (process.env.RECHARGE_SESSION_TOKEN && process.env.RECHARGE_SESSION_TOKEN.trim() !== '') ? 'Configured' : 'Not configured');
     }
     
-    console.error('[INFO] Server ready - listening for MCP requests');
+    console.error(`[INFO] Server ready - listening for MCP requests on ${listeningOn}`);
     
   } catch (error) {
     console.error('[FATAL] Failed to start server:', error.message);
@@ -372,11 +861,16 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1);
 });
 
-// Start the server
-main().catch((error) => {
-  console.error('[FATAL] Server startup failed:', error.message);
-  if (process.env.DEBUG === 'true') {
-    console.error('[DEBUG] Startup error stack:', error.stack);
-  }
-  process.exit(1);
-});
\ No newline at end of file
+// Start the server when run directly (npm start); index.js calls main() itself, and test scripts
+// import handleCallTool without starting a transport
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+  main().catch((error) => {
+    console.error('[FATAL] Server startup failed:', error.message);
+    if (process.env.DEBUG === 'true') {
+      console.error('[DEBUG] Startup error stack:', error.stack);
+    }
+    process.exit(1);
+  });
+}
+
+export { main, createServer, handleCallTool, getHealthStatus };
\ No newline at end of file
@@ -3,7 +3,32 @@
  * Last updated: 2024-12-24
  */
 import { z } from 'zod';
+import { withJsonSchemaRules } from '../utils/json-schema.js';
+import { unwrapResource, describeAddress, describeAddressContents } from '../utils/impact-summary.js';
+import { resourceOutputSchema, listOutputSchema, buildResourceResult, buildListResult } from '../utils/structured-output.js';
 import { validateUnicodeAddressText, validatePostalCode, validatePhoneNumber } from '../utils/unicode-helpers.js';
+import { getUpdateFields, loadCurrentResource, loadChangePreview, formatChangePreview, buildPreviewResult, buildUpdateResult, assertUnchangedSince } from '../utils/change-preview.js';
+
+/**
+ * Fetch the address a call changes, once per tool call
+ */
+function fetchCurrentAddress(client, args) {
+  return loadCurrentResource(
+    `address:${args.address_id}`,
+    () => client.getAddress(args.address_id, args.customer_id, args.customer_email, args.session_token)
+  );
+}
+
+/**
+ * Fetch the address and diff the requested update against it
+ */
+function loadAddressChanges(client, args, updates = getUpdateFields(args, ['address_id'])) {
+  return loadChangePreview(
+    () => fetchCurrentAddress(client, args),
+    'address',
+    updates
+  );
+}
 
 const baseSchema = z.object({
   customer_id: z.string().optional().describe('Customer ID for automatic session creation (optional, used when no session_token provided)'),
@@ -117,6 +142,8 @@ const updateAddressSchema = z.object({
     .refine(val => val === undefined || val === '' || /^[\+]?[\d\s\-\(\)\.]{7,20}$/.test(val.trim()), {
       message: "Phone number format is invalid"
     }),
+  preview: z.boolean().optional().describe('Only show the field-level diff against the current address, without applying the change'),
+  expected_updated_at: z.string().optional().describe('updated_at of the address when you last read it; the update is refused with the current values if it has changed since'),
 }).refine(data => {
   // At least one field to update must be provided
   const updateFields = ['address1', 'address2', 'city', 'province', 'zip', 'country', 'first_name', 'last_name', 'company', 'phone'];
@@ -125,6 +152,10 @@ const updateAddressSchema = z.object({
   message: "At least one field to update must be provided"
 });
 
+withJsonSchemaRules(updateAddressSchema, {
+  anyOf: ['address1', 'address2', 'city', 'province', 'zip', 'country', 'first_name', 'last_name', 'company', 'phone'].map(field => ({ required: [field] })),
+});
+
 const addressDiscountSchema = z.object({
   customer_id: z.string().optional().describe('Customer ID for automatic session creation'),
   customer_email: z.string().email().optional().describe('Customer email for automatic lookup'),
@@ -159,40 +190,31 @@ export const addressTools = [
   {
     name: 'get_addresses',
     description: 'Get addresses for a specific customer',
+    annotations: { title: 'List Addresses', readOnlyHint: true },
     inputSchema: baseSchema,
+    outputSchema: listOutputSchema('address', 'addresses'),
     execute: async (client, args) => {
       const addresses = await client.getAddresses({}, args.customer_id, args.customer_email, args.session_token);
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Addresses:\n${JSON.stringify(addresses, null, 2)}`,
-          },
-        ],
-      };
+      return buildListResult(addresses, 'addresses', describeAddress);
     },
   },
   {
     name: 'get_address',
     description: 'Get detailed information about a specific address',
+    annotations: { title: 'Get Address', readOnlyHint: true },
     inputSchema: addressSchema,
+    outputSchema: resourceOutputSchema('address'),
     execute: async (client, args) => {
       const { address_id } = args;
       const address = await client.getAddress(address_id, args.customer_id, args.customer_email, args.session_token);
       
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Address Details:\n${JSON.stringify(address, null, 2)}`,
-          },
-        ],
-      };
+      return buildResourceResult(address, 'address', describeAddress);
     },
   },
   {
     name: 'create_address',
     description: 'Create a new address',
+    annotations: { title: 'Create Address' },
     inputSchema: createAddressSchema,
     execute: async (client, args) => {
       const addressData = { ...args };
@@ -271,6 +293,9 @@ export const addressTools = [
   {
     name: 'update_address',
     description: 'Update an existing address',
+    annotations: { title: 'Update Address', idempotentHint: true },
+    previewsChanges: true,
+    describeImpact: async (client, args) => formatChangePreview(await loadAddressChanges(client, args)),
     inputSchema: updateAddressSchema,
     execute: async (client, args) => {
       const { address_id } = args;
@@ -281,6 +306,8 @@ export const addressTools = [
       delete addressData.session_token;
       delete addressData.admin_token;
       delete addressData.store_url;
+      delete addressData.preview;
+      delete addressData.expected_updated_at;
       
       // Normalize and validate Unicode text fields
       try {
@@ -336,21 +363,28 @@ export const addressTools = [
         };
       }
       
+      const changes = await loadAddressChanges(client, args, addressData);
+      if (args.expected_updated_at) {
+        assertUnchangedSince(changes, args.expected_updated_at, `Address ${address_id}`, addressData);
+      }
+      if (args.preview) {
+        return buildPreviewResult('update_address', changes);
+      }
+
       const updatedAddress = await client.updateAddress(address_id, addressData, args.customer_id, args.customer_email, args.session_token);
       
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Updated Address:\n${JSON.stringify(updatedAddress, null, 2)}`,
-          },
-        ],
-      };
+      return buildUpdateResult('Updated Address', updatedAddress, changes);
     },
   },
   {
     name: 'delete_address',
     description: 'Delete an address',
+    annotations: { title: 'Delete Address', idempotentHint: true },
+    destructive: true,
+    describeImpact: async (client, args) => {
+      const address = unwrapResource(await fetchCurrentAddress(client, args), 'address');
+      return [describeAddress(address), ...await describeAddressContents(client, args.address_id, args)].join('\n');
+    },
     inputSchema: addressSchema,
     execute: async (client, args) => {
       const { address_id } = args;
@@ -369,6 +403,7 @@ export const addressTools = [
   {
     name: 'apply_discount_to_address',
     description: 'Apply a discount code to all subscriptions at an address',
+    annotations: { title: 'Apply Discount to Address' },
     inputSchema: addressDiscountSchema,
     execute: async (client, args) => {
       const { address_id, discount_code } = args;
@@ -387,6 +422,7 @@ export const addressTools = [
   {
     name: 'remove_discount_from_address',
     description: 'Remove all discounts from subscriptions at an address',
+    annotations: { title: 'Remove Discounts from Address', idempotentHint: true },
     inputSchema: addressSchema,
     execute: async (client, args) => {
       const { address_id } = args;
@@ -405,6 +441,20 @@ export const addressTools = [
   {
     name: 'merge_addresses',
     description: 'Merge two addresses by moving all subscriptions from source to destination address',
+    annotations: { title: 'Merge Addresses' },
+    timeoutCategory: 'long',
+    destructive: true,
+    describeImpact: async (client, args) => {
+      const [source, destination] = await Promise.all([args.source_address_id, args.address_id].map(async addressId => unwrapResource(
+        await client.getAddress(addressId, args.customer_id, args.customer_email, args.session_token),
+        'address'
+      )));
+      return [
+        `Moving everything from ${describeAddress(source)}`,
+        `to ${describeAddress(destination)}`,
+        ...await describeAddressContents(client, args.source_address_id, args),
+      ].join('\n');
+    },
     inputSchema: mergeAddressesSchema,
     execute: async (client, args) => {
       const { address_id, source_address_id } = args;
@@ -423,6 +473,7 @@ export const addressTools = [
   {
     name: 'skip_address_charge',
     description: 'Skip a future charge for all subscriptions at an address',
+    annotations: { title: 'Skip Address Charge', idempotentHint: true },
     inputSchema: skipAddressChargeSchema,
     execute: async (client, args) => {
       const { address_id, charge_id } = args;
@@ -39,6 +39,7 @@ export const authTools = [
     {
         name: 'login_shopify_app_proxy',
         description: 'Retrieve a Recharge session when running within a Shopify App Proxy context. Best for Shopify Theme Storefronts.',
+        annotations: { title: 'Log In via Shopify App Proxy' },
         inputSchema: baseSchema,
         execute: async (client, args) => {
             const session = await client.loginShopifyAppProxy();
@@ -55,6 +56,7 @@ export const authTools = [
     {
         name: 'login_with_shopify_storefront',
         description: 'Retrieve a Recharge session using Shopify Storefront API tokens. Recommended for headless storefronts (Hydrogen) or custom customer portals.',
+        annotations: { title: 'Log In with Shopify Storefront' },
         inputSchema: shopifyStorefrontSchema,
         execute: async (client, args) => {
             const { shopify_storefront_token, shopify_customer_access_token } = args;
@@ -72,6 +74,7 @@ export const authTools = [
     {
         name: 'login_with_shopify_customer_account',
         description: 'Retrieve a Recharge session using the Shopify Customer Account API. For use with modern Shopify Customer Accounts and UI Extensions.',
+        annotations: { title: 'Log In with Shopify Customer Account' },
         inputSchema: shopifyCustomerAccountSchema,
         execute: async (client, args) => {
             const { shopify_customer_access_token } = args;
@@ -89,6 +92,7 @@ export const authTools = [
     {
         name: 'send_passwordless_code',
         description: 'Send a passwordless login code to a customer\'s email or phone. Returns a session token needed for validation.',
+        annotations: { title: 'Send Passwordless Code' },
         inputSchema: sendPasswordlessSchema,
         execute: async (client, args) => {
             const { email, send_email, send_sms } = args;
@@ -110,6 +114,7 @@ export const authTools = [
     {
         name: 'validate_passwordless_code',
         description: 'Complete the passwordless login flow by validating the 6-digit code. Returns a full Recharge session.',
+        annotations: { title: 'Validate Passwordless Code' },
         inputSchema: validatePasswordlessSchema,
         execute: async (client, args) => {
             const { email, session_token, code } = args;
@@ -127,6 +132,7 @@ export const authTools = [
     {
         name: 'send_passwordless_code_app_proxy',
         description: 'Send a passwordless login code via Shopify App Proxy. Same as send_passwordless_code but routed through App Proxy.',
+        annotations: { title: 'Send Passwordless Code via App Proxy' },
         inputSchema: sendPasswordlessSchema,
         execute: async (client, args) => {
             const { email, send_email, send_sms } = args;
@@ -148,6 +154,7 @@ export const authTools = [
     {
         name: 'validate_passwordless_code_app_proxy',
         description: 'Complete the passwordless login flow via Shopify App Proxy. Same as validate_passwordless_code but routed through App Proxy.',
+        annotations: { title: 'Validate Passwordless Code via App Proxy' },
         inputSchema: validatePasswordlessSchema,
         execute: async (client, args) => {
             const { email, session_token, code } = args;
@@ -165,6 +172,7 @@ export const authTools = [
     {
         name: 'login_customer_portal',
         description: 'Retrieve a session when executing within the Recharge Customer Portal environment. Throws error if called outside portal context.',
+        annotations: { title: 'Log In from Customer Portal' },
         inputSchema: baseSchema,
         execute: async (client, args) => {
             const session = await client.loginCustomerPortal();
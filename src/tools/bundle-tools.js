@@ -3,6 +3,7 @@
  * Last updated: 2024-12-24
  */
 import { z } from 'zod';
+import { withJsonSchemaRules } from '../utils/json-schema.js';
 
 const baseSchema = z.object({
   customer_id: z.string().optional().describe('Customer ID for automatic session creation (optional, used when no session_token provided)'),
@@ -81,10 +82,15 @@ const updateBundleSelectionSchema = z.object({
   message: "At least one field to update must be provided"
 });
 
+withJsonSchemaRules(updateBundleSelectionSchema, {
+  anyOf: ['variant_id', 'quantity', 'external_variant_id'].map(field => ({ required: [field] })),
+});
+
 export const bundleTools = [
   {
     name: 'get_bundles',
     description: 'Get bundles for a specific customer',
+    annotations: { title: 'List Bundles', readOnlyHint: true },
     inputSchema: bundleListSchema,
     execute: async (client, args) => {
       const params = { ...args };
@@ -108,6 +114,7 @@ export const bundleTools = [
   {
     name: 'get_bundle',
     description: 'Get detailed information about a specific bundle',
+    annotations: { title: 'Get Bundle', readOnlyHint: true },
     inputSchema: bundleSchema,
     execute: async (client, args) => {
       const { bundle_id } = args;
@@ -126,6 +133,7 @@ export const bundleTools = [
   {
     name: 'get_bundle_selections',
     description: 'Get bundle selections for a specific bundle',
+    annotations: { title: 'List Bundle Selections', readOnlyHint: true },
     inputSchema: bundleSelectionsSchema,
     execute: async (client, args) => {
       const { bundle_id } = args;
@@ -151,6 +159,7 @@ export const bundleTools = [
   {
     name: 'get_bundle_selection',
     description: 'Get detailed information about a specific bundle selection',
+    annotations: { title: 'Get Bundle Selection', readOnlyHint: true },
     inputSchema: bundleSelectionSchema,
     execute: async (client, args) => {
       const { bundle_selection_id } = args;
@@ -169,6 +178,7 @@ export const bundleTools = [
   {
     name: 'create_bundle_selection',
     description: 'Create a bundle selection',
+    annotations: { title: 'Create Bundle Selection' },
     inputSchema: createBundleSelectionSchema,
     execute: async (client, args) => {
       const selectionData = { ...args };
@@ -192,6 +202,7 @@ export const bundleTools = [
   {
     name: 'update_bundle_selection',
     description: 'Update a bundle selection',
+    annotations: { title: 'Update Bundle Selection', idempotentHint: true },
     inputSchema: updateBundleSelectionSchema,
     execute: async (client, args) => {
       const { bundle_selection_id } = args;
@@ -217,6 +228,8 @@ export const bundleTools = [
   {
     name: 'delete_bundle_selection',
     description: 'Delete a bundle selection',
+    annotations: { title: 'Delete Bundle Selection', idempotentHint: true },
+    destructive: true,
     inputSchema: bundleSelectionSchema,
     execute: async (client, args) => {
       const { bundle_selection_id } = args;
@@ -3,6 +3,8 @@
  * Last updated: 2024-12-24
  */
 import { z } from 'zod';
+import { unwrapResource, describeCharge } from '../utils/impact-summary.js';
+import { resourceOutputSchema, listOutputSchema, buildResourceResult, buildListResult } from '../utils/structured-output.js';
 
 const baseSchema = z.object({
   customer_id: z.string().optional().describe('Customer ID for automatic session creation (optional, used when no session_token provided)'),
@@ -56,7 +58,9 @@ export const chargeTools = [
   {
     name: 'get_charges',
     description: 'Get charges for a specific customer',
+    annotations: { title: 'List Charges', readOnlyHint: true },
     inputSchema: chargeListSchema,
+    outputSchema: listOutputSchema('charge', 'charges'),
     execute: async (client, args) => {
       const params = { ...args };
       delete params.customer_id;
@@ -66,37 +70,26 @@ export const chargeTools = [
       delete params.store_url;
       const charges = await client.getCharges(params, args.customer_id, args.customer_email, args.session_token);
       
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Charges:\n${JSON.stringify(charges, null, 2)}`,
-          },
-        ],
-      };
+      return buildListResult(charges, 'charges', describeCharge);
     },
   },
   {
     name: 'get_charge',
     description: 'Get detailed information about a specific charge',
+    annotations: { title: 'Get Charge', readOnlyHint: true },
     inputSchema: chargeSchema,
+    outputSchema: resourceOutputSchema('charge'),
     execute: async (client, args) => {
       const { charge_id } = args;
       const charge = await client.getCharge(charge_id, args.customer_id, args.customer_email, args.session_token);
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Charge Details:\n${JSON.stringify(charge, null, 2)}`,
-          },
-        ],
-      };
+      return buildResourceResult(charge, 'charge', describeCharge);
     },
   },
   {
     name: 'apply_discount_to_charge',
     description: 'Apply a discount code to a specific charge',
+    annotations: { title: 'Apply Discount to Charge' },
     inputSchema: chargeDiscountSchema,
     execute: async (client, args) => {
       const { charge_id, discount_code } = args;
@@ -115,6 +108,7 @@ export const chargeTools = [
   {
     name: 'remove_discount_from_charge',
     description: 'Remove all discounts from a specific charge',
+    annotations: { title: 'Remove Discounts from Charge', idempotentHint: true },
     inputSchema: chargeSchema,
     execute: async (client, args) => {
       const { charge_id } = args;
@@ -133,6 +127,12 @@ export const chargeTools = [
   {
     name: 'skip_charge',
     description: 'Skip a scheduled charge (it will not be processed)',
+    annotations: { title: 'Skip Charge', idempotentHint: true },
+    prepareUndo: async (client, args) => ({
+      tool: 'unskip_charge',
+      args: { charge_id: args.charge_id },
+      description: `unskip charge ${args.charge_id}`,
+    }),
     inputSchema: chargeSchema,
     execute: async (client, args) => {
       const { charge_id } = args;
@@ -151,6 +151,12 @@ export const chargeTools = [
   {
     name: 'unskip_charge',
     description: 'Unskip a previously skipped charge',
+    annotations: { title: 'Unskip Charge', idempotentHint: true },
+    prepareUndo: async (client, args) => ({
+      tool: 'skip_charge',
+      args: { charge_id: args.charge_id },
+      description: `skip charge ${args.charge_id} again`,
+    }),
     inputSchema: chargeSchema,
     execute: async (client, args) => {
       const { charge_id } = args;
@@ -169,6 +175,16 @@ export const chargeTools = [
   {
     name: 'process_charge',
     description: 'Process a charge immediately (attempt to charge the customer now)',
+    annotations: { title: 'Process Charge Now' },
+    timeoutCategory: 'long',
+    destructive: true,
+    describeImpact: async (client, args) => {
+      const charge = unwrapResource(
+        await client.getCharge(args.charge_id, args.customer_id, args.customer_email, args.session_token),
+        'charge'
+      );
+      return [describeCharge(charge), 'Processing bills the customer\'s payment method now instead of on the scheduled date.'].join('\n');
+    },
     inputSchema: chargeSchema,
     execute: async (client, args) => {
       const { charge_id } = args;
@@ -187,6 +203,7 @@ export const chargeTools = [
   {
     name: 'reschedule_charge',
     description: 'Reschedule a charge to a different date',
+    annotations: { title: 'Reschedule Charge', idempotentHint: true },
     inputSchema: chargeRescheduleSchema,
     execute: async (client, args) => {
       const { charge_id, scheduled_at } = args;
@@ -32,6 +32,7 @@ export const collectionTools = [
     {
         name: 'get_collections',
         description: 'Get a paginated list of product collections for the store. Collections help organize products into groups.',
+        annotations: { title: 'List Collections', readOnlyHint: true },
         inputSchema: listCollectionsSchema,
         execute: async (client, args) => {
             const { limit, sort_by, cursor, customer_id, customer_email, session_token } = args;
@@ -54,6 +55,7 @@ export const collectionTools = [
     {
         name: 'get_collection',
         description: 'Get a single collection by its ID. Returns collection details including title and description.',
+        annotations: { title: 'Get Collection', readOnlyHint: true },
         inputSchema: getCollectionSchema,
         execute: async (client, args) => {
             const { collection_id, customer_id, customer_email, session_token } = args;
@@ -71,6 +73,7 @@ export const collectionTools = [
     {
         name: 'get_collection_products',
         description: 'Get all products in a collection, in collection sort order. Returns up to 250 products.',
+        annotations: { title: 'List Collection Products', readOnlyHint: true },
         inputSchema: listCollectionProductsSchema,
         execute: async (client, args) => {
             const { collection_id, format_version, customer_id, customer_email, session_token } = args;
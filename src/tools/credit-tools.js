@@ -31,6 +31,7 @@ export const creditTools = [
     {
         name: 'get_credit_summary',
         description: 'Get the credit summary for the current logged in customer. Shows available credit balance and usage history.',
+        annotations: { title: 'Get Credit Summary', readOnlyHint: true },
         inputSchema: getCreditSummarySchema,
         execute: async (client, args) => {
             const { include, customer_id, customer_email, session_token } = args;
@@ -49,6 +50,7 @@ export const creditTools = [
     {
         name: 'set_apply_credits',
         description: 'Enable or disable the automatic application of credits to the customer\'s next recurring charge.',
+        annotations: { title: 'Set Automatic Credit Use', idempotentHint: true },
         inputSchema: setApplyCreditsSchema,
         execute: async (client, args) => {
             const { recurring, customer_id, customer_email, session_token } = args;
@@ -66,6 +68,7 @@ export const creditTools = [
     {
         name: 'get_credit_accounts',
         description: 'List credit accounts for the current logged in customer. Each account represents a credit source.',
+        annotations: { title: 'List Credit Accounts', readOnlyHint: true },
         inputSchema: listCreditAccountsSchema,
         execute: async (client, args) => {
             const { limit, sort_by, cursor, customer_id, customer_email, session_token } = args;
@@ -3,7 +3,30 @@
  * Last updated: 2024-12-24
  */
 import { z } from 'zod';
+import { withJsonSchemaRules } from '../utils/json-schema.js';
 import { normalizeUnicodeText, validateUnicodeText, validatePhoneNumber } from '../utils/unicode-helpers.js';
+import { getUpdateFields, loadCurrentResource, loadChangePreview, formatChangePreview, buildPreviewResult, buildUpdateResult } from '../utils/change-preview.js';
+
+/**
+ * Fetch the customer a call changes, once per tool call
+ */
+function fetchCurrentCustomer(client, args) {
+  return loadCurrentResource(
+    'customer',
+    () => client.getCustomer(args.customer_id, args.customer_email, args.session_token)
+  );
+}
+
+/**
+ * Fetch the customer and diff the requested update against it
+ */
+function loadCustomerChanges(client, args, updates = getUpdateFields(args, [])) {
+  return loadChangePreview(
+    () => fetchCurrentCustomer(client, args),
+    'customer',
+    updates
+  );
+}
 
 const baseSchema = z.object({
   session_token: z.string().optional().describe('Recharge session token (optional, takes precedence over environment variable if provided)'),
@@ -47,6 +70,7 @@ const updateCustomerSchema = z.object({
     .refine(val => val === undefined || /^[\+]?[\d\s\-\(\)\.]{7,20}$/.test(val.trim()), {
       message: "Phone number format is invalid"
     }),
+  preview: z.boolean().optional().describe('Only show the field-level diff against the current customer, without applying the change'),
 }).refine(data => {
   // At least one field to update must be provided
   const updateFields = ['email', 'first_name', 'last_name', 'phone'];
@@ -55,16 +79,28 @@ const updateCustomerSchema = z.object({
   message: "At least one field to update must be provided"
 });
 
+withJsonSchemaRules(updateCustomerSchema, {
+  anyOf: ['email', 'first_name', 'last_name', 'phone'].map(field => ({ required: [field] })),
+});
+
 const customerByEmailSchema = z.object({
   admin_token: z.string().optional().describe('Recharge admin token (required for customer lookup unless set in environment)'),
   store_url: z.string().optional().describe('Store URL (optional, takes precedence over environment variable if provided)'),
   email: z.string().email().describe('Customer email address'),
 });
 
+const findCustomersSchema = z.object({
+  admin_token: z.string().optional().describe('Recharge admin token (required for customer search unless set in environment)'),
+  store_url: z.string().optional().describe('Store URL (optional, takes precedence over environment variable if provided)'),
+  email: z.string().email().describe('Customer email address'),
+  limit: z.number().min(1).max(250).default(50).describe('Maximum number of customers to return'),
+});
+
 export const customerTools = [
   {
     name: 'get_customer',
     description: 'Retrieve current customer information',
+    annotations: { title: 'Get Customer', readOnlyHint: true },
     inputSchema: customerSchema,
     execute: async (client, args) => {
       const customer = await client.getCustomer(args.customer_id, args.customer_email, args.session_token);
@@ -81,6 +117,9 @@ export const customerTools = [
   {
     name: 'update_customer',
     description: 'Update customer information',
+    annotations: { title: 'Update Customer', idempotentHint: true },
+    previewsChanges: true,
+    describeImpact: async (client, args) => formatChangePreview(await loadCustomerChanges(client, args)),
     inputSchema: updateCustomerSchema,
     execute: async (client, args) => {
       const updateData = { ...args };
@@ -89,6 +128,7 @@ export const customerTools = [
       delete updateData.store_url;
       delete updateData.customer_id;
       delete updateData.customer_email;
+      delete updateData.preview;
 
       // Normalize and validate Unicode text fields
       try {
@@ -129,30 +169,53 @@ export const customerTools = [
         };
       }
 
+      const changes = await loadCustomerChanges(client, args, updateData);
+      if (args.preview) {
+        return buildPreviewResult('update_customer', changes);
+      }
+
       const updatedCustomer = await client.updateCustomer(updateData, args.customer_id, args.customer_email, args.session_token);
 
+      return buildUpdateResult('Updated Customer', updatedCustomer, changes);
+    },
+  },
+  {
+    name: 'get_customer_by_email',
+    description: 'Find customer by email address to get customer ID (requires admin token)',
+    annotations: { title: 'Find Customer by Email', readOnlyHint: true },
+    inputSchema: customerByEmailSchema,
+    execute: async (client, args) => {
+      const { email } = args;
+      const customer = await client.getCustomerByEmail(email);
       return {
         content: [
           {
             type: 'text',
-            text: `Updated Customer:\n${JSON.stringify(updatedCustomer, null, 2)}`,
+            text: `Customer by Email:\n${JSON.stringify(customer, null, 2)}`,
           },
         ],
       };
     },
   },
   {
-    name: 'get_customer_by_email',
-    description: 'Find customer by email address to get customer ID (requires admin token)',
-    inputSchema: customerByEmailSchema,
+    name: 'find_customers',
+    description: 'List every customer record matching an email address, with creation date and subscription counts, so the right customer_id can be chosen when duplicates exist (requires admin token). Use this before any write when an email lookup reports multiple matches.',
+    annotations: { title: 'Find Matching Customers', readOnlyHint: true },
+    inputSchema: findCustomersSchema,
     execute: async (client, args) => {
-      const { email } = args;
-      const customer = await client.getCustomerByEmail(email);
+      const { email, limit } = args;
+      const customers = await client.findCustomers(email, { limit });
+
+      let message = `Customers matching ${email}: ${customers.length}\n`;
+      if (customers.length > 1) {
+        message += `\nMultiple customer records share this email. Pass the intended customer_id to other tools instead of customer_email.\n`;
+      }
+
       return {
         content: [
           {
             type: 'text',
-            text: `Customer by Email:\n${JSON.stringify(customer, null, 2)}`,
+            text: `${message}\n${JSON.stringify(customers, null, 2)}`,
           },
         ],
       };
@@ -161,6 +224,8 @@ export const customerTools = [
   {
     name: 'create_customer_session_by_id',
     description: 'Create a customer session using customer ID (requires admin token)',
+    annotations: { title: 'Create Customer Session' },
+    mutating: false,
     inputSchema: createSessionByIdSchema,
     execute: async (client, args) => {
       const { customer_id, return_url } = args;
@@ -178,6 +243,7 @@ export const customerTools = [
   {
     name: 'get_delivery_schedule',
     description: 'Get upcoming delivery schedule for a customer. Shows future charges, delivery dates, and subscription details.',
+    annotations: { title: 'Get Delivery Schedule', readOnlyHint: true },
     inputSchema: baseSchema.extend({
       limit: z.number().max(100).default(10).optional().describe('Number of upcoming deliveries to return'),
     }),
@@ -197,6 +263,7 @@ export const customerTools = [
   {
     name: 'get_customer_portal_access',
     description: 'Get customer portal access details including URL. Optionally specify a page destination like overview, subscriptions, or orders.',
+    annotations: { title: 'Get Customer Portal Access', readOnlyHint: true },
     inputSchema: baseSchema.extend({
       page_destination: z.enum(['overview', 'subscriptions', 'orders', 'account', 'payment_methods']).optional().describe('Page to redirect customer to in portal'),
     }),
@@ -217,6 +284,7 @@ export const customerTools = [
   {
     name: 'get_churn_landing_page_url',
     description: 'Get the landing page URL for canceling a subscription (Active Churn flow). Provides a guided cancellation experience.',
+    annotations: { title: 'Get Cancellation Page URL', readOnlyHint: true },
     inputSchema: baseSchema.extend({
       subscription_id: z.string().describe('ID of the subscription to cancel'),
       redirect_url: z.string().url().describe('URL to redirect customer after completion'),
@@ -237,6 +305,7 @@ export const customerTools = [
   {
     name: 'get_payment_recovery_url',
     description: 'Get the landing page URL for recovering a failed payment method. Shows issues like expired cards or insufficient funds.',
+    annotations: { title: 'Get Payment Recovery URL', readOnlyHint: true },
     inputSchema: baseSchema,
     execute: async (client, args) => {
       const { customer_id, customer_email, session_token } = args;
@@ -254,6 +323,7 @@ export const customerTools = [
   {
     name: 'get_gift_redemption_url',
     description: 'Get the landing page URL for gift redemption. Allows recipient to redeem a gift subscription.',
+    annotations: { title: 'Get Gift Redemption URL', readOnlyHint: true },
     inputSchema: baseSchema.extend({
       gift_id: z.string().describe('ID of the gift to redeem'),
       redirect_url: z.string().url().describe('URL to redirect customer after completion'),
@@ -274,6 +344,7 @@ export const customerTools = [
   {
     name: 'send_customer_notification',
     description: 'Send a notification to the customer. Supports various notification types like payment update reminders.',
+    annotations: { title: 'Send Customer Notification' },
     inputSchema: baseSchema.extend({
       notification_type: z.enum(['SHOPIFY_UPDATE_PAYMENT_INFO', 'PAYMENT_REMINDER', 'SUBSCRIPTION_RENEWAL']).describe('Type of notification to send'),
       address_id: z.number().optional().describe('Address ID for address-specific notifications'),
@@ -21,6 +21,7 @@ export const giftTools = [
     {
         name: 'get_gift_purchases',
         description: 'Get all gift purchases available to the customer. Returns gifts that can be redeemed.',
+        annotations: { title: 'List Gift Purchases', readOnlyHint: true },
         inputSchema: baseSchema,
         execute: async (client, args) => {
             const { customer_id, customer_email, session_token } = args;
@@ -38,6 +39,7 @@ export const giftTools = [
     {
         name: 'get_gift_purchase',
         description: 'Get a specific gift purchase by ID. Returns gift details including credit_account_id needed for redemption.',
+        annotations: { title: 'Get Gift Purchase', readOnlyHint: true },
         inputSchema: getGiftPurchaseSchema,
         execute: async (client, args) => {
             const { gift_id, customer_id, customer_email, session_token } = args;
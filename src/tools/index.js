@@ -18,22 +18,46 @@ import { collectionTools } from './collection-tools.js';
 import { creditTools } from './credit-tools.js';
 import { giftTools } from './gift-tools.js';
 import { metafieldTools } from './metafield-tools.js';
+import { undoTools } from './undo-tools.js';
+import { z } from 'zod';
+import { MIN_TIMEOUT_MS, MAX_TIMEOUT_MS } from '../utils/tool-timeouts.js';
 
-export const tools = [
-  ...customerTools,
-  ...subscriptionTools,
-  ...addressTools,
-  ...orderTools,
-  ...paymentTools,
-  ...productTools,
-  ...planTools,
-  ...chargeTools,
-  ...onetimeTools,
-  ...bundleTools,
-  ...utilityTools,
-  ...authTools,
-  ...collectionTools,
-  ...creditTools,
-  ...giftTools,
-  ...metafieldTools,
-];
\ No newline at end of file
+/**
+ * Tool groups by category; the tool filter can enable or disable a whole group (category:<name>)
+ */
+export const toolGroups = {
+  customer: customerTools,
+  subscription: subscriptionTools,
+  address: addressTools,
+  order: orderTools,
+  payment: paymentTools,
+  product: productTools,
+  plan: planTools,
+  charge: chargeTools,
+  onetime: onetimeTools,
+  bundle: bundleTools,
+  utility: utilityTools,
+  auth: authTools,
+  collection: collectionTools,
+  credit: creditTools,
+  gift: giftTools,
+  metafield: metafieldTools,
+  undo: undoTools,
+};
+
+export const tools = Object.entries(toolGroups)
+  .flatMap(([category, group]) => group.map(tool => ({ ...tool, category })));
+
+/**
+ * Arguments every tool accepts in addition to its own input schema
+ */
+export const callOptionsSchema = z.object({
+  timeout_ms: z.number().int().min(MIN_TIMEOUT_MS).max(MAX_TIMEOUT_MS).optional()
+    .describe(`Timeout for each Recharge API request made by this call, in milliseconds (${MIN_TIMEOUT_MS}-${MAX_TIMEOUT_MS}). Defaults to the tool category timeout.`),
+  idempotency_key: z.string().trim().min(1).max(200).regex(/^[\w.:-]+$/, 'Use letters, digits, "_", "-", "." and ":" only').optional()
+    .describe('Idempotency key for tools that change data. Repeating a call with the same key within the idempotency window returns the original result instead of applying the change again. Defaults to a key derived from the tool name and arguments.'),
+  dry_run: z.boolean().optional()
+    .describe('Preview the write requests this call would send (method, endpoint, redacted headers and body) without sending them. Defaults to the server\'s dry-run mode.'),
+  confirmation_token: z.string().trim().min(1).optional()
+    .describe('Token returned by the first call to a destructive tool when the server requires confirmation. Call again with the same arguments plus this token to run the action.'),
+});
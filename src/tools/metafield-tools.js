@@ -37,6 +37,7 @@ export const metafieldTools = [
     {
         name: 'create_metafield',
         description: 'Create a new metafield on a resource (customer, subscription, address, order, or charge).',
+        annotations: { title: 'Create Metafield' },
         inputSchema: createMetafieldSchema,
         execute: async (client, args) => {
             const { key, namespace, owner_id, owner_resource, value, value_type, description, customer_id, customer_email, session_token } = args;
@@ -63,6 +64,7 @@ export const metafieldTools = [
     {
         name: 'update_metafield',
         description: 'Update an existing metafield by its ID. Can update value and/or description.',
+        annotations: { title: 'Update Metafield', idempotentHint: true },
         inputSchema: updateMetafieldSchema,
         execute: async (client, args) => {
             const { metafield_id, value, description, customer_id, customer_email, session_token } = args;
@@ -84,6 +86,8 @@ export const metafieldTools = [
     {
         name: 'delete_metafield',
         description: 'Delete a metafield by its ID. This action cannot be undone.',
+        annotations: { title: 'Delete Metafield', idempotentHint: true },
+        destructive: true,
         inputSchema: deleteMetafieldSchema,
         execute: async (client, args) => {
             const { metafield_id, customer_id, customer_email, session_token } = args;
@@ -3,6 +3,30 @@
  * Last updated: 2024-12-24
  */
 import { z } from 'zod';
+import { withJsonSchemaRules } from '../utils/json-schema.js';
+import { unwrapResource, describeOnetime } from '../utils/impact-summary.js';
+import { getUpdateFields, loadCurrentResource, loadChangePreview, formatChangePreview, buildPreviewResult, buildUpdateResult } from '../utils/change-preview.js';
+
+/**
+ * Fetch the one-time product a call changes, once per tool call
+ */
+function fetchCurrentOnetime(client, args) {
+  return loadCurrentResource(
+    `onetime:${args.onetime_id}`,
+    () => client.getOnetime(args.onetime_id, args.customer_id, args.customer_email, args.session_token)
+  );
+}
+
+/**
+ * Fetch the one-time product and diff the requested update against it
+ */
+function loadOnetimeChanges(client, args, updates = getUpdateFields(args, ['onetime_id'])) {
+  return loadChangePreview(
+    () => fetchCurrentOnetime(client, args),
+    'onetime',
+    updates
+  );
+}
 
 const baseSchema = z.object({
   customer_id: z.string().optional().describe('Customer ID for automatic session creation (optional, used when no session_token provided)'),
@@ -51,6 +75,7 @@ const updateOnetimeSchema = z.object({
     name: z.string(),
     value: z.string(),
   })).optional().describe('Product properties'),
+  preview: z.boolean().optional().describe('Only show the field-level diff against the current one-time product, without applying the change'),
 }).refine(data => {
   // At least one field to update must be provided
   const updateFields = ['quantity', 'price', 'next_charge_scheduled_at', 'properties'];
@@ -59,10 +84,15 @@ const updateOnetimeSchema = z.object({
   message: "At least one field to update must be provided"
 });
 
+withJsonSchemaRules(updateOnetimeSchema, {
+  anyOf: ['quantity', 'price', 'next_charge_scheduled_at', 'properties'].map(field => ({ required: [field] })),
+});
+
 export const onetimeTools = [
   {
     name: 'get_onetimes',
     description: 'Get one-time products for a specific customer',
+    annotations: { title: 'List One-time Products', readOnlyHint: true },
     inputSchema: baseSchema,
     execute: async (client, args) => {
       const onetimes = await client.getOnetimes({}, args.customer_id, args.customer_email, args.session_token);
@@ -79,6 +109,7 @@ export const onetimeTools = [
   {
     name: 'get_onetime',
     description: 'Get detailed information about a specific one-time product',
+    annotations: { title: 'Get One-time Product', readOnlyHint: true },
     inputSchema: onetimeSchema,
     execute: async (client, args) => {
       const { onetime_id } = args;
@@ -97,6 +128,7 @@ export const onetimeTools = [
   {
     name: 'create_onetime',
     description: 'Create a one-time product to add to next delivery',
+    annotations: { title: 'Add One-time Product' },
     inputSchema: createOnetimeSchema,
     execute: async (client, args) => {
       const onetimeData = { ...args };
@@ -120,6 +152,9 @@ export const onetimeTools = [
   {
     name: 'update_onetime',
     description: 'Update a one-time product',
+    annotations: { title: 'Update One-time Product', idempotentHint: true },
+    previewsChanges: true,
+    describeImpact: async (client, args) => formatChangePreview(await loadOnetimeChanges(client, args)),
     inputSchema: updateOnetimeSchema,
     execute: async (client, args) => {
       const { onetime_id } = args;
@@ -130,21 +165,27 @@ export const onetimeTools = [
       delete onetimeData.session_token;
       delete onetimeData.admin_token;
       delete onetimeData.store_url;
+      delete onetimeData.preview;
+
+      const changes = await loadOnetimeChanges(client, args, onetimeData);
+      if (args.preview) {
+        return buildPreviewResult('update_onetime', changes);
+      }
+
       const updatedOnetime = await client.updateOnetime(onetime_id, onetimeData, args.customer_id, args.customer_email, args.session_token);
       
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Updated One-time Product:\n${JSON.stringify(updatedOnetime, null, 2)}`,
-          },
-        ],
-      };
+      return buildUpdateResult('Updated One-time Product', updatedOnetime, changes);
     },
   },
   {
     name: 'delete_onetime',
     description: 'Delete a one-time product',
+    annotations: { title: 'Delete One-time Product', idempotentHint: true },
+    destructive: true,
+    describeImpact: async (client, args) => {
+      const onetime = unwrapResource(await fetchCurrentOnetime(client, args), 'onetime');
+      return describeOnetime(onetime);
+    },
     inputSchema: onetimeSchema,
     execute: async (client, args) => {
       const { onetime_id } = args;
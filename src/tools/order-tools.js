@@ -3,6 +3,8 @@
  * Last updated: 2024-12-24
  */
 import { z } from 'zod';
+import { describeOrder } from '../utils/impact-summary.js';
+import { resourceOutputSchema, listOutputSchema, buildResourceResult, buildListResult } from '../utils/structured-output.js';
 
 const baseSchema = z.object({
   customer_id: z.string().optional().describe('Customer ID for automatic session creation (optional, used when no session_token provided)'),
@@ -36,7 +38,9 @@ export const orderTools = [
   {
     name: 'get_orders',
     description: 'Get orders for a specific customer',
+    annotations: { title: 'List Orders', readOnlyHint: true },
     inputSchema: orderListSchema,
+    outputSchema: listOutputSchema('order', 'orders'),
     execute: async (client, args) => {
       const params = { ...args };
       delete params.customer_id;
@@ -46,32 +50,20 @@ export const orderTools = [
       delete params.store_url;
       const orders = await client.getOrders(params, args.customer_id, args.customer_email, args.session_token);
       
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Orders:\n${JSON.stringify(orders, null, 2)}`,
-          },
-        ],
-      };
+      return buildListResult(orders, 'orders', describeOrder);
     },
   },
   {
     name: 'get_order',
     description: 'Get detailed information about a specific order',
+    annotations: { title: 'Get Order', readOnlyHint: true },
     inputSchema: orderSchema,
+    outputSchema: resourceOutputSchema('order'),
     execute: async (client, args) => {
       const { order_id } = args;
       const order = await client.getOrder(order_id, args.customer_id, args.customer_email, args.session_token);
       
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Order Details:\n${JSON.stringify(order, null, 2)}`,
-          },
-        ],
-      };
+      return buildResourceResult(order, 'order', describeOrder);
     },
   },
 ];
\ No newline at end of file
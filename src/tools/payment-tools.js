@@ -3,6 +3,7 @@
  * Last updated: 2024-12-24
  */
 import { z } from 'zod';
+import { withJsonSchemaRules } from '../utils/json-schema.js';
 
 const baseSchema = z.object({
   customer_id: z.string().optional().describe('Customer ID for automatic session creation (optional, used when no session_token provided)'),
@@ -47,10 +48,15 @@ const updatePaymentMethodSchema = z.object({
   message: "billing_address must be provided for payment method update"
 });
 
+withJsonSchemaRules(updatePaymentMethodSchema, {
+  required: ['payment_method_id', 'billing_address'],
+});
+
 export const paymentTools = [
   {
     name: 'get_payment_methods',
     description: 'Get payment methods for a specific customer',
+    annotations: { title: 'List Payment Methods', readOnlyHint: true },
     inputSchema: baseSchema,
     execute: async (client, args) => {
       const paymentMethods = await client.getPaymentMethods({}, args.customer_id, args.customer_email, args.session_token);
@@ -67,6 +73,7 @@ export const paymentTools = [
   {
     name: 'get_payment_method',
     description: 'Get detailed information about a specific payment method',
+    annotations: { title: 'Get Payment Method', readOnlyHint: true },
     inputSchema: paymentMethodSchema,
     execute: async (client, args) => {
       const { payment_method_id } = args;
@@ -85,6 +92,7 @@ export const paymentTools = [
   {
     name: 'update_payment_method',
     description: 'Update payment method billing information',
+    annotations: { title: 'Update Payment Method', idempotentHint: true },
     inputSchema: updatePaymentMethodSchema,
     execute: async (client, args) => {
       const { payment_method_id } = args;
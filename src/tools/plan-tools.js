@@ -27,6 +27,7 @@ export const planTools = [
     {
         name: 'get_plans',
         description: 'Get a list of subscription plans. Plans define the subscription options available for products, including frequency intervals and discounts.',
+        annotations: { title: 'List Plans', readOnlyHint: true },
         inputSchema: planListSchema,
         execute: async (client, args) => {
             const params = {
@@ -53,6 +54,7 @@ export const planTools = [
     {
         name: 'get_plan',
         description: 'Get detailed information about a specific subscription plan, including frequency options, discounts, and product associations.',
+        annotations: { title: 'Get Plan', readOnlyHint: true },
         inputSchema: planSchema,
         execute: async (client, args) => {
             const { plan_id } = args;
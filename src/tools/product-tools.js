@@ -36,6 +36,7 @@ export const productTools = [
   {
     name: 'get_products',
     description: 'Get available products with optional filtering',
+    annotations: { title: 'List Products', readOnlyHint: true },
     inputSchema: productListSchema,
     execute: async (client, args) => {
       const params = { ...args };
@@ -59,6 +60,7 @@ export const productTools = [
   {
     name: 'get_product',
     description: 'Get detailed information about a specific product',
+    annotations: { title: 'Get Product', readOnlyHint: true },
     inputSchema: productSchema,
     execute: async (client, args) => {
       const { product_id } = args;
@@ -77,6 +79,7 @@ export const productTools = [
   {
     name: 'search_products',
     description: 'Search for products using a query string. Useful for finding products by name, title, or other attributes.',
+    annotations: { title: 'Search Products', readOnlyHint: true },
     inputSchema: baseSchema.extend({
       query: z.string().describe('Search query string'),
       limit: z.number().max(250).default(50).optional().describe('Number of results to return'),
@@ -3,6 +3,31 @@
  * Last updated: 2024-12-24
  */
 import { z } from 'zod';
+import { withJsonSchemaRules } from '../utils/json-schema.js';
+import { unwrapResource, describeSubscription } from '../utils/impact-summary.js';
+import { resourceOutputSchema, listOutputSchema, buildResourceResult, buildListResult } from '../utils/structured-output.js';
+import { getUpdateFields, loadCurrentResource, getPreviousValues, loadChangePreview, formatChangePreview, buildPreviewResult, buildUpdateResult, assertUnchangedSince } from '../utils/change-preview.js';
+
+/**
+ * Fetch the subscription a call changes, once per tool call
+ */
+function fetchCurrentSubscription(client, args) {
+  return loadCurrentResource(
+    `subscription:${args.subscription_id}`,
+    () => client.getSubscription(args.subscription_id, args.customer_id, args.customer_email, args.session_token)
+  );
+}
+
+/**
+ * Fetch the subscription and diff the requested update against it
+ */
+function loadSubscriptionChanges(client, args, updates = getUpdateFields(args, ['subscription_id'])) {
+  return loadChangePreview(
+    () => fetchCurrentSubscription(client, args),
+    'subscription',
+    updates
+  );
+}
 
 const baseSchema = z.object({
   customer_id: z.string().optional().describe('Customer ID for automatic session creation (optional, used when no session_token provided)'),
@@ -48,6 +73,8 @@ const updateSubscriptionSchema = z.object({
     name: z.string(),
     value: z.string(),
   })).optional().describe('Product properties'),
+  preview: z.boolean().optional().describe('Only show the field-level diff against the current subscription, without applying the change'),
+  expected_updated_at: z.string().optional().describe('updated_at of the subscription when you last read it; the update is refused with the current values if it has changed since'),
 }).refine(data => {
   // At least one field to update must be provided
   const updateFields = ['next_charge_scheduled_at', 'order_interval_frequency', 'order_interval_unit', 'quantity', 'variant_id', 'properties'];
@@ -101,6 +128,18 @@ const updateSubscriptionSchema = z.object({
   message: "Invalid frequency range. Daily: 1-90 days, Weekly: 1-52 weeks, Monthly: 1-12 months. Frequency must be a positive integer."
 });
 
+withJsonSchemaRules(updateSubscriptionSchema, {
+  anyOf: ['next_charge_scheduled_at', 'order_interval_frequency', 'order_interval_unit', 'quantity', 'variant_id', 'properties'].map(field => ({ required: [field] })),
+  dependentRequired: {
+    order_interval_frequency: ['order_interval_unit'],
+    order_interval_unit: ['order_interval_frequency'],
+  },
+  allOf: [['day', 90], ['week', 52], ['month', 12]].map(([unit, maximum]) => ({
+    if: { properties: { order_interval_unit: { const: unit } }, required: ['order_interval_unit'] },
+    then: { properties: { order_interval_frequency: { type: 'integer', minimum: 1, maximum } } },
+  })),
+});
+
 const skipSubscriptionSchema = z.object({
   customer_id: z.string().optional().describe('Customer ID for automatic session creation (optional, used when no session_token provided)'),
   customer_email: z.string().email().optional().describe('Customer email for automatic lookup and session creation (optional, used when no session_token or customer_id provided)'),
@@ -134,6 +173,10 @@ const swapSubscriptionSchema = z.object({
   message: "variant_id must be greater than 0"
 });
 
+withJsonSchemaRules(swapSubscriptionSchema, {
+  properties: { variant_id: { exclusiveMinimum: 0 } },
+});
+
 const cancelSubscriptionSchema = z.object({
   customer_id: z.string().optional().describe('Customer ID for automatic session creation (optional, used when no session_token provided)'),
   customer_email: z.string().email().optional().describe('Customer email for automatic lookup and session creation (optional, used when no session_token or customer_id provided)'),
@@ -196,7 +239,9 @@ export const subscriptionTools = [
   {
     name: 'get_subscriptions',
     description: 'Get subscriptions for a specific customer',
+    annotations: { title: 'List Subscriptions', readOnlyHint: true },
     inputSchema: subscriptionListSchema,
+    outputSchema: listOutputSchema('subscription', 'subscriptions'),
     execute: async (client, args) => {
       const params = { ...args };
       delete params.customer_id;
@@ -207,19 +252,13 @@ export const subscriptionTools = [
 
       const subscriptions = await client.getSubscriptions(params, args.customer_id, args.customer_email, args.session_token);
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Subscriptions:\n${JSON.stringify(subscriptions, null, 2)}`,
-          },
-        ],
-      };
+      return buildListResult(subscriptions, 'subscriptions', describeSubscription);
     },
   },
   {
     name: 'create_subscription',
     description: 'Create a new subscription',
+    annotations: { title: 'Create Subscription' },
     inputSchema: createSubscriptionSchema,
     execute: async (client, args) => {
       // Validate variant_id is positive
@@ -444,24 +483,31 @@ export const subscriptionTools = [
   {
     name: 'get_subscription',
     description: 'Get detailed information about a specific subscription',
+    annotations: { title: 'Get Subscription', readOnlyHint: true },
     inputSchema: subscriptionSchema,
+    outputSchema: resourceOutputSchema('subscription'),
     execute: async (client, args) => {
       const { subscription_id } = args;
       const subscription = await client.getSubscription(subscription_id, args.customer_id, args.customer_email, args.session_token);
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Subscription Details:\n${JSON.stringify(subscription, null, 2)}`,
-          },
-        ],
-      };
+      return buildResourceResult(subscription, 'subscription', describeSubscription);
     },
   },
   {
     name: 'update_subscription',
     description: 'Update subscription details like frequency, quantity, or next charge date',
+    annotations: { title: 'Update Subscription', idempotentHint: true },
+    prepareUndo: async (client, args) => {
+      const subscription = unwrapResource(await fetchCurrentSubscription(client, args), 'subscription');
+      const previous = getPreviousValues(subscription, getUpdateFields(args, ['subscription_id']));
+      return {
+        tool: 'update_subscription',
+        args: { subscription_id: args.subscription_id, ...previous },
+        description: `restore ${Object.keys(previous).join(', ')} on subscription ${args.subscription_id}`,
+      };
+    },
+    previewsChanges: true,
+    describeImpact: async (client, args) => formatChangePreview(await loadSubscriptionChanges(client, args)),
     inputSchema: updateSubscriptionSchema,
     execute: async (client, args) => {
       // Additional business logic validation
@@ -618,18 +664,21 @@ export const subscriptionTools = [
       delete updateData.session_token;
       delete updateData.admin_token;
       delete updateData.store_url;
+      delete updateData.preview;
+      delete updateData.expected_updated_at;
+
+      const changes = await loadSubscriptionChanges(client, args, updateData);
+      if (args.expected_updated_at) {
+        assertUnchangedSince(changes, args.expected_updated_at, `Subscription ${subscription_id}`, updateData);
+      }
+      if (args.preview) {
+        return buildPreviewResult('update_subscription', changes);
+      }
 
       try {
         const updatedSubscription = await client.updateSubscription(subscription_id, updateData, args.customer_id, args.customer_email, args.session_token);
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Updated Subscription:\n${JSON.stringify(updatedSubscription, null, 2)}`,
-            },
-          ],
-        };
+        return buildUpdateResult('Updated Subscription', updatedSubscription, changes);
       } catch (error) {
         // Enhanced error handling for common subscription update issues
         if (error.message.includes('frequency') || error.message.includes('interval')) {
@@ -676,6 +725,12 @@ export const subscriptionTools = [
   {
     name: 'skip_subscription',
     description: 'Skip a subscription delivery for a specific date',
+    annotations: { title: 'Skip Subscription Delivery', idempotentHint: true },
+    prepareUndo: async (client, args) => ({
+      tool: 'unskip_subscription',
+      args: { subscription_id: args.subscription_id, date: args.date },
+      description: `unskip subscription ${args.subscription_id} for ${args.date}`,
+    }),
     inputSchema: skipSubscriptionSchema,
     execute: async (client, args) => {
       const { subscription_id, date } = args;
@@ -694,6 +749,12 @@ export const subscriptionTools = [
   {
     name: 'unskip_subscription',
     description: 'Unskip a previously skipped subscription delivery',
+    annotations: { title: 'Unskip Subscription Delivery', idempotentHint: true },
+    prepareUndo: async (client, args) => ({
+      tool: 'skip_subscription',
+      args: { subscription_id: args.subscription_id, date: args.date },
+      description: `skip subscription ${args.subscription_id} for ${args.date} again`,
+    }),
     inputSchema: unskipSubscriptionSchema,
     execute: async (client, args) => {
       const { subscription_id, date } = args;
@@ -712,6 +773,27 @@ export const subscriptionTools = [
   {
     name: 'swap_subscription',
     description: 'Swap the variant of a subscription',
+    annotations: { title: 'Swap Subscription Variant', idempotentHint: true },
+    prepareUndo: async (client, args) => {
+      const subscription = unwrapResource(await fetchCurrentSubscription(client, args), 'subscription');
+      const previousVariantId = parseInt(
+        subscription.shopify_variant_id ?? subscription.external_variant_id?.ecommerce ?? subscription.variant_id,
+        10
+      );
+      if (!previousVariantId) {
+        throw new Error(`Subscription ${args.subscription_id} has no variant to swap back to`);
+      }
+
+      const undoArgs = { subscription_id: args.subscription_id, variant_id: previousVariantId };
+      if (args.quantity !== undefined && subscription.quantity !== undefined) {
+        undoArgs.quantity = Number(subscription.quantity);
+      }
+      return {
+        tool: 'swap_subscription',
+        args: undoArgs,
+        description: `swap subscription ${args.subscription_id} back to variant ${previousVariantId}`,
+      };
+    },
     inputSchema: swapSubscriptionSchema,
     execute: async (client, args) => {
       const { subscription_id } = args;
@@ -737,6 +819,20 @@ export const subscriptionTools = [
   {
     name: 'cancel_subscription',
     description: 'Cancel a subscription',
+    annotations: { title: 'Cancel Subscription', idempotentHint: true },
+    prepareUndo: async (client, args) => ({
+      tool: 'activate_subscription',
+      args: { subscription_id: args.subscription_id },
+      description: `reactivate subscription ${args.subscription_id}`,
+    }),
+    destructive: true,
+    describeImpact: async (client, args) => {
+      const subscription = unwrapResource(await fetchCurrentSubscription(client, args), 'subscription');
+      return [
+        describeSubscription(subscription),
+        'Cancelling stops every future charge and delivery of this subscription.',
+      ].join('\n');
+    },
     inputSchema: cancelSubscriptionSchema,
     execute: async (client, args) => {
       const { subscription_id } = args;
@@ -762,6 +858,7 @@ export const subscriptionTools = [
   {
     name: 'activate_subscription',
     description: 'Activate a cancelled subscription',
+    annotations: { title: 'Reactivate Subscription', idempotentHint: true },
     inputSchema: activateSubscriptionSchema,
     execute: async (client, args) => {
       const { subscription_id } = args;
@@ -780,6 +877,7 @@ export const subscriptionTools = [
   {
     name: 'set_subscription_next_charge',
     description: 'Set the next charge date for a subscription',
+    annotations: { title: 'Set Next Charge Date', idempotentHint: true },
     inputSchema: setNextChargeDateSchema,
     execute: async (client, args) => {
       const { subscription_id, date } = args;
@@ -798,6 +896,7 @@ export const subscriptionTools = [
   {
     name: 'change_subscription_address',
     description: 'Move a subscription to a different address',
+    annotations: { title: 'Change Subscription Address', idempotentHint: true },
     inputSchema: changeAddressSchema,
     execute: async (client, args) => {
       const { subscription_id, address_id } = args;
@@ -816,6 +915,7 @@ export const subscriptionTools = [
   {
     name: 'skip_gift_subscription_charge',
     description: 'Gift a subscription by skipping charges for the customer and creating onetime products for the recipient',
+    annotations: { title: 'Gift Subscription Delivery' },
     inputSchema: z.object({
       customer_id: z.string().optional().describe('Customer ID for automatic session creation'),
       customer_email: z.string().email().optional().describe('Customer email for automatic lookup'),
@@ -849,6 +949,8 @@ export const subscriptionTools = [
   {
     name: 'bulk_create_subscriptions',
     description: 'Create multiple subscriptions in a single request. Each subscription needs address_id, product info, and frequency settings.',
+    annotations: { title: 'Create Subscriptions in Bulk' },
+    timeoutCategory: 'long',
     inputSchema: z.object({
       customer_id: z.string().optional().describe('Customer ID for automatic session creation'),
       customer_email: z.string().email().optional().describe('Customer email for automatic lookup'),
@@ -885,6 +987,8 @@ export const subscriptionTools = [
   {
     name: 'bulk_update_subscriptions',
     description: 'Update multiple subscriptions at once (max 20). All subscriptions must be at the same address.',
+    annotations: { title: 'Update Subscriptions in Bulk', idempotentHint: true },
+    timeoutCategory: 'long',
     inputSchema: z.object({
       customer_id: z.string().optional().describe('Customer ID for automatic session creation'),
       customer_email: z.string().email().optional().describe('Customer email for automatic lookup'),
@@ -0,0 +1,160 @@
+/**
+ * Undo tools for reversing recent changes
+ * Last updated: 2026-10-19
+ */
+import { z } from 'zod';
+import { getSharedUndoJournal } from '../utils/undo-journal.js';
+import { getRequestContext } from '../utils/request-context.js';
+
+const listRecentActionsSchema = z.object({
+  customer_id: z.string().optional().describe('Customer ID whose actions to list (optional, use the same customer identification as the original calls)'),
+  customer_email: z.string().email().optional().describe('Customer email whose actions to list (optional, use the same customer identification as the original calls)'),
+  session_token: z.string().optional().describe('Recharge session token (optional, needed when the original calls were made with a session token)'),
+  admin_token: z.string().optional().describe('Recharge admin token (optional, takes precedence over environment variable if provided)'),
+  store_url: z.string().optional().describe('Store URL (optional, takes precedence over environment variable if provided)'),
+  limit: z.number().int().min(1).max(100).default(20).describe('Number of actions to return, newest first'),
+  include_undone: z.boolean().default(true).describe('Include actions that were already undone'),
+});
+
+const undoActionSchema = z.object({
+  customer_id: z.string().optional().describe('Customer ID (optional, must identify the customer the same way as the original action)'),
+  customer_email: z.string().email().optional().describe('Customer email (optional, must identify the customer the same way as the original action)'),
+  session_token: z.string().optional().describe('Recharge session token (optional, needed when the original action was made with a session token)'),
+  admin_token: z.string().optional().describe('Recharge admin token (optional, takes precedence over environment variable if provided)'),
+  store_url: z.string().optional().describe('Store URL (optional, takes precedence over environment variable if provided)'),
+  action_id: z.string().describe('ID of the action to reverse, from list_recent_actions or the original tool result'),
+});
+
+// Arguments of undo_action that are passed on to the compensating call
+const IDENTITY_FIELDS = ['customer_id', 'customer_email', 'session_token', 'admin_token', 'store_url'];
+
+/**
+ * Describe an action on one line
+ */
+function describeAction(action) {
+  const customer = action.customer.customer_id || action.customer.customer_email || 'session customer';
+  const status = action.status === 'undone' ? `undone at ${action.undoneAt}` : `undo: ${action.undo.description}`;
+  return `${action.id} | ${action.createdAt} | ${action.tool} ${JSON.stringify(action.args)} | customer ${customer} | ${status}`;
+}
+
+export const undoTools = [
+  {
+    name: 'list_recent_actions',
+    description: 'List recent reversible changes made through this server (skips, swaps, subscription updates, cancellations) with their action IDs and how undo_action would reverse them',
+    annotations: { title: 'List Recent Actions', readOnlyHint: true, openWorldHint: false },
+    mutating: false,
+    inputSchema: listRecentActionsSchema,
+    execute: async (client, args) => {
+      const { limit, include_undone } = args;
+      const actions = getSharedUndoJournal().list(getRequestContext().scope, { limit, includeUndone: include_undone });
+
+      const text = actions.length === 0
+        ? `No recent reversible actions for this customer on ${client.currentDomain}.`
+        : `Recent actions for this customer on ${client.currentDomain} (newest first):\n${actions.map(describeAction).join('\n')}`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text,
+          },
+        ],
+        _meta: { actions },
+      };
+    },
+  },
+  {
+    name: 'undo_action',
+    description: 'Reverse a recent action by running its compensating call (unskip, swap back, restore previous fields, reactivate). Use list_recent_actions to find the action ID.',
+    annotations: { title: 'Undo Action' },
+    // The compensating call goes through the server's tool call pipeline and may need confirmation
+    callsTools: true,
+    inputSchema: undoActionSchema,
+    execute: async (client, args, { callTool }) => {
+      const journal = getSharedUndoJournal();
+      const action = journal.get(args.action_id, getRequestContext().scope);
+
+      if (!action) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: No recent action ${args.action_id} for this customer on ${client.currentDomain}. Only the most recent actions of this server process can be undone, by the same customer and admin token that made them; use list_recent_actions to see them.`,
+            },
+          ],
+          isError: true,
+        };
+      }
+
+      if (action.status === 'undone') {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: Action ${action.id} was already undone at ${action.undoneAt}.`,
+            },
+          ],
+          isError: true,
+        };
+      }
+
+      // Run as the caller, who is the original customer since the action is in their scope
+      const compensationArgs = { ...action.undo.args };
+      for (const field of IDENTITY_FIELDS) {
+        if (args[field] !== undefined) {
+          compensationArgs[field] = args[field];
+        }
+      }
+      // The compensation is refused like any other call when its tool is disabled by the filter
+      const result = await callTool(action.undo.tool, compensationArgs);
+
+      if (result?.isError) {
+        return {
+          ...result,
+          content: [
+            {
+              type: 'text',
+              text: `${action.id} was not undone: the compensating call ${action.undo.tool} failed.`,
+            },
+            ...(result.content || []),
+          ],
+        };
+      }
+
+      const confirmation = result?._meta?.confirmation;
+      if (confirmation?.status === 'required') {
+        // The token confirms the compensating call, which undo_action makes again with the same arguments
+        return {
+          ...result,
+          content: [
+            {
+              type: 'text',
+              text: `Confirmation required: ${action.id} has not been undone. Undoing it runs ${action.undo.tool} (${action.undo.description}).\n\n` +
+                `To undo it, call undo_action again with the same arguments plus "confirmation_token": "${confirmation.token}". ` +
+                `The token works once and expires at ${confirmation.expiresAt}.`,
+            },
+          ],
+        };
+      }
+      if (confirmation) {
+        return result;
+      }
+
+      // A dry run only previews the compensating call
+      if (!getRequestContext().dryRun) {
+        journal.markUndone(action.id);
+      }
+
+      return {
+        ...result,
+        content: [
+          {
+            type: 'text',
+            text: `Undid ${action.id} (${action.tool}): ${action.undo.description}.`,
+          },
+          ...(result.content || []),
+        ],
+      };
+    },
+  },
+];
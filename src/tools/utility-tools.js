@@ -3,6 +3,7 @@
  * Last updated: 2024-12-24
  */
 import { z } from 'zod';
+import { getCircuitBreakerStats } from '../utils/circuit-breaker.js';
 
 const baseSchema = z.object({
   customer_id: z.string().optional().describe('Customer ID for automatic session creation (optional, used when no session_token provided)'),
@@ -20,10 +21,17 @@ const purgeSessionCacheSchema = z.object({
   reason: z.string().default('manual purge').describe('Reason for purging (for logging purposes)'),
 });
 
+const diagnosticsSchema = z.object({
+  admin_token: z.string().optional().describe('Recharge admin token (optional, takes precedence over environment variable if provided)'),
+  store_url: z.string().optional().describe('Store URL (optional, takes precedence over environment variable if provided)'),
+});
+
 export const utilityTools = [
   {
     name: 'purge_session_cache',
-    description: 'Clear cached customer session tokens. Useful when switching between dev/test/production environments or when experiencing authentication issues.',
+    description: 'Clear cached customer session tokens for the current store and API environment. Other stores keep their sessions. Useful when experiencing authentication issues.',
+    annotations: { title: 'Clear Session Cache', idempotentHint: true, openWorldHint: false },
+    mutating: false,
     inputSchema: purgeSessionCacheSchema,
     execute: async (client, args) => {
       const { all, older_than_minutes, reason } = args;
@@ -35,6 +43,7 @@ export const utilityTools = [
       });
       
       let message = `Session Cache Purged:\n`;
+      message += `- Store: ${client.currentDomain} (${client.apiUrl})\n`;
       message += `- Sessions cleared: ${result.cleared}\n`;
       message += `- Reason: ${result.reason}\n`;
       
@@ -45,7 +54,7 @@ export const utilityTools = [
       message += `\nThis clears cached customer session tokens. New session tokens will be automatically created when needed.`;
       
       if (all) {
-        message += `\n\nNote: All cached sessions have been cleared. This is recommended when switching between environments (dev/test/production) to prevent cross-environment token usage.`;
+        message += `\n\nNote: All cached sessions for this store have been cleared. Sessions are kept separately per store and API environment, so other stores are not affected.`;
       }
       
       return {
@@ -60,14 +69,18 @@ export const utilityTools = [
   },
   {
     name: 'get_session_cache_stats',
-    description: 'Get statistics about cached customer session tokens',
+    description: 'Get statistics about cached customer session tokens for the current store',
+    annotations: { title: 'Get Session Cache Statistics', readOnlyHint: true, openWorldHint: false },
     inputSchema: baseSchema,
     execute: async (client, args) => {
       const stats = client.sessionCache.getStats();
       
       let message = `Session Cache Statistics:\n`;
+      message += `- Store: ${stats.domain} (${stats.apiUrl})\n`;
       message += `- Total cached sessions: ${stats.totalSessions}\n`;
       message += `- Email mappings: ${stats.emailMappings}\n`;
+      message += `- Cache limit: ${stats.maxEntries} sessions / ${stats.maxEntries} email mappings\n`;
+      message += `- Evicted (least recently used): ${stats.sessionsEvicted} sessions, ${stats.emailMappingsEvicted} email mappings\n`;
       
       if (stats.oldestSessionAge !== null) {
         const oldestMinutes = Math.floor(stats.oldestSessionAge / 60);
@@ -80,7 +93,11 @@ export const utilityTools = [
         message += `- Newest session age: ${newestMinutes}m\n`;
       }
       
-      message += `\nSession tokens are automatically created and cached to improve performance. They expire and are renewed as needed.`;
+      if (stats.nextExpiryIn !== null) {
+        message += `- Next session expiry in: ${Math.floor(stats.nextExpiryIn / 60)}m\n`;
+      }
+      
+      message += `\nSession tokens are automatically created and cached to improve performance. Sessions close to expiry are renewed in the background before they are used.`;
       
       if (stats.totalSessions > 10) {
         message += `\n\nTip: You have many cached sessions. Consider using 'purge_session_cache' with 'older_than_minutes' to clean up old sessions.`;
@@ -96,9 +113,58 @@ export const utilityTools = [
       };
     },
   },
+  {
+    name: 'get_api_diagnostics',
+    description: 'Get Recharge API connectivity diagnostics: circuit breaker state per API host, rate limiter queues for the current store, and the retry policy',
+    annotations: { title: 'Get API Diagnostics', readOnlyHint: true, openWorldHint: false },
+    inputSchema: diagnosticsSchema,
+    execute: async (client, args) => {
+      const circuit = client.circuitBreaker.getStats();
+      const otherCircuits = getCircuitBreakerStats().filter(stats => stats.host !== circuit.host);
+      const limiters = {
+        storefront: client.storefrontLimiter.getStats(),
+        admin: client.adminLimiter.getStats(),
+      };
+
+      let message = `API Diagnostics:\n`;
+      message += `\nCircuit breaker (${circuit.host}):\n`;
+      message += `- State: ${circuit.state}\n`;
+      message += `- Consecutive failures: ${circuit.consecutiveFailures}/${circuit.failureThreshold}\n`;
+      if (circuit.state === 'open') {
+        message += `- Probe allowed in: ${circuit.retryInSeconds}s\n`;
+      }
+      message += `- Times opened: ${circuit.timesOpened}, requests rejected: ${circuit.rejectedRequests}\n`;
+      if (circuit.lastFailure) {
+        message += `- Last failure: ${circuit.lastFailure.message} at ${circuit.lastFailure.at}\n`;
+      }
+
+      for (const other of otherCircuits) {
+        message += `\nCircuit breaker (${other.host}): ${other.state}, ${other.consecutiveFailures} consecutive failures\n`;
+      }
+
+      message += `\nRate limits (${client.currentDomain}):\n`;
+      for (const [api, stats] of Object.entries(limiters)) {
+        message += `- ${api}: ${stats.queueDepth} queued, ${stats.availableTokens}/${stats.burst} tokens, ` +
+          `${stats.requestsPerSecond}/s, avg wait ${stats.averageWaitMs}ms, max wait ${stats.maxWaitMs}ms\n`;
+      }
+
+      const retry = client.retryPolicy;
+      message += `\nRetry policy: up to ${retry.maxRetries} retries, ${retry.baseDelayMs}-${retry.maxDelayMs}ms backoff, ${retry.budgetMs}ms budget\n`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: message,
+          },
+        ],
+      };
+    },
+  },
   {
     name: 'get_shipping_countries',
     description: 'Get list of countries the store ships to',
+    annotations: { title: 'List Shipping Countries', readOnlyHint: true },
     inputSchema: baseSchema,
     execute: async (client, args) => {
       const result = await client.get('/store/shipping_countries', args.customer_id, args.customer_email, args.session_token);
@@ -116,6 +182,7 @@ export const utilityTools = [
   {
     name: 'get_store_settings',
     description: 'Get store configuration and settings',
+    annotations: { title: 'Get Store Settings', readOnlyHint: true },
     inputSchema: baseSchema,
     execute: async (client, args) => {
       const result = await client.get('/store', args.customer_id, args.customer_email, args.session_token);
@@ -0,0 +1,282 @@
+/**
+ * Change Preview
+ * Field-level before/after diffs for update tools. The current resource is fetched before the
+ * update is sent, so results can say "quantity: 2 → 3" instead of only echoing the response.
+ * preview: true returns the diff without applying it; RECHARGE_CONFIRM_UPDATES=true makes the
+ * diff something the user has to acknowledge first (see confirmation.js).
+ * expected_updated_at makes the update fail with UPDATE_CONFLICT if the resource changed since
+ * the caller read it, instead of overwriting someone else's edit.
+ * The current resource is fetched once per tool call and shared by the confirmation summary,
+ * the undo journal and the diff (see loadCurrentResource).
+ */
+import { RechargeAPIError, isCancellationError } from './error-handler.js';
+import { unwrapResource } from './impact-summary.js';
+import { getRequestContext } from './request-context.js';
+
+// Arguments that identify the customer or store rather than describe the change
+const CALL_FIELDS = ['customer_id', 'customer_email', 'session_token', 'admin_token', 'store_url', 'preview', 'expected_updated_at'];
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Reduce tool arguments to the fields being updated
+ * @param {Object} args - Validated tool arguments
+ * @param {string[]} [idFields] - Resource ID arguments to leave out as well
+ * @returns {Object} Fields the update would send
+ */
+export function getUpdateFields(args, idFields = []) {
+  const fields = {};
+  for (const [field, value] of Object.entries(args)) {
+    if (value !== undefined && !CALL_FIELDS.includes(field) && !idFields.includes(field)) {
+      fields[field] = value;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Compare a current value with the requested one
+ * Numbers match their string form ("2" and 2), and a date matches a date-time on that day.
+ */
+function valuesMatch(before, after) {
+  if (before === after) {
+    return true;
+  }
+  if (before === undefined || before === null || after === undefined || after === null) {
+    return (before ?? null) === (after ?? null);
+  }
+  if (typeof before === 'object' || typeof after === 'object') {
+    return JSON.stringify(before) === JSON.stringify(after);
+  }
+
+  const beforeText = String(before).trim();
+  const afterText = String(after).trim();
+  if (beforeText === afterText) {
+    return true;
+  }
+  if (DATE_ONLY_PATTERN.test(afterText) && beforeText.startsWith(`${afterText}T`)) {
+    return true;
+  }
+  const beforeNumber = Number(beforeText);
+  return beforeText !== '' && !isNaN(beforeNumber) && beforeNumber === Number(afterText);
+}
+
+/**
+ * Diff the fields of an update against the current resource
+ * @param {Object} current - Current resource
+ * @param {Object} updates - Fields the update sends
+ * @returns {{ changed: Array<{ field: string, before: any, after: any }>, unchanged: string[] }} Diff
+ */
+export function diffFields(current, updates) {
+  const changed = [];
+  const unchanged = [];
+
+  for (const [field, after] of Object.entries(updates)) {
+    const before = current?.[field];
+    if (valuesMatch(before, after)) {
+      unchanged.push(field);
+    } else {
+      changed.push({ field, before: before ?? null, after });
+    }
+  }
+
+  return { changed, unchanged };
+}
+
+/**
+ * Read the current values of the fields an update sends, in the form the update takes them
+ * Used to build the update that puts the previous values back.
+ * @param {Object} current - Current resource
+ * @param {Object} updates - Fields the update sends
+ * @returns {Object} Previous values
+ * @throws {Error} If a field has no previous value to restore
+ */
+export function getPreviousValues(current, updates) {
+  const previous = {};
+  const missing = [];
+
+  for (const [field, after] of Object.entries(updates)) {
+    const before = current?.[field];
+    if (before === undefined || before === null) {
+      missing.push(field);
+    } else if (typeof after === 'number' && typeof before === 'string' && before.trim() !== '' && !isNaN(Number(before))) {
+      previous[field] = Number(before);
+    } else if (typeof after === 'string' && DATE_ONLY_PATTERN.test(after) && typeof before === 'string') {
+      previous[field] = before.substring(0, 10);
+    } else {
+      previous[field] = before;
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new Error(`No previous value to restore for ${missing.join(', ')}`);
+  }
+  return previous;
+}
+
+/**
+ * Format a value for a diff line
+ */
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return '(empty)';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Describe a diff, one line per changed field
+ * @param {Object} diff - Result of diffFields
+ * @returns {string} Readable summary
+ */
+export function formatDiff(diff) {
+  const lines = diff.changed.map(({ field, before, after }) => `  ${field}: ${formatValue(before)} → ${formatValue(after)}`);
+  if (lines.length === 0) {
+    lines.push('  No field changes: every requested value matches the current one');
+  }
+  if (diff.changed.length > 0 && diff.unchanged.length > 0) {
+    lines.push(`  Unchanged: ${diff.unchanged.join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Fetch the resource a tool call is about to change, once per call
+ * Within a tool call every caller with the same key shares one request; outside a tool call
+ * (no request context) the resource is simply fetched. Failed fetches are not kept.
+ * @param {string} cacheKey - Resource type and ID (e.g. 'subscription:123')
+ * @param {Function} fetchCurrent - Loads the resource (a Storefront API GET)
+ * @returns {Promise<Object>} API response
+ */
+export function loadCurrentResource(cacheKey, fetchCurrent) {
+  const { currentResources } = getRequestContext();
+  if (!currentResources) {
+    return fetchCurrent();
+  }
+
+  if (!currentResources.has(cacheKey)) {
+    const pending = fetchCurrent();
+    pending.catch(() => currentResources.delete(cacheKey));
+    currentResources.set(cacheKey, pending);
+  }
+  return currentResources.get(cacheKey);
+}
+
+/**
+ * Fetch the current resource and diff an update against it
+ * @param {Function} fetchCurrent - Loads the resource (a Storefront API GET)
+ * @param {string} resourceKey - Key the resource is wrapped in ('subscription', 'address', ...)
+ * @param {Object} updates - Fields the update sends
+ * @returns {Promise<Object>} { current, diff, error } where current and diff are null if the
+ *   resource couldn't be loaded
+ */
+export async function loadChangePreview(fetchCurrent, resourceKey, updates) {
+  try {
+    const current = unwrapResource(await fetchCurrent(), resourceKey);
+    return { current, diff: diffFields(current, updates), error: null };
+  } catch (error) {
+    if (isCancellationError(error)) {
+      throw error;
+    }
+    return { current: null, diff: null, error };
+  }
+}
+
+/**
+ * Check two updated_at timestamps for the same instant
+ */
+function sameTimestamp(a, b) {
+  if (String(a).trim() === String(b).trim()) {
+    return true;
+  }
+  const timeA = Date.parse(a);
+  return !isNaN(timeA) && timeA === Date.parse(b);
+}
+
+/**
+ * Make sure the resource hasn't changed since the caller read it
+ * @param {Object} preview - Result of loadChangePreview
+ * @param {string} expectedUpdatedAt - updated_at the caller last saw
+ * @param {string} label - Resource name and ID for messages (e.g. 'Subscription 123')
+ * @param {Object} updates - Fields the update sends; their current values go into the error
+ * @throws {RechargeAPIError} UPDATE_CONFLICT with the current values if it changed
+ * @throws {Error} If the resource couldn't be loaded, since the check can't be made
+ */
+export function assertUnchangedSince(preview, expectedUpdatedAt, label, updates) {
+  if (!preview.current) {
+    throw preview.error;
+  }
+
+  const currentUpdatedAt = preview.current.updated_at;
+  if (currentUpdatedAt && sameTimestamp(currentUpdatedAt, expectedUpdatedAt)) {
+    return;
+  }
+
+  const current = {};
+  for (const field of Object.keys(updates)) {
+    current[field] = preview.current[field] ?? null;
+  }
+  current.updated_at = currentUpdatedAt ?? null;
+
+  throw new RechargeAPIError(
+    `${label} was changed since ${expectedUpdatedAt} (last updated ${currentUpdatedAt || 'at an unknown time'}), so the update was not applied`,
+    409,
+    'UPDATE_CONFLICT',
+    { expectedUpdatedAt, currentUpdatedAt: currentUpdatedAt ?? null, current, resource: preview.current }
+  );
+}
+
+/**
+ * Describe a change preview for a tool result
+ * @param {Object} preview - Result of loadChangePreview
+ * @returns {string} "Changes:" block
+ */
+export function formatChangePreview(preview) {
+  if (!preview.diff) {
+    return `Changes: current values could not be loaded (${preview.error.message})`;
+  }
+  return `Changes:\n${formatDiff(preview.diff)}`;
+}
+
+/**
+ * Build the result of a preview-only call
+ * @param {string} toolName - Tool that was previewed
+ * @param {Object} preview - Result of loadChangePreview
+ * @returns {Object} MCP result with the diff in _meta.changes
+ * @throws {Error} If the current resource couldn't be loaded
+ */
+export function buildPreviewResult(toolName, preview) {
+  if (!preview.diff) {
+    throw preview.error;
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Preview: ${toolName} was not executed.\n\n${formatChangePreview(preview)}\n\n` +
+          'Call it again without preview to apply the change.',
+      },
+    ],
+    _meta: { changes: preview.diff, preview: true },
+  };
+}
+
+/**
+ * Build the result of an applied update, leading with the diff
+ * @param {string} heading - Label for the response (e.g. 'Updated Subscription')
+ * @param {Object} response - API response
+ * @param {Object} preview - Result of loadChangePreview
+ * @returns {Object} MCP result with the diff in _meta.changes
+ */
+export function buildUpdateResult(heading, response, preview) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `${formatChangePreview(preview)}\n\n${heading}:\n${JSON.stringify(response, null, 2)}`,
+      },
+    ],
+    _meta: { changes: preview.diff },
+  };
+}
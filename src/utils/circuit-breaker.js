@@ -0,0 +1,211 @@
+/**
+ * Circuit Breaker
+ * Stops sending requests to a Recharge API host that keeps failing, so tool calls fail fast
+ * instead of each waiting out the full request timeout. One breaker is kept per host.
+ *
+ * closed    - requests flow normally; consecutive failures are counted
+ * open      - requests fail immediately with CIRCUIT_OPEN until the cool-down has passed
+ * half_open - one probe request is let through; success closes the circuit, failure reopens it
+ */
+import { RechargeAPIError, isCancellationError } from './error-handler.js';
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {string} options.host - Host this breaker protects
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit (default: 5)
+   * @param {number} [options.cooldownMs] - Time the circuit stays open before a probe is allowed (default: 30s)
+   */
+  constructor({ host, failureThreshold = 5, cooldownMs = 30000 }) {
+    this.host = host;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastFailure = null;
+    this.timesOpened = 0;
+    this.rejectedRequests = 0;
+  }
+
+  /**
+   * Check whether an error means the host is unhealthy
+   * 4xx responses (including 429) come from a healthy host and don't count
+   * @param {Error} error - Axios error
+   * @param {boolean} [countTimeouts] - Whether request timeouts count as failures
+   * @returns {boolean} True for network errors, timeouts and 5xx responses
+   */
+  isHostFailure(error, countTimeouts = true) {
+    if (error.response) {
+      return error.response.status >= 500;
+    }
+    if (!countTimeouts && ['ECONNABORTED', 'ETIMEDOUT'].includes(error.code)) {
+      return false;
+    }
+    return !!error.request;
+  }
+
+  /**
+   * Let a request through or fail fast
+   * @throws {RechargeAPIError} CIRCUIT_OPEN when the host is considered down
+   */
+  beforeRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+      if (process.env.DEBUG === 'true') {
+        console.error(`[DEBUG] Circuit for ${this.host} is half-open, allowing a probe request`);
+      }
+    }
+
+    if (this.state === 'closed') {
+      return;
+    }
+
+    if (this.state === 'half_open' && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return;
+    }
+
+    this.rejectedRequests++;
+    const retryInMs = this.state === 'open'
+      ? Math.max(0, this.cooldownMs - (Date.now() - this.openedAt))
+      : 0;
+
+    throw new RechargeAPIError(
+      `Recharge API host ${this.host} is unavailable: circuit breaker is ${this.state.replace('_', '-')} after ` +
+      `${this.consecutiveFailures} consecutive failures. Retry in ${Math.ceil(retryInMs / 1000)}s.`,
+      503,
+      'CIRCUIT_OPEN',
+      {
+        host: this.host,
+        state: this.state,
+        consecutiveFailures: this.consecutiveFailures,
+        retryInMs,
+        lastFailure: this.lastFailure,
+      }
+    );
+  }
+
+  /**
+   * Record a request that reached a healthy host
+   */
+  recordSuccess() {
+    if (this.state !== 'closed' && process.env.DEBUG === 'true') {
+      console.error(`[DEBUG] Circuit for ${this.host} closed after successful probe`);
+    }
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Record a failed request
+   * @param {Error} error - Axios error
+   * @param {boolean} [countTimeouts] - Whether request timeouts count as failures
+   */
+  recordFailure(error, countTimeouts = true) {
+    if (isCancellationError(error)) {
+      // The probe never finished, so let the next request probe instead
+      this.probeInFlight = false;
+      return;
+    }
+
+    if (!this.isHostFailure(error, countTimeouts)) {
+      // The host answered; only release the probe slot
+      if (this.state === 'half_open') {
+        this.recordSuccess();
+      }
+      return;
+    }
+
+    this.consecutiveFailures++;
+    this.lastFailure = {
+      message: error.response ? `HTTP ${error.response.status}` : (error.code || error.message),
+      at: new Date().toISOString(),
+    };
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      if (process.env.DEBUG === 'true') {
+        console.error(`[DEBUG] Circuit for ${this.host} opened after ${this.consecutiveFailures} consecutive failures`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+      this.probeInFlight = false;
+      this.timesOpened++;
+    }
+  }
+
+  /**
+   * Send a request through the breaker
+   * @param {Function} send - Sends the request and returns the axios response promise
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.countTimeouts] - Whether request timeouts count as failures (default: true)
+   * @returns {Promise<Object>} Axios response
+   */
+  async execute(send, { countTimeouts = true } = {}) {
+    this.beforeRequest();
+    try {
+      const response = await send();
+      this.recordSuccess();
+      return response;
+    } catch (error) {
+      this.recordFailure(error, countTimeouts);
+      throw error;
+    }
+  }
+
+  /**
+   * Get breaker state for diagnostics
+   * @returns {Object} Breaker state
+   */
+  getStats() {
+    return {
+      host: this.host,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      cooldownSeconds: Math.round(this.cooldownMs / 1000),
+      retryInSeconds: this.state === 'open'
+        ? Math.max(0, Math.ceil((this.cooldownMs - (Date.now() - this.openedAt)) / 1000))
+        : 0,
+      timesOpened: this.timesOpened,
+      rejectedRequests: this.rejectedRequests,
+      lastFailure: this.lastFailure,
+    };
+  }
+}
+
+const breakers = new Map(); // host -> CircuitBreaker
+
+/**
+ * Get the process-wide breaker for an API host
+ * RECHARGE_CIRCUIT_FAILURE_THRESHOLD and RECHARGE_CIRCUIT_COOLDOWN_SECONDS configure new breakers
+ * @param {string} apiUrl - API base URL
+ * @returns {CircuitBreaker} Shared breaker
+ */
+export function getCircuitBreaker(apiUrl) {
+  const host = new URL(apiUrl).host;
+  let breaker = breakers.get(host);
+
+  if (!breaker) {
+    breaker = new CircuitBreaker({
+      host,
+      failureThreshold: parseInt(process.env.RECHARGE_CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+      cooldownMs: (parseInt(process.env.RECHARGE_CIRCUIT_COOLDOWN_SECONDS, 10) || 30) * 1000,
+    });
+    breakers.set(host, breaker);
+  }
+
+  return breaker;
+}
+
+/**
+ * Get the state of every breaker created so far
+ * @returns {Object[]} Breaker states
+ */
+export function getCircuitBreakerStats() {
+  return [...breakers.values()].map(breaker => breaker.getStats());
+}
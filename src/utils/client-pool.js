@@ -0,0 +1,125 @@
+/**
+ * Recharge Client Pool
+ * Keeps RechargeClient instances alive for the whole process so their session caches
+ * (customer session tokens and email -> customer ID lookups) are reused across tool calls
+ */
+import { RechargeClient } from '../recharge-client.js';
+import { fingerprintToken } from './crypto-helpers.js';
+import { getDefaultSessionStore } from './session-store.js';
+import { getSharedSessionCache } from './session-cache.js';
+
+export class ClientPool {
+  /**
+   * @param {Object} [options] - Pool options
+   * @param {number} [options.idleTtlMs] - Evict clients unused for this long (default: 60 minutes)
+   * @param {number} [options.sweepIntervalMs] - How often to look for idle clients (default: 5 minutes)
+   */
+  constructor({ idleTtlMs = 60 * 60 * 1000, sweepIntervalMs = 5 * 60 * 1000 } = {}) {
+    this.clients = new Map(); // pool key -> { client, createdAt, lastUsed }
+    this.idleTtlMs = idleTtlMs;
+    this.created = 0;
+    this.evicted = 0;
+
+    this.sweepTimer = setInterval(() => this.evictIdle(), sweepIntervalMs);
+    // Don't keep the process alive just for the sweeper
+    this.sweepTimer.unref?.();
+  }
+
+  /**
+   * Build the pool key for a client configuration
+   * A default session token is bound at construction time, so it is part of the key as well
+   * @param {string} storeUrl - Normalized store domain
+   * @param {string|null} adminToken - Admin token
+   * @param {string|null} sessionToken - Default session token
+   * @returns {string} Pool key
+   */
+  getKey(storeUrl, adminToken, sessionToken) {
+    return `${storeUrl.toLowerCase()}|${fingerprintToken(adminToken)}|${fingerprintToken(sessionToken)}`;
+  }
+
+  /**
+   * Get a pooled client, creating one on first use
+   * @param {Object} config - Client configuration (same shape as the RechargeClient constructor)
+   * @param {string} config.storeUrl - Store domain
+   * @param {string|null} [config.sessionToken] - Default session token
+   * @param {string|null} [config.adminToken] - Admin token
+   * @returns {RechargeClient} Long-lived client
+   */
+  acquire({ storeUrl, sessionToken = null, adminToken = null }) {
+    const key = this.getKey(storeUrl, adminToken, sessionToken);
+    const entry = this.clients.get(key);
+
+    if (entry) {
+      entry.lastUsed = new Date();
+      return entry.client;
+    }
+
+    const client = new RechargeClient({ storeUrl, sessionToken, adminToken });
+    this.clients.set(key, { client, createdAt: new Date(), lastUsed: new Date() });
+    this.created++;
+
+    if (process.env.DEBUG === 'true') {
+      console.error(`[DEBUG] Created pooled client for ${storeUrl} (admin token ${fingerprintToken(adminToken)}), pool size: ${this.clients.size}`);
+    }
+
+    return client;
+  }
+
+  /**
+   * Evict clients that have not been used within the idle TTL
+   * @returns {number} Number of clients evicted
+   */
+  evictIdle() {
+    const cutoffTime = new Date(Date.now() - this.idleTtlMs);
+    let evictedCount = 0;
+
+    for (const [key, entry] of this.clients) {
+      if (entry.lastUsed < cutoffTime) {
+        // Only release the in-memory client; persisted sessions stay in the session store
+        this.clients.delete(key);
+        evictedCount++;
+      }
+    }
+
+    // Release cache partitions no remaining client shares (clients with different default session tokens share one)
+    if (evictedCount > 0) {
+      const inUse = new Set([...this.clients.values()].map(entry => entry.client.sessionCache.namespace));
+      const sharedCache = getSharedSessionCache();
+      for (const namespace of [...sharedCache.partitions.keys()]) {
+        if (!inUse.has(namespace)) {
+          sharedCache.release(namespace);
+        }
+      }
+    }
+
+    this.evicted += evictedCount;
+
+    if (process.env.DEBUG === 'true' && evictedCount > 0) {
+      console.error(`[DEBUG] Evicted ${evictedCount} idle pooled clients, pool size: ${this.clients.size}`);
+    }
+
+    return evictedCount;
+  }
+
+  /**
+   * Get pool statistics
+   * @returns {Object} Pool statistics
+   */
+  getStats() {
+    return {
+      activeClients: this.clients.size,
+      clientsCreated: this.created,
+      clientsEvicted: this.evicted,
+      idleTtlMinutes: Math.round(this.idleTtlMs / 60000),
+    };
+  }
+
+  /**
+   * Drop every pooled client, stop the idle sweeper and flush the session store
+   */
+  close() {
+    clearInterval(this.sweepTimer);
+    this.clients.clear();
+    getDefaultSessionStore().flush();
+  }
+}
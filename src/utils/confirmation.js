@@ -0,0 +1,140 @@
+/**
+ * Confirmation
+ * Optional two-step protocol for destructive tools (marked destructive: true), enabled with
+ * RECHARGE_CONFIRM_DESTRUCTIVE=true. The first call describes the impact and returns a short-lived,
+ * single-use confirmation token bound to the tool, its arguments and the calling customer; the action
+ * only runs when the same customer calls the tool again with that token. Clients that support elicitation are asked directly.
+ * RECHARGE_CONFIRM_UPDATES=true applies the same protocol to update tools (marked previewsChanges:
+ * true), with their field-level diff as the summary.
+ */
+import { randomBytes } from 'node:crypto';
+import { RechargeAPIError } from './error-handler.js';
+import { deriveIdempotencyKey } from './idempotency.js';
+
+const DEFAULT_TTL_SECONDS = 300;
+
+/**
+ * Check whether destructive tools need confirmation
+ * @returns {boolean} True if RECHARGE_CONFIRM_DESTRUCTIVE is enabled
+ */
+export function isConfirmationRequired() {
+  return ['true', '1', 'yes'].includes((process.env.RECHARGE_CONFIRM_DESTRUCTIVE || '').trim().toLowerCase());
+}
+
+/**
+ * Check whether update tools need their diff acknowledged
+ * @returns {boolean} True if RECHARGE_CONFIRM_UPDATES is enabled
+ */
+export function isUpdateConfirmationRequired() {
+  return ['true', '1', 'yes'].includes((process.env.RECHARGE_CONFIRM_UPDATES || '').trim().toLowerCase());
+}
+
+/**
+ * Check whether a tool call has to be confirmed before it runs
+ * @param {Object} tool - Tool definition
+ * @param {Object} args - Validated tool arguments
+ * @returns {boolean} True if the call needs a confirmation token or elicitation
+ */
+export function requiresConfirmation(tool, args) {
+  if (tool.destructive) {
+    return isConfirmationRequired();
+  }
+  // A preview doesn't change anything, so there is nothing to acknowledge yet
+  return !!tool.previewsChanges && !args.preview && isUpdateConfirmationRequired();
+}
+
+export class ConfirmationStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {number} [options.ttlMs] - How long a token stays valid (default: 5 minutes)
+   */
+  constructor({ ttlMs = DEFAULT_TTL_SECONDS * 1000 } = {}) {
+    this.ttlMs = ttlMs;
+    this.tokens = new Map(); // token -> { binding, toolName, expiresAt }
+  }
+
+  /**
+   * Drop expired tokens
+   */
+  prune() {
+    const now = Date.now();
+    for (const [token, entry] of this.tokens) {
+      if (entry.expiresAt <= now) {
+        this.tokens.delete(token);
+      }
+    }
+  }
+
+  /**
+   * Issue a token for one specific call
+   * @param {string} toolName - Tool to confirm
+   * @param {string} scope - Store, admin token and customer of the call (see getIdempotencyScope)
+   * @param {Object} args - Validated tool arguments the token is bound to
+   * @returns {{ token: string, expiresAt: Date }} Token and its expiry
+   */
+  issue(toolName, scope, args) {
+    this.prune();
+    const token = `confirm_${randomBytes(16).toString('hex')}`;
+    const expiresAt = new Date(Date.now() + this.ttlMs);
+
+    this.tokens.set(token, {
+      binding: deriveIdempotencyKey(toolName, scope, args),
+      toolName,
+      expiresAt: expiresAt.getTime(),
+    });
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Use up a token, checking it was issued for this exact call
+   * @param {string} token - Token from the first call
+   * @param {string} toolName - Tool being confirmed
+   * @param {string} scope - Store, admin token and customer of the call (see getIdempotencyScope)
+   * @param {Object} args - Validated tool arguments
+   * @throws {RechargeAPIError} CONFIRMATION_INVALID if unknown, expired or issued for another call
+   */
+  consume(token, toolName, scope, args) {
+    this.prune();
+    const entry = this.tokens.get(token);
+
+    if (!entry) {
+      throw new RechargeAPIError(
+        'Confirmation token is unknown, already used or expired',
+        400,
+        'CONFIRMATION_INVALID',
+        { tool: toolName }
+      );
+    }
+
+    if (entry.toolName !== toolName || entry.binding !== deriveIdempotencyKey(toolName, scope, args)) {
+      throw new RechargeAPIError(
+        entry.toolName === toolName
+          ? 'Confirmation token was issued for different arguments or another customer. The arguments and credentials must match the call that returned the token.'
+          : `Confirmation token was issued for ${entry.toolName}, not ${toolName}.`,
+        400,
+        'CONFIRMATION_INVALID',
+        { tool: toolName, issuedFor: entry.toolName }
+      );
+    }
+
+    this.tokens.delete(token);
+  }
+}
+
+let sharedStore = null;
+
+/**
+ * Get the process-wide confirmation store
+ * RECHARGE_CONFIRMATION_TTL_SECONDS sets how long tokens stay valid (default 300)
+ * @returns {ConfirmationStore} Shared store
+ */
+export function getSharedConfirmationStore() {
+  if (!sharedStore) {
+    const ttlSeconds = parseInt(process.env.RECHARGE_CONFIRMATION_TTL_SECONDS, 10);
+    sharedStore = new ConfirmationStore({
+      ttlMs: (isNaN(ttlSeconds) || ttlSeconds <= 0 ? DEFAULT_TTL_SECONDS : ttlSeconds) * 1000,
+    });
+  }
+  return sharedStore;
+}
@@ -0,0 +1,71 @@
+/**
+ * Cryptographic helpers
+ * Token fingerprinting and authenticated encryption for data persisted to disk
+ */
+import { createCipheriv, createDecipheriv, createHash, randomBytes, scryptSync } from 'node:crypto';
+
+const CIPHER = 'aes-256-gcm';
+const KEY_SALT = 'recharge-storefront-api-mcp:session-store';
+
+/**
+ * Hash a token so the raw value never ends up in a key or log line
+ * @param {string|null} token - Token to fingerprint
+ * @returns {string} Short SHA-256 fingerprint, or '-' when no token is set
+ */
+export function fingerprintToken(token) {
+  if (!token || typeof token !== 'string') {
+    return '-';
+  }
+  return createHash('sha256').update(token).digest('hex').substring(0, 16);
+}
+
+/**
+ * Derive a 256-bit encryption key from a secret
+ * @param {string} secret - Secret from configuration
+ * @returns {Buffer} 32-byte key
+ */
+export function deriveEncryptionKey(secret) {
+  if (!secret || typeof secret !== 'string' || secret.trim().length < 16) {
+    throw new Error('Encryption key must be a string of at least 16 characters');
+  }
+  return scryptSync(secret.trim(), KEY_SALT, 32);
+}
+
+/**
+ * Encrypt a string with AES-256-GCM
+ * @param {string} plaintext - Text to encrypt
+ * @param {Buffer} key - 32-byte key from deriveEncryptionKey
+ * @returns {{ iv: string, tag: string, data: string }} Base64-encoded envelope
+ */
+export function encryptString(plaintext, key) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+/**
+ * Decrypt an envelope produced by encryptString
+ * @param {{ iv: string, tag: string, data: string }} envelope - Encrypted envelope
+ * @param {Buffer} key - 32-byte key from deriveEncryptionKey
+ * @returns {string} Decrypted text
+ * @throws {Error} If the key is wrong or the data was tampered with
+ */
+export function decryptString(envelope, key) {
+  if (!envelope || !envelope.iv || !envelope.tag || !envelope.data) {
+    throw new Error('Encrypted value is malformed');
+  }
+
+  const decipher = createDecipheriv(CIPHER, key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(envelope.data, 'base64')),
+    decipher.final(),
+  ]).toString('utf8');
+}
@@ -0,0 +1,128 @@
+/**
+ * Dry Run
+ * Previews the Storefront API writes a tool call would make without sending them.
+ * Reads (and session creation) still happen, so the preview shows the real session, endpoint
+ * and body; every non-GET request is recorded instead of sent.
+ * Enabled per call with dry_run: true, or for every call with --dry-run / RECHARGE_MCP_DRY_RUN=true.
+ */
+
+let dryRunMode = null;
+
+const REDACTED = '[REDACTED]';
+const REDACTED_HEADERS = ['x-recharge-access-token', 'authorization', 'cookie'];
+const SENSITIVE_FIELD_PATTERN = /token|password|secret/i;
+
+/**
+ * Check whether every tool call runs as a dry run
+ * @returns {boolean} True if writes must only be previewed
+ */
+export function isDryRunMode() {
+  if (dryRunMode === null) {
+    dryRunMode = ['true', '1', 'yes'].includes((process.env.RECHARGE_MCP_DRY_RUN || '').trim().toLowerCase());
+  }
+  return dryRunMode;
+}
+
+/**
+ * Turn global dry-run mode on or off (used for the --dry-run flag)
+ * @param {boolean} enabled - Whether writes must only be previewed
+ */
+export function setDryRunMode(enabled) {
+  dryRunMode = !!enabled;
+}
+
+/**
+ * Replace credentials in request headers
+ * @param {Object} headers - Request headers
+ * @returns {Object} Headers safe to show
+ */
+function redactHeaders(headers = {}) {
+  const redacted = {};
+  for (const [name, value] of Object.entries(headers)) {
+    redacted[name] = REDACTED_HEADERS.includes(name.toLowerCase()) ? REDACTED : value;
+  }
+  return redacted;
+}
+
+/**
+ * Replace token, password and secret fields anywhere in a request body
+ * @param {any} value - Request body
+ * @returns {any} Body safe to show
+ */
+function redactBody(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactBody);
+  }
+  if (value && typeof value === 'object') {
+    const redacted = {};
+    for (const [key, field] of Object.entries(value)) {
+      redacted[key] = SENSITIVE_FIELD_PATTERN.test(key) ? REDACTED : redactBody(field);
+    }
+    return redacted;
+  }
+  return value;
+}
+
+export class DryRunRecorder {
+  constructor() {
+    this.requests = [];
+  }
+
+  /**
+   * Record a request instead of sending it
+   * @param {string} baseURL - API base URL
+   * @param {Object} config - Axios request config
+   */
+  record(baseURL, config) {
+    this.requests.push({
+      method: config.method,
+      endpoint: config.url,
+      url: `${baseURL}${config.url}`,
+      params: config.params || null,
+      headers: redactHeaders(config.headers),
+      body: config.data === undefined ? null : redactBody(config.data),
+    });
+
+    if (process.env.DEBUG === 'true') {
+      console.error(`[DEBUG] Dry run: recorded ${config.method} ${config.url} instead of sending it`);
+    }
+  }
+
+  /**
+   * Build the MCP result that replaces the tool's own output
+   * @param {string} toolName - Tool that was previewed
+   * @returns {Object} MCP result listing the requests that would have been sent
+   */
+  toResult(toolName) {
+    let text = `Dry run: ${toolName} was not executed. No write requests were sent to Recharge.\n\n`;
+
+    if (this.requests.length === 0) {
+      text += 'The call would not send any write requests.';
+    } else {
+      text += `${this.requests.length} request(s) would be sent:\n`;
+      this.requests.forEach((request, index) => {
+        text += `\n${index + 1}. ${request.method} ${request.url}\n`;
+        if (request.params) {
+          text += `Query: ${JSON.stringify(request.params)}\n`;
+        }
+        text += `Headers: ${JSON.stringify(request.headers, null, 2)}\n`;
+        text += `Body: ${request.body === null ? '(none)' : JSON.stringify(request.body, null, 2)}\n`;
+      });
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text,
+        },
+      ],
+      _meta: {
+        dryRun: {
+          tool: toolName,
+          requests: this.requests,
+        },
+      },
+    };
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Email identity helpers
+ * Customer emails are used as cache and lookup keys, so every path must agree on one form
+ */
+
+/**
+ * Check whether a store treats the local part of customer emails case-insensitively
+ * RECHARGE_EMAIL_CASE_INSENSITIVE_STORES: comma-separated store domains, or '*' for every store
+ * @param {string|null} domain - Store domain
+ * @returns {boolean} True if the local part should be lowercased for this store
+ */
+export function isEmailLocalPartCaseInsensitive(domain) {
+  const configured = (process.env.RECHARGE_EMAIL_CASE_INSENSITIVE_STORES || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (configured.includes('*')) {
+    return true;
+  }
+
+  return !!domain && configured.includes(domain.toLowerCase());
+}
+
+/**
+ * Normalize an email address for use as an identity key
+ * The domain is always case-insensitive; the local part only when the store is configured that way
+ * @param {string} email - Email address
+ * @param {Object} [options] - Normalization options
+ * @param {boolean} [options.lowercaseLocalPart] - Also lowercase the part before the '@'
+ * @returns {string|null} Normalized email, or null if the value is not a string
+ */
+export function normalizeEmail(email, { lowercaseLocalPart = false } = {}) {
+  if (!email || typeof email !== 'string') {
+    return null;
+  }
+
+  const trimmed = email.trim();
+  const atIndex = trimmed.lastIndexOf('@');
+  if (atIndex === -1) {
+    return lowercaseLocalPart ? trimmed.toLowerCase() : trimmed;
+  }
+
+  const localPart = trimmed.substring(0, atIndex);
+  const domain = trimmed.substring(atIndex + 1).toLowerCase();
+
+  return `${lowercaseLocalPart ? localPart.toLowerCase() : localPart}@${domain}`;
+}
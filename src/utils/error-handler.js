@@ -40,6 +40,26 @@ export class RechargeAPIError extends Error {
   }
 }
 
+/**
+ * Create the error reported when the MCP client cancels a tool call
+ * 
+ * @param {Object} [details] Additional error details
+ * @returns {RechargeAPIError} REQUEST_CANCELLED error
+ */
+export function createCancellationError(details = null) {
+  return new RechargeAPIError('Request was cancelled by the client', 499, 'REQUEST_CANCELLED', details);
+}
+
+/**
+ * Check whether an error comes from a cancelled tool call
+ * 
+ * @param {Error} error Error object
+ * @returns {boolean} True for aborted axios requests and REQUEST_CANCELLED errors
+ */
+export function isCancellationError(error) {
+  return error?.code === 'ERR_CANCELED' || error?.errorCode === 'REQUEST_CANCELLED';
+}
+
 /**
  * Handle API errors from axios responses
  * 
@@ -47,6 +67,20 @@ export class RechargeAPIError extends Error {
  * @throws {RechargeAPIError} Formatted API error
  */
 export function handleAPIError(error) {
+  // Already formatted (e.g. rejected by the circuit breaker before any request was sent)
+  if (error instanceof RechargeAPIError) {
+    throw error;
+  }
+  
+  // Aborted because the MCP client cancelled the tool call
+  if (isCancellationError(error)) {
+    throw createCancellationError({
+      url: error.config?.url,
+      method: error.config?.method?.toUpperCase(),
+      retryAttempts: error.retryAttempts || 0
+    });
+  }
+  
   if (error.response) {
     const { status, data } = error.response;
     
@@ -96,7 +130,9 @@ export function handleAPIError(error) {
       method: error.config?.method?.toUpperCase(),
       requestData: error.config?.data,
       responseData: data,
-      headers: error.response?.headers
+      headers: error.response?.headers,
+      retryAttempts: error.retryAttempts || 0,
+      retryAfter: error.response?.headers?.['retry-after'] || null
     };
     
     // Log detailed error information for debugging
@@ -110,8 +146,11 @@ export function handleAPIError(error) {
     
     throw new RechargeAPIError(message, status, errorCode, details);
   } else if (error.request) {
+    const isTimeout = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
     const details = {
-      timeout: error.code === 'ECONNABORTED',
+      timeout: isTimeout,
+      timeoutMs: error.config?.timeout || null,
+      retryAttempts: error.retryAttempts || 0,
       requestConfig: {
         url: error.config?.url,
         method: error.config?.method?.toUpperCase(),
@@ -127,11 +166,16 @@ export function handleAPIError(error) {
       });
     }
     
-    const message = error.code === 'ECONNABORTED' 
-      ? 'Request timeout - the server took too long to respond'
-      : 'Network error: No response received from server';
+    if (isTimeout) {
+      throw new RechargeAPIError(
+        `Request timeout - the server took longer than ${details.timeoutMs ? `${details.timeoutMs}ms` : 'the allowed time'} to respond`,
+        504,
+        'REQUEST_TIMEOUT',
+        details
+      );
+    }
       
-    throw new RechargeAPIError(message, 500, null, details);
+    throw new RechargeAPIError('Network error: No response received from server', 500, null, details);
   } else {
     const details = {
       originalError: error.message,
@@ -165,16 +209,59 @@ export function formatErrorResponse(error) {
     }
     
     // Add helpful context for common errors
-    if (error.statusCode === 401) {
+    if (error.errorCode === 'AMBIGUOUS_CUSTOMER' && error.details?.candidates) {
+      errorText += '\n\nMatching customers:';
+      for (const candidate of error.details.candidates) {
+        errorText += `\n- ID ${candidate.id}: created ${candidate.created_at || 'unknown'}, ` +
+          `${candidate.subscriptions_active_count ?? '?'} active / ${candidate.subscriptions_total_count ?? '?'} total subscriptions`;
+      }
+      errorText += '\n\nTip: Retry with customer_id set to the intended customer, or use find_customers to review the candidates.';
+    } else if (error.errorCode === 'UPDATE_CONFLICT' && error.details?.current) {
+      errorText += '\n\nCurrent values:';
+      for (const [field, value] of Object.entries(error.details.current)) {
+        errorText += `\n- ${field}: ${value === null || value === undefined ? '(empty)' : JSON.stringify(value)}`;
+      }
+      errorText += `\n\nTip: Check whether the requested change still makes sense with these values, then retry with expected_updated_at "${error.details.currentUpdatedAt}".`;
+    } else if (error.errorCode === 'CIRCUIT_OPEN') {
+      errorText += '\n\nTip: The Recharge API has been failing repeatedly, so requests are paused to avoid long timeouts. ' +
+        'Check get_api_diagnostics for the circuit state and try again after the cool-down.';
+    } else if (error.errorCode === 'CONFIRMATION_INVALID') {
+      errorText += '\n\nTip: Call the tool again without confirmation_token to get a new impact summary and token, ' +
+        'then repeat the call with exactly the same arguments and that token.';
+    } else if (error.errorCode === 'TOOL_DISABLED') {
+      errorText += '\n\nNote: This tool is turned off for this server (RECHARGE_TOOLS_ALLOW, RECHARGE_TOOLS_DENY or RECHARGE_TOOLS_CONFIG). ' +
+        'Use tools/list to see the tools that are available.';
+    } else if (error.errorCode === 'READ_ONLY_MODE') {
+      errorText += '\n\nNote: This server only allows reading data. Use a server started without --read-only ' +
+        '(and without RECHARGE_MCP_READ_ONLY) to make changes.';
+    } else if (error.errorCode === 'REQUEST_CANCELLED') {
+      errorText += '\n\nNote: The tool call was cancelled before it finished. ' +
+        'Write operations may already have been applied - check the current state before retrying them.';
+    } else if (error.errorCode === 'REQUEST_TIMEOUT') {
+      errorText += '\n\nTip: The request timed out. If the operation is expected to be slow, retry with a larger timeout_ms. ' +
+        'Write operations may still have completed - check the current state before retrying them.';
+    } else if (error.statusCode === 401) {
       errorText += '\n\nTip: Check your API access token and ensure it has the required permissions.';
     } else if (error.statusCode === 404) {
       errorText += '\n\nTip: Verify the resource ID exists and you have access to it.';
     } else if (error.statusCode === 422) {
       errorText += '\n\nTip: Check the request parameters - some required fields may be missing or invalid.';
     } else if (error.statusCode === 429) {
-      errorText += '\n\nTip: You have exceeded the API rate limit. Please wait before making more requests.';
+      errorText += '\n\nTip: You have exceeded the API rate limit.';
+      if (error.details?.retryAttempts) {
+        errorText += ` The request was retried ${error.details.retryAttempts} time(s) without success.`;
+      }
+      if (error.details?.retryAfter) {
+        errorText += ` Wait before retrying (Retry-After: ${error.details.retryAfter}).`;
+      } else {
+        errorText += ' Please wait before making more requests.';
+      }
     } else if (error.statusCode >= 500) {
-      errorText += '\n\nTip: This appears to be a server error. Please try again later.';
+      errorText += '\n\nTip: This appears to be a server error.';
+      if (error.details?.retryAttempts) {
+        errorText += ` The request was retried ${error.details.retryAttempts} time(s) without success.`;
+      }
+      errorText += ' Please try again later.';
     }
     
     return {
@@ -189,6 +276,12 @@ export function formatErrorResponse(error) {
         errorType: 'RechargeAPIError',
         statusCode: error.statusCode,
         errorCode: error.errorCode,
+        ...(error.errorCode === 'AMBIGUOUS_CUSTOMER' && { candidates: error.details?.candidates }),
+        ...(error.errorCode === 'UPDATE_CONFLICT' && {
+          current: error.details?.current,
+          currentUpdatedAt: error.details?.currentUpdatedAt,
+          resource: error.details?.resource,
+        }),
         timestamp: new Date().toISOString()
       }
     };
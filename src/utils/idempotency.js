@@ -0,0 +1,350 @@
+/**
+ * Idempotency
+ * Mutating tool calls carry an idempotency key, either passed by the caller (idempotency_key)
+ * or derived from the tool name, store and arguments. The key is used in two places:
+ *   - Storefront API writes to endpoints that honor it send it as an Idempotency-Key header
+ *     (`<key>.1`, `<key>.2`, ... in request order), so retried requests can't be applied twice
+ *   - a process-wide journal remembers completed calls for a time window, so repeating the
+ *     same call returns the original result instead of calling the API again
+ * A derived key only counts as a duplicate while nothing else changed for the same customer:
+ * skip, unskip, skip again is three real changes, not a repeat of the first skip.
+ */
+import { createHash } from 'node:crypto';
+import { getToolTimeoutCategory } from './tool-timeouts.js';
+import { fingerprintToken } from './crypto-helpers.js';
+import { normalizeEmail, isEmailLocalPartCaseInsensitive } from './email-helpers.js';
+import { getRequestContext, raceWithCancellation } from './request-context.js';
+import { isCancellationError } from './error-handler.js';
+
+export const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+
+const DEFAULT_WINDOW_SECONDS = 600;
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// Credentials don't change what a call does, and must not end up in a key
+const KEY_EXCLUDED_ARGS = ['session_token', 'admin_token'];
+
+// Storefront API writes documented to honor Idempotency-Key. Others (logins, sessions, passwordless
+// codes, charge actions, one-time purchases) are sent without it, and a POST without it is never retried.
+const IDEMPOTENCY_KEY_ENDPOINTS = [
+  { method: 'PUT', path: /^\/customer$/ },
+  { method: 'POST', path: /^\/subscriptions$/ },
+  { method: 'PUT', path: /^\/subscriptions\/[^/]+$/ },
+  { method: 'POST', path: /^\/addresses$/ },
+  { method: 'PUT', path: /^\/addresses\/[^/]+$/ },
+  { method: 'PUT', path: /^\/onetimes\/[^/]+$/ },
+  { method: 'PUT', path: /^\/payment_methods\/[^/]+$/ },
+  { method: 'PUT', path: /^\/bundle_selections\/[^/]+$/ },
+];
+
+/**
+ * Check whether a tool changes store data
+ * Read tools (get_*, list_*, find_*, search_*) never do; tools marked mutating: false
+ * (session and cache management) only touch authentication state.
+ * @param {Object} tool - Tool definition
+ * @returns {boolean} True if calls to the tool should be idempotent
+ */
+export function isMutatingTool(tool) {
+  if (typeof tool.mutating === 'boolean') {
+    return tool.mutating;
+  }
+  return getToolTimeoutCategory(tool) !== 'read';
+}
+
+/**
+ * Serialize a value with object keys sorted, so equal arguments give equal keys
+ * @param {any} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Derive an idempotency key for a call that didn't pass one
+ * The scope is part of the hash, so identical calls for different customers get different keys.
+ * @param {string} toolName - Tool being called
+ * @param {string} scope - Store and customer the call acts for (see getIdempotencyScope)
+ * @param {Object} args - Validated tool arguments
+ * @returns {string} Key shared by identical calls in the same scope
+ */
+export function deriveIdempotencyKey(toolName, scope, args) {
+  const keyArgs = { ...args };
+  for (const name of KEY_EXCLUDED_ARGS) {
+    delete keyArgs[name];
+  }
+
+  const digest = createHash('sha256')
+    .update(canonicalJson({ tool: toolName, scope: scope.toLowerCase(), args: keyArgs }))
+    .digest('hex');
+
+  return `auto-${digest.substring(0, 32)}`;
+}
+
+/**
+ * Get the scope a call's changes apply to: the store, the admin token and the customer it acts for
+ * A session token decides the customer on its own (it wins over customer_id and customer_email),
+ * so its fingerprint is always part of the scope when one is used.
+ * @param {string} domain - Store domain
+ * @param {Object} args - Validated tool arguments
+ * @param {Object} [credentials] - Tokens the call runs with, when they come from the environment
+ * @param {string} [credentials.sessionToken] - Session token (default: args.session_token)
+ * @param {string} [credentials.adminToken] - Admin token (default: args.admin_token)
+ * @returns {string} Scope key
+ */
+export function getIdempotencyScope(domain, args, { sessionToken = args.session_token, adminToken = args.admin_token } = {}) {
+  const parts = [domain.toLowerCase(), `admin:${fingerprintToken(adminToken)}`];
+  if (args.customer_id) {
+    parts.push(`id:${args.customer_id}`);
+  } else if (args.customer_email) {
+    // Same identity rules as the session cache: the local part's case only matters on some stores
+    parts.push(`email:${normalizeEmail(args.customer_email, { lowercaseLocalPart: isEmailLocalPartCaseInsensitive(domain) })}`);
+  }
+  if (sessionToken) {
+    parts.push(`session:${fingerprintToken(sessionToken)}`);
+  }
+  return parts.join('|');
+}
+
+/**
+ * Check whether a Storefront API endpoint honors the Idempotency-Key header
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - Endpoint path, e.g. /subscriptions/123
+ * @returns {boolean} True if the request may carry an idempotency key
+ */
+export function acceptsIdempotencyKey(method, endpoint) {
+  const upperMethod = (method || '').toUpperCase();
+  const path = (endpoint || '').split('?')[0];
+  return IDEMPOTENCY_KEY_ENDPOINTS.some(entry => entry.method === upperMethod && entry.path.test(path));
+}
+
+/**
+ * Get the Idempotency-Key header value for the next write made by the current tool call
+ * @returns {string|null} Key, or null outside an idempotent tool call
+ */
+export function nextRequestIdempotencyKey() {
+  const { idempotency } = getRequestContext();
+  if (!idempotency) {
+    return null;
+  }
+  idempotency.requestCount++;
+  return `${idempotency.key}.${idempotency.requestCount}`;
+}
+
+export class IdempotencyJournal {
+  /**
+   * @param {Object} [options] - Journal options
+   * @param {number} [options.windowMs] - How long a completed call is remembered (0 disables the journal)
+   * @param {number} [options.maxEntries] - Most calls remembered at once; the oldest are dropped first
+   */
+  constructor({ windowMs = DEFAULT_WINDOW_SECONDS * 1000, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.windowMs = windowMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // journal key -> { toolName, scope, derived, promise, result, startedAt, completedAt }
+
+    this.executions = 0;
+    this.duplicatesDetected = 0;
+  }
+
+  /**
+   * Drop completed calls older than the window, then the oldest calls beyond the size limit
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.completedAt && now - entry.completedAt > this.windowMs) {
+        this.entries.delete(key);
+      }
+    }
+
+    for (const [key, entry] of this.entries) {
+      if (this.entries.size <= this.maxEntries) {
+        break;
+      }
+      if (entry.completedAt) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Forget derived-key calls in a scope once a different change in that scope has completed
+   * @param {string} scope - Scope of the completed call
+   * @param {string} journalKey - Journal key of the completed call
+   */
+  invalidateScope(scope, journalKey) {
+    for (const [key, entry] of this.entries) {
+      if (key !== journalKey && entry.derived && entry.completedAt && entry.scope === scope) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Run a tool call once per key within the window
+   * A call with the same key that is still running is joined; one that completed is replayed.
+   * Failed and cancelled calls, and calls waiting for confirmation, are forgotten so they can be retried.
+   * @param {string} key - Idempotency key
+   * @param {Object} call - Call details
+   * @param {string} call.toolName - Tool being called
+   * @param {string} call.domain - Store domain
+   * @param {string} [call.scope] - Store and customer the call changes (see getIdempotencyScope);
+   *   keys are only matched within the same scope, so one customer never gets another's result
+   * @param {boolean} [call.derived] - The key was derived from the arguments rather than passed by the caller
+   * @param {Function} execute - Runs the tool and returns its MCP result
+   * @returns {Promise<Object>} MCP result, with _meta.idempotency describing the key and any replay
+   */
+  async run(key, call, execute) {
+    const { toolName, domain, scope = domain.toLowerCase(), derived = false } = call;
+    if (this.windowMs <= 0) {
+      return withIdempotencyMeta(await execute(), { key, replayed: false });
+    }
+
+    this.prune();
+    const journalKey = `${scope}|${key}`;
+    const existing = this.entries.get(journalKey);
+
+    if (existing && existing.toolName !== toolName) {
+      throw new Error(
+        `Idempotency key "${key}" was already used for ${existing.toolName}. Use a different idempotency_key for ${toolName}.`
+      );
+    }
+
+    if (existing?.completedAt) {
+      return this.replay(key, existing);
+    }
+
+    if (existing) {
+      if (process.env.DEBUG === 'true') {
+        console.error(`[DEBUG] Joining in-flight ${toolName} call with idempotency key ${key}`);
+      }
+      const { signal } = getRequestContext();
+      let result;
+      try {
+        result = await raceWithCancellation(existing.promise, signal);
+      } catch (error) {
+        // The original call was cancelled by its own caller; run it again for this one
+        if (isCancellationError(error) && !signal?.aborted) {
+          return this.run(key, call, execute);
+        }
+        throw error;
+      }
+      return existing.completedAt ? this.replay(key, existing) : withIdempotencyMeta(result, { key, replayed: false });
+    }
+
+    const entry = { toolName, scope, derived, promise: null, result: null, startedAt: Date.now(), completedAt: null };
+    entry.promise = (async () => {
+      try {
+        const result = await execute();
+        // A call that stopped to ask for confirmation has not run yet; the confirmed retry derives
+        // the same key and must execute rather than replay the request for confirmation
+        if (result?.isError || result?._meta?.confirmation) {
+          this.entries.delete(journalKey);
+        } else {
+          entry.result = result;
+          entry.completedAt = Date.now();
+          this.invalidateScope(scope, journalKey);
+        }
+        return result;
+      } catch (error) {
+        this.entries.delete(journalKey);
+        throw error;
+      }
+    })();
+
+    this.entries.set(journalKey, entry);
+    this.executions++;
+
+    return withIdempotencyMeta(await entry.promise, { key, replayed: false });
+  }
+
+  /**
+   * Return the result of an earlier call with the same key
+   */
+  replay(key, entry) {
+    this.duplicatesDetected++;
+    const executedAt = new Date(entry.completedAt).toISOString();
+
+    if (process.env.DEBUG === 'true') {
+      console.error(`[DEBUG] Duplicate ${entry.toolName} call with idempotency key ${key}, replaying result from ${executedAt}`);
+    }
+
+    const result = withIdempotencyMeta(entry.result, { key, replayed: true, originalExecutedAt: executedAt });
+    return {
+      ...result,
+      content: [
+        ...(result.content || []),
+        {
+          type: 'text',
+          text: `Duplicate call detected: ${entry.toolName} already ran with idempotency key ${key} at ${executedAt}. ` +
+            'The result above is from that call; the Recharge API was not called again. ' +
+            'Pass a new idempotency_key to run it again on purpose.',
+        },
+      ],
+    };
+  }
+
+  /**
+   * Get journal statistics
+   * @returns {Object} Entry counts and configuration
+   */
+  getStats() {
+    this.prune();
+    let inFlight = 0;
+    for (const entry of this.entries.values()) {
+      if (!entry.completedAt) {
+        inFlight++;
+      }
+    }
+
+    return {
+      windowSeconds: Math.round(this.windowMs / 1000),
+      maxEntries: this.maxEntries,
+      entries: this.entries.size,
+      inFlight,
+      executions: this.executions,
+      duplicatesDetected: this.duplicatesDetected,
+    };
+  }
+}
+
+/**
+ * Attach idempotency details to a tool result
+ */
+function withIdempotencyMeta(result, idempotency) {
+  return {
+    ...result,
+    _meta: { ...result?._meta, idempotency },
+  };
+}
+
+let sharedJournal = null;
+
+/**
+ * Get the process-wide idempotency journal configured from the environment
+ * RECHARGE_IDEMPOTENCY_WINDOW_SECONDS (0 disables duplicate detection) and RECHARGE_IDEMPOTENCY_MAX_ENTRIES
+ * @returns {IdempotencyJournal} Shared journal
+ */
+export function getSharedIdempotencyJournal() {
+  if (!sharedJournal) {
+    const readInt = (name, fallback) => {
+      const value = parseInt(process.env[name], 10);
+      return isNaN(value) || value < 0 ? fallback : value;
+    };
+
+    sharedJournal = new IdempotencyJournal({
+      windowMs: readInt('RECHARGE_IDEMPOTENCY_WINDOW_SECONDS', DEFAULT_WINDOW_SECONDS) * 1000,
+      maxEntries: readInt('RECHARGE_IDEMPOTENCY_MAX_ENTRIES', DEFAULT_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES,
+    });
+  }
+  return sharedJournal;
+}
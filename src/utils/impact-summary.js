@@ -0,0 +1,128 @@
+/**
+ * Impact Summary
+ * One-line descriptions of Recharge resources, used to tell the user what a destructive
+ * action will affect before it runs, and as the readable summary of structured tool results
+ */
+
+/**
+ * Unwrap a Storefront API response ({ subscription: {...} }) to the resource itself
+ * @param {Object} response - API response
+ * @param {string} key - Resource key
+ * @returns {Object} Resource
+ */
+export function unwrapResource(response, key) {
+  return response?.[key] ?? response ?? {};
+}
+
+/**
+ * Format a price with its currency when known
+ */
+function formatAmount(amount, currency = null) {
+  if (amount === undefined || amount === null || amount === '') {
+    return 'unknown amount';
+  }
+  return currency ? `${amount} ${currency}` : `${amount}`;
+}
+
+/**
+ * Format a date-time as its date part
+ */
+function formatDate(value) {
+  return value ? String(value).substring(0, 10) : 'not scheduled';
+}
+
+/**
+ * Price of one delivery of a subscription or one-time product (price x quantity)
+ */
+function lineTotal(item) {
+  const price = parseFloat(item.price);
+  const quantity = parseInt(item.quantity, 10) || 1;
+  return isNaN(price) ? item.price : (price * quantity).toFixed(2);
+}
+
+/**
+ * @param {Object} subscription - Subscription resource
+ * @returns {string} Product, quantity, price, frequency, next charge and status
+ */
+export function describeSubscription(subscription) {
+  const product = [subscription.product_title, subscription.variant_title].filter(Boolean).join(' - ') || 'Unknown product';
+  const frequency = subscription.order_interval_frequency
+    ? ` every ${subscription.order_interval_frequency} ${subscription.order_interval_unit || ''}`.trimEnd()
+    : '';
+
+  return `Subscription ${subscription.id}: ${product} x${subscription.quantity ?? 1}${frequency}, ` +
+    `next charge ${formatDate(subscription.next_charge_scheduled_at)} for ${formatAmount(lineTotal(subscription), subscription.presentment_currency)} ` +
+    `(${subscription.status || 'unknown status'})`;
+}
+
+/**
+ * @param {Object} onetime - One-time product resource
+ * @returns {string} Product, quantity, price and the charge it ships with
+ */
+export function describeOnetime(onetime) {
+  const product = [onetime.product_title, onetime.variant_title].filter(Boolean).join(' - ') || 'Unknown product';
+  return `One-time product ${onetime.id}: ${product} x${onetime.quantity ?? 1}, ` +
+    `${formatAmount(lineTotal(onetime), onetime.presentment_currency)} on the charge of ${formatDate(onetime.next_charge_scheduled_at)}`;
+}
+
+/**
+ * @param {Object} charge - Charge resource
+ * @returns {string} Amount, schedule, status and line items
+ */
+export function describeCharge(charge) {
+  const items = (charge.line_items || [])
+    .map(item => `${item.title || item.product_title || 'item'} x${item.quantity ?? 1}`)
+    .join(', ');
+
+  return `Charge ${charge.id}: ${formatAmount(charge.total_price, charge.currency)} scheduled ${formatDate(charge.scheduled_at)} ` +
+    `(${charge.status || 'unknown status'})${items ? ` - ${items}` : ''}`;
+}
+
+/**
+ * @param {Object} order - Order resource
+ * @returns {string} Amount, date, status and line items
+ */
+export function describeOrder(order) {
+  const items = (order.line_items || [])
+    .map(item => `${item.title || item.product_title || 'item'} x${item.quantity ?? 1}`)
+    .join(', ');
+
+  return `Order ${order.id}: ${formatAmount(order.total_price, order.currency)} processed ${formatDate(order.processed_at || order.scheduled_at)} ` +
+    `(${order.status || 'unknown status'})${items ? ` - ${items}` : ''}`;
+}
+
+/**
+ * @param {Object} address - Address resource
+ * @returns {string} Recipient and postal address
+ */
+export function describeAddress(address) {
+  const recipient = [address.first_name, address.last_name].filter(Boolean).join(' ');
+  const location = [address.address1, address.city, address.province, address.zip, address.country_code]
+    .filter(Boolean)
+    .join(', ');
+  return `Address ${address.id}: ${[recipient, location].filter(Boolean).join(', ') || 'no details'}`;
+}
+
+/**
+ * Describe the subscriptions and queued charges tied to an address
+ * @param {RechargeClient} client - Client for the call
+ * @param {string} addressId - Address ID
+ * @param {Object} args - Tool arguments (customer identification)
+ * @returns {Promise<string[]>} Lines describing the affected subscriptions and charges
+ */
+export async function describeAddressContents(client, addressId, args) {
+  const [subscriptionsResponse, chargesResponse] = await Promise.all([
+    client.getSubscriptions({ address_id: addressId }, args.customer_id, args.customer_email, args.session_token),
+    client.getCharges({ address_id: addressId, status: 'queued' }, args.customer_id, args.customer_email, args.session_token),
+  ]);
+
+  const subscriptions = subscriptionsResponse?.subscriptions || [];
+  const charges = chargesResponse?.charges || [];
+
+  return [
+    `Subscriptions at address ${addressId}: ${subscriptions.length}`,
+    ...subscriptions.map(subscription => `  - ${describeSubscription(subscription)}`),
+    `Queued charges for address ${addressId}: ${charges.length}`,
+    ...charges.map(charge => `  - ${describeCharge(charge)}`),
+  ];
+}
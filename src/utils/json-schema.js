@@ -0,0 +1,68 @@
+/**
+ * JSON Schema
+ * Converts the tools' Zod input schemas to JSON Schema for tools/list with zod-to-json-schema, the
+ * converter the MCP SDK uses: types, enums, formats, min/max, defaults, required fields and descriptions.
+ *
+ * Refinements (.refine()) are plain functions, so their rules can't be read back from the schema.
+ * Tool modules state them with withJsonSchemaRules(), using JSON Schema keywords (anyOf, allOf
+ * with if/then, dependentRequired, ...) so clients can check them before calling the tool.
+ */
+import { zodToJsonSchema as convertZodSchema } from 'zod-to-json-schema';
+
+// Schema definition (_def) -> JSON Schema keywords; the converter hands post-processing the definition
+const schemaRules = new WeakMap();
+
+/**
+ * Attach JSON Schema keywords describing a schema's refinements
+ * @param {ZodType} schema - Refined schema (the value returned by the last .refine())
+ * @param {Object} rules - JSON Schema keywords merged into the converted schema
+ * @returns {ZodType} The same schema
+ */
+export function withJsonSchemaRules(schema, rules) {
+  schemaRules.set(schema._def, rules);
+  return schema;
+}
+
+/**
+ * Merge JSON Schema keywords into a converted schema
+ * Property schemas are merged field by field and allOf lists are concatenated.
+ */
+function mergeRules(jsonSchema, rules) {
+  const merged = { ...jsonSchema };
+  for (const [keyword, value] of Object.entries(rules)) {
+    if (keyword === 'properties' && merged.properties) {
+      merged.properties = { ...merged.properties };
+      for (const [field, fieldRules] of Object.entries(value)) {
+        merged.properties[field] = { ...merged.properties[field], ...fieldRules };
+      }
+    } else if (keyword === 'allOf' && merged.allOf) {
+      merged.allOf = [...merged.allOf, ...value];
+    } else {
+      merged[keyword] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Convert a Zod schema to JSON Schema
+ * Shared field schemas are inlined rather than referenced, and the refinement rules of any
+ * schema in the tree are merged in.
+ * @param {ZodType} schema - Zod schema
+ * @returns {Object} JSON Schema
+ */
+export function zodToJsonSchema(schema) {
+  const { $schema, ...jsonSchema } = convertZodSchema(schema, {
+    // dependentRequired in the refinement rules needs 2019-09 or later
+    target: 'jsonSchema2019-09',
+    $refStrategy: 'none',
+    // Zod objects drop unknown keys instead of rejecting them; only .strict() ones get additionalProperties: false
+    removeAdditionalStrategy: 'strict',
+    allowedAdditionalProperties: undefined,
+    postProcess: (converted, def) => {
+      const rules = schemaRules.get(def);
+      return converted && rules ? mergeRules(converted, rules) : converted;
+    },
+  });
+  return jsonSchema;
+}
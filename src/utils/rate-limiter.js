@@ -0,0 +1,211 @@
+/**
+ * Rate Limiter
+ * Token buckets that keep request rates under Recharge's per-store limits.
+ * Requests beyond the limit wait in a FIFO queue instead of failing with 429.
+ * One bucket is kept per store domain and API (admin and storefront are limited separately).
+ */
+import { createCancellationError } from './error-handler.js';
+
+export class TokenBucket {
+  /**
+   * @param {Object} options - Bucket options
+   * @param {number} options.capacity - Maximum burst size
+   * @param {number} options.refillPerSecond - Sustained requests per second (0 disables limiting)
+   */
+  constructor({ capacity, refillPerSecond }) {
+    this.capacity = Math.max(1, capacity);
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.queue = []; // { resolve, enqueuedAt, signal, onAbort }
+    this.drainTimer = null;
+
+    this.totalRequests = 0;
+    this.queuedRequests = 0;
+    this.totalWaitMs = 0;
+    this.maxWaitMs = 0;
+    this.lastWaitMs = 0;
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const earned = ((now - this.lastRefill) / 1000) * this.refillPerSecond;
+    this.tokens = Math.min(this.capacity, this.tokens + earned);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait for a token
+   * @param {AbortSignal} [signal] - Removes the request from the queue when aborted
+   * @returns {Promise<number>} Milliseconds spent waiting
+   * @throws {RechargeAPIError} REQUEST_CANCELLED when the signal fires while queued
+   */
+  acquire(signal = null) {
+    if (signal?.aborted) {
+      return Promise.reject(createCancellationError());
+    }
+
+    this.totalRequests++;
+
+    if (this.refillPerSecond <= 0) {
+      return Promise.resolve(0);
+    }
+
+    this.refill();
+    if (this.queue.length === 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      this.lastWaitMs = 0;
+      return Promise.resolve(0);
+    }
+
+    this.queuedRequests++;
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, enqueuedAt: Date.now(), signal, onAbort: null };
+
+      if (signal) {
+        waiter.onAbort = () => {
+          const index = this.queue.indexOf(waiter);
+          if (index !== -1) {
+            this.queue.splice(index, 1);
+          }
+          reject(createCancellationError());
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+
+      this.queue.push(waiter);
+      this.scheduleDrain();
+    });
+  }
+
+  /**
+   * Release queued requests as tokens become available
+   */
+  drain() {
+    this.drainTimer = null;
+    this.refill();
+
+    while (this.queue.length > 0 && this.tokens >= 1) {
+      const { resolve, enqueuedAt, signal, onAbort } = this.queue.shift();
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      const waitMs = Date.now() - enqueuedAt;
+      this.tokens -= 1;
+      this.totalWaitMs += waitMs;
+      this.maxWaitMs = Math.max(this.maxWaitMs, waitMs);
+      this.lastWaitMs = waitMs;
+      resolve(waitMs);
+    }
+
+    this.scheduleDrain();
+  }
+
+  /**
+   * Wake up when the next token is due, if anyone is waiting
+   */
+  scheduleDrain() {
+    if (this.drainTimer || this.queue.length === 0) {
+      return;
+    }
+    const waitMs = Math.max(0, Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000));
+    this.drainTimer = setTimeout(() => this.drain(), waitMs);
+  }
+
+  /**
+   * Get bucket statistics
+   * @returns {Object} Queue depth, wait times and configuration
+   */
+  getStats() {
+    this.refill();
+    const oldest = this.queue[0];
+    return {
+      requestsPerSecond: this.refillPerSecond,
+      burst: this.capacity,
+      availableTokens: Math.floor(this.tokens),
+      queueDepth: this.queue.length,
+      oldestQueuedWaitMs: oldest ? Date.now() - oldest.enqueuedAt : 0,
+      totalRequests: this.totalRequests,
+      queuedRequests: this.queuedRequests,
+      averageWaitMs: this.queuedRequests > 0 ? Math.round(this.totalWaitMs / this.queuedRequests) : 0,
+      maxWaitMs: this.maxWaitMs,
+      lastWaitMs: this.lastWaitMs,
+    };
+  }
+}
+
+export class StoreRateLimiters {
+  /**
+   * @param {Object} limits - Bucket options per API
+   * @param {{ capacity: number, refillPerSecond: number }} limits.admin - Admin API limit
+   * @param {{ capacity: number, refillPerSecond: number }} limits.storefront - Storefront API limit
+   */
+  constructor({ admin, storefront }) {
+    this.limits = { admin, storefront };
+    this.buckets = new Map(); // `${domain}|${api}` -> TokenBucket
+  }
+
+  /**
+   * Get the bucket for a store's API, creating it on first use
+   * @param {string} domain - Store domain
+   * @param {'admin'|'storefront'} api - Which API the requests go to
+   * @returns {TokenBucket} Shared bucket
+   */
+  getBucket(domain, api) {
+    const key = `${domain.toLowerCase()}|${api}`;
+    let bucket = this.buckets.get(key);
+
+    if (!bucket) {
+      bucket = new TokenBucket(this.limits[api]);
+      this.buckets.set(key, bucket);
+    }
+
+    return bucket;
+  }
+
+  /**
+   * Get statistics for every bucket
+   * @returns {Object} Stats keyed by store domain, then API
+   */
+  getStats() {
+    const stats = {};
+    for (const [key, bucket] of this.buckets) {
+      const [domain, api] = key.split('|');
+      stats[domain] = stats[domain] || {};
+      stats[domain][api] = bucket.getStats();
+    }
+    return stats;
+  }
+}
+
+let sharedLimiters = null;
+
+/**
+ * Get the process-wide rate limiters configured from the environment
+ * RECHARGE_ADMIN_RATE_LIMIT_PER_SECOND / RECHARGE_ADMIN_RATE_LIMIT_BURST and
+ * RECHARGE_STOREFRONT_RATE_LIMIT_PER_SECOND / RECHARGE_STOREFRONT_RATE_LIMIT_BURST (0 per second disables)
+ * @returns {StoreRateLimiters} Shared limiters
+ */
+export function getSharedRateLimiters() {
+  if (!sharedLimiters) {
+    const readNumber = (name, fallback) => {
+      const value = parseFloat(process.env[name]);
+      return isNaN(value) || value < 0 ? fallback : value;
+    };
+
+    sharedLimiters = new StoreRateLimiters({
+      admin: {
+        refillPerSecond: readNumber('RECHARGE_ADMIN_RATE_LIMIT_PER_SECOND', 2),
+        capacity: readNumber('RECHARGE_ADMIN_RATE_LIMIT_BURST', 40),
+      },
+      storefront: {
+        refillPerSecond: readNumber('RECHARGE_STOREFRONT_RATE_LIMIT_PER_SECOND', 2),
+        capacity: readNumber('RECHARGE_STOREFRONT_RATE_LIMIT_BURST', 40),
+      },
+    });
+  }
+  return sharedLimiters;
+}
@@ -0,0 +1,50 @@
+/**
+ * Read-only Mode
+ * Guarantees the server never writes to Recharge: tools that change data are hidden from
+ * tools/list and refused when called, and RechargeClient refuses every non-GET Storefront
+ * API request as a second layer of defense.
+ * Enabled with the --read-only flag or RECHARGE_MCP_READ_ONLY=true.
+ */
+import { RechargeAPIError } from './error-handler.js';
+
+let readOnlyMode = null;
+
+/**
+ * Check whether the server runs in read-only mode
+ * @returns {boolean} True if writes must be refused
+ */
+export function isReadOnlyMode() {
+  if (readOnlyMode === null) {
+    readOnlyMode = ['true', '1', 'yes'].includes((process.env.RECHARGE_MCP_READ_ONLY || '').trim().toLowerCase());
+  }
+  return readOnlyMode;
+}
+
+/**
+ * Turn read-only mode on or off (used for the --read-only flag)
+ * @param {boolean} enabled - Whether writes must be refused
+ */
+export function setReadOnlyMode(enabled) {
+  readOnlyMode = !!enabled;
+}
+
+/**
+ * Axios request interceptor that refuses non-GET requests in read-only mode
+ * Installed on the Storefront API instance, so it covers every request, including ones that
+ * don't go through makeRequest (logins, passwordless codes).
+ * @param {Object} config - Axios request config
+ * @returns {Object} The config, unchanged
+ * @throws {RechargeAPIError} READ_ONLY_MODE for a write in read-only mode
+ */
+export function refuseWritesInReadOnlyMode(config) {
+  const method = (config.method || 'GET').toUpperCase();
+  if (isReadOnlyMode() && method !== 'GET') {
+    throw new RechargeAPIError(
+      `Refusing ${method} ${config.url}: the server is running in read-only mode`,
+      403,
+      'READ_ONLY_MODE',
+      { method, endpoint: config.url }
+    );
+  }
+  return config;
+}
@@ -0,0 +1,92 @@
+/**
+ * Request Context
+ * Per-tool-call options (such as the request timeout) that RechargeClient needs but that
+ * cannot live on the client itself, because pooled clients are shared by concurrent tool calls.
+ * The context also carries the MCP request's AbortSignal so cancelled tool calls stop their
+ * HTTP requests and backoff waits right away.
+ */
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { createCancellationError } from './error-handler.js';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context visible to every API call it makes
+ * @param {Object} context - Context for this tool call
+ * @param {number} [context.timeoutMs] - Timeout for each HTTP request
+ * @param {string} [context.toolName] - Name of the tool being executed
+ * @param {AbortSignal} [context.signal] - Fires when the MCP client cancels the tool call
+ * @param {Function} fn - Function to run
+ * @returns {Promise<any>} Result of fn
+ */
+export function runWithRequestContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Get the context of the tool call currently executing
+ * @returns {Object} Request context, or an empty object outside a tool call
+ */
+export function getRequestContext() {
+  return storage.getStore() || {};
+}
+
+/**
+ * Throw if the current tool call has been cancelled
+ * @param {AbortSignal} [signal] - Signal to check (default: the request context's signal)
+ * @throws {RechargeAPIError} REQUEST_CANCELLED
+ */
+export function throwIfCancelled(signal = getRequestContext().signal) {
+  if (signal?.aborted) {
+    throw createCancellationError();
+  }
+}
+
+/**
+ * Wait for a while, waking up early if the tool call is cancelled
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Signal that cuts the wait short (default: the request context's signal)
+ * @returns {Promise<void>} Resolves after the wait
+ * @throws {RechargeAPIError} REQUEST_CANCELLED when the signal fires first
+ */
+export function sleep(ms, signal = getRequestContext().signal) {
+  throwIfCancelled(signal);
+  if (!signal) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createCancellationError());
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Wait for a promise shared with other tool calls, giving up early if this call is cancelled
+ * The shared work keeps running for the other callers
+ * @param {Promise<any>} promise - Shared promise
+ * @param {AbortSignal} [signal] - Signal for this caller (default: the request context's signal)
+ * @returns {Promise<any>} Result of the promise
+ * @throws {RechargeAPIError} REQUEST_CANCELLED when the signal fires first
+ */
+export function raceWithCancellation(promise, signal = getRequestContext().signal) {
+  throwIfCancelled(signal);
+  if (!signal) {
+    return promise;
+  }
+
+  let onAbort;
+  const cancelled = new Promise((resolve, reject) => {
+    onAbort = () => reject(createCancellationError());
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return Promise.race([promise, cancelled]).finally(() => signal.removeEventListener('abort', onAbort));
+}
@@ -0,0 +1,171 @@
+/**
+ * Retry Policy
+ * Retries transient Recharge API failures (429, 502, 503, 504 and network timeouts)
+ * with jittered exponential backoff inside a total time budget.
+ * Only idempotent methods are retried, and POSTs carrying an Idempotency-Key to an endpoint that
+ * honors it; those are not retried after a response timeout, since the first attempt may have applied.
+ * Cancelled requests are never retried, and cancelling a tool call cuts the backoff short.
+ */
+import { sleep } from './request-context.js';
+import { IDEMPOTENCY_KEY_HEADER, acceptsIdempotencyKey } from './idempotency.js';
+
+const RETRYABLE_STATUS_CODES = [429, 502, 503, 504];
+const RETRYABLE_NETWORK_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EPIPE', 'EAI_AGAIN'];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+// The request was sent but no response arrived in time, so it may have been applied
+const RESPONSE_TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+export class RetryPolicy {
+  /**
+   * @param {Object} [options] - Policy options
+   * @param {number} [options.maxRetries] - Retries after the first attempt (default: 3)
+   * @param {number} [options.baseDelayMs] - Backoff before the first retry (default: 500ms)
+   * @param {number} [options.maxDelayMs] - Upper bound for a single backoff (default: 10s)
+   * @param {number} [options.budgetMs] - Total time allowed across all attempts and waits (default: 30s)
+   */
+  constructor({ maxRetries = 3, baseDelayMs = 500, maxDelayMs = 10000, budgetMs = 30000 } = {}) {
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.budgetMs = budgetMs;
+  }
+
+  /**
+   * Check whether an error is a transient failure worth retrying
+   * @param {Error} error - Axios error
+   * @returns {boolean} True for 429/502/503/504 responses and network timeouts
+   */
+  isTransientError(error) {
+    if (error.response) {
+      return RETRYABLE_STATUS_CODES.includes(error.response.status);
+    }
+    return !!error.request && RETRYABLE_NETWORK_CODES.includes(error.code);
+  }
+
+  /**
+   * Check whether a request may safely be sent again after a failure
+   * @param {Object} config - Axios request config
+   * @param {Error} [error] - Error the attempt failed with
+   * @returns {boolean} True for idempotent methods, or keyed writes to endpoints that honor the key
+   *   that did not time out waiting for the response
+   */
+  canRetryRequest(config, error = null) {
+    const method = (config.method || 'GET').toUpperCase();
+    if (IDEMPOTENT_METHODS.includes(method)) {
+      return true;
+    }
+    if (!config.headers?.[IDEMPOTENCY_KEY_HEADER] || !acceptsIdempotencyKey(method, config.url)) {
+      return false;
+    }
+    return !(error && !error.response && RESPONSE_TIMEOUT_CODES.includes(error.code));
+  }
+
+  /**
+   * Read the server's Retry-After header
+   * @param {Error} error - Axios error
+   * @returns {number|null} Requested wait in milliseconds, or null if absent or unparseable
+   */
+  getRetryAfterMs(error) {
+    const value = error.response?.headers?.['retry-after'];
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    // Either delta-seconds or an HTTP date
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+
+    return null;
+  }
+
+  /**
+   * Compute the wait before a retry
+   * @param {Error} error - Error that triggered the retry
+   * @param {number} retryNumber - 1 for the first retry, 2 for the second, ...
+   * @returns {number} Delay in milliseconds
+   */
+  getDelayMs(error, retryNumber) {
+    const retryAfterMs = this.getRetryAfterMs(error);
+    if (retryAfterMs !== null) {
+      return retryAfterMs;
+    }
+
+    // Equal jitter: half the exponential delay plus a random share of the other half,
+    // so parallel callers hitting the same limit don't retry in lockstep
+    const exponentialMs = Math.min(this.baseDelayMs * Math.pow(2, retryNumber - 1), this.maxDelayMs);
+    return Math.round(exponentialMs / 2 + Math.random() * (exponentialMs / 2));
+  }
+
+  /**
+   * Send a request, retrying transient failures
+   * @param {Function} send - Sends the request and returns the axios response promise
+   * @param {Object} config - Axios request config (used for the method, idempotency key and abort signal)
+   * @returns {Promise<Object>} Axios response
+   * @throws {Error} The last error, annotated with retryAttempts
+   */
+  async execute(send, config) {
+    const startedAt = Date.now();
+    let retryNumber = 0;
+
+    while (true) {
+      try {
+        return await send();
+      } catch (error) {
+        error.retryAttempts = retryNumber;
+
+        if (!this.isTransientError(error) || !this.canRetryRequest(config, error) || retryNumber >= this.maxRetries) {
+          throw error;
+        }
+
+        retryNumber++;
+        const delayMs = this.getDelayMs(error, retryNumber);
+
+        // Give up now rather than sleep past the budget
+        if (Date.now() - startedAt + delayMs > this.budgetMs) {
+          if (process.env.DEBUG === 'true') {
+            console.error(`[DEBUG] Retry budget of ${this.budgetMs}ms exhausted for ${config.method} ${config.url}`);
+          }
+          throw error;
+        }
+
+        if (process.env.DEBUG === 'true') {
+          const reason = error.response ? `HTTP ${error.response.status}` : error.code;
+          console.error(`[DEBUG] ${reason} on ${config.method} ${config.url}, retry ${retryNumber}/${this.maxRetries} in ${delayMs}ms`);
+        }
+
+        await sleep(delayMs, config.signal);
+      }
+    }
+  }
+}
+
+let defaultPolicy = null;
+
+/**
+ * Get the process-wide retry policy configured from the environment
+ * RECHARGE_RETRY_MAX_ATTEMPTS, RECHARGE_RETRY_BASE_DELAY_MS, RECHARGE_RETRY_MAX_DELAY_MS, RECHARGE_RETRY_BUDGET_MS
+ * @returns {RetryPolicy} Retry policy
+ */
+export function getDefaultRetryPolicy() {
+  if (!defaultPolicy) {
+    const readInt = (name, fallback) => {
+      const value = parseInt(process.env[name], 10);
+      return isNaN(value) || value < 0 ? fallback : value;
+    };
+
+    defaultPolicy = new RetryPolicy({
+      maxRetries: readInt('RECHARGE_RETRY_MAX_ATTEMPTS', 3),
+      baseDelayMs: readInt('RECHARGE_RETRY_BASE_DELAY_MS', 500),
+      maxDelayMs: readInt('RECHARGE_RETRY_MAX_DELAY_MS', 10000),
+      budgetMs: readInt('RECHARGE_RETRY_BUDGET_MS', 30000),
+    });
+  }
+  return defaultPolicy;
+}
@@ -1,19 +1,120 @@
 /**
  * Session Cache Manager
- * Handles caching of customer session tokens with automatic renewal on failure
+ * Handles caching of customer session tokens with automatic renewal on failure.
+ * SessionCache holds the sessions of one store partition (store domain + API base URL + admin token);
+ * PartitionedSessionCache holds every partition in the process so stores never clear each other.
  * Last updated: 2024-12-24
  */
+import { getDefaultSessionStore } from './session-store.js';
+import { normalizeEmail, isEmailLocalPartCaseInsensitive } from './email-helpers.js';
+
+// Used when the session creation response does not say when the session expires
+const DEFAULT_SESSION_TTL_MINUTES = 240;
+
+// Per store partition; sessions and email mappings are bounded separately
+const DEFAULT_MAX_ENTRIES = 1000;
 
 export class SessionCache {
-  constructor() {
-    this.sessions = new Map(); // customer_id -> { token, email }
-    this.emailToCustomerId = new Map(); // email -> customer_id
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {Object} [options.store] - Session store adapter (see session-store.js); in-memory only when omitted
+   * @param {string} [options.namespace] - Namespace this cache occupies in the store
+   * @param {string} [options.domain] - Store domain this cache belongs to
+   * @param {string} [options.apiUrl] - Recharge API base URL the sessions were created against
+   * @param {number} [options.sessionTtlMs] - Session lifetime assumed when no expiry is known (default: 240 minutes)
+   * @param {number} [options.maxEntries] - Maximum sessions and email mappings kept; least recently used are evicted (default: 1000)
+   */
+  constructor({ store = null, namespace = 'default', domain = null, apiUrl = null, sessionTtlMs = DEFAULT_SESSION_TTL_MINUTES * 60 * 1000, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.sessions = new Map(); // customer_id -> { token, email, createdAt, lastUsed, expiresAt }
+    this.emailToCustomerId = new Map(); // email -> customer_id, least recently used first
+    this.store = store;
+    this.namespace = namespace;
+    this.domain = domain;
+    this.apiUrl = apiUrl;
+    this.sessionTtlMs = sessionTtlMs;
+    this.maxEntries = maxEntries;
+    this.sessionsEvicted = 0;
+    this.emailMappingsEvicted = 0;
+    this.lowercaseEmailLocalPart = isEmailLocalPartCaseInsensitive(domain);
+
+    this.restore();
+  }
+
+  /**
+   * Load previously persisted sessions from the store
+   */
+  restore() {
+    if (!this.store) {
+      return;
+    }
+
+    const snapshot = this.store.load(this.namespace);
+    if (!snapshot) {
+      return;
+    }
+
+    for (const [customerId, sessionData] of snapshot.sessions || []) {
+      const createdAt = new Date(sessionData.createdAt);
+      this.sessions.set(customerId, {
+        ...sessionData,
+        email: this.normalizeEmail(sessionData.email),
+        createdAt,
+        lastUsed: new Date(sessionData.lastUsed),
+        // Snapshots written before expiry tracking fall back to the configured TTL
+        expiresAt: sessionData.expiresAt
+          ? new Date(sessionData.expiresAt)
+          : new Date(createdAt.getTime() + this.sessionTtlMs),
+      });
+    }
+
+    // Normalize again in case the snapshot predates normalization or the store config changed
+    for (const [email, customerId] of snapshot.emailMappings || []) {
+      this.touchEmailMapping(this.normalizeEmail(email), customerId);
+    }
+
+    this.purgeExpiredSessions();
+    // The limit may have been lowered since the snapshot was written
+    if (this.enforceLimits() > 0) {
+      this.persist();
+    }
+
+    if (process.env.DEBUG === 'true') {
+      console.error(`[DEBUG] Restored ${this.sessions.size} sessions and ${this.emailToCustomerId.size} email mappings from session store`);
+    }
+  }
+
+  /**
+   * Write the current cache contents to the store
+   */
+  persist() {
+    if (!this.store) {
+      return;
+    }
+
+    this.store.save(this.namespace, {
+      sessions: [...this.sessions].map(([customerId, sessionData]) => [customerId, {
+        ...sessionData,
+        createdAt: sessionData.createdAt.toISOString(),
+        lastUsed: sessionData.lastUsed.toISOString(),
+        expiresAt: sessionData.expiresAt.toISOString(),
+      }]),
+      emailMappings: [...this.emailToCustomerId],
+    });
+  }
+
+  /**
+   * Normalize an email into the form used as a cache key for this store
+   * @param {string} email - Customer email
+   * @returns {string|null} Normalized email, or null if not a string
+   */
+  normalizeEmail(email) {
+    return normalizeEmail(email, { lowercaseLocalPart: this.lowercaseEmailLocalPart });
   }
 
   /**
    * Get cached session token for customer
    * @param {string} customerId - Customer ID
-   * @returns {string|null} Session token if cached, null if not found
+   * @returns {string|null} Session token if cached, null if not found or expired
    */
   getSessionToken(customerId) {
     const session = this.sessions.get(customerId);
@@ -21,6 +122,12 @@ export class SessionCache {
       return null;
     }
     
+    // Never hand out a token past its expiry
+    if (session.expiresAt <= new Date()) {
+      this.clearSession(customerId);
+      return null;
+    }
+    
     // Update last used timestamp
     session.lastUsed = new Date();
     
@@ -32,8 +139,9 @@ export class SessionCache {
    * @param {string} customerId - Customer ID
    * @param {string} sessionToken - Session token
    * @param {string} [email] - Customer email for reverse lookup
+   * @param {Date} [expiresAt] - Expiry reported by the API (default: now + session TTL)
    */
-  setSessionToken(customerId, sessionToken, email = null) {
+  setSessionToken(customerId, sessionToken, email = null, expiresAt = null) {
     // Validate inputs
     if (!customerId || typeof customerId !== 'string') {
       throw new Error('Customer ID is required and must be a string');
@@ -50,26 +158,32 @@ export class SessionCache {
       throw new Error('Customer ID cannot be empty');
     }
     
-    // Store with timestamp for expiry tracking
+    // Store with timestamps for expiry tracking
+    email = this.normalizeEmail(email);
+    const now = new Date();
     const sessionData = {
       token: sessionToken,
       email,
-      createdAt: new Date(),
-      lastUsed: new Date()
+      createdAt: now,
+      lastUsed: now,
+      expiresAt: expiresAt instanceof Date && !isNaN(expiresAt) ? expiresAt : new Date(now.getTime() + this.sessionTtlMs)
     };
     
     this.sessions.set(customerId, sessionData);
 
     // Cache email -> customer_id mapping if email provided
-    if (email && typeof email === 'string' && email.trim() !== '') {
+    if (email) {
       // Validate email format
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(email.trim())) {
+      if (!emailRegex.test(email)) {
         throw new Error(`Invalid email format for caching: ${email}`);
       }
-      this.emailToCustomerId.set(email, customerId);
+      this.touchEmailMapping(email, customerId);
     }
 
+    this.enforceLimits();
+    this.persist();
+
     if (process.env.DEBUG === 'true') {
       // Don't log the actual session token for security
       console.error(`[DEBUG] Cached session for customer ${customerId}`);
@@ -85,7 +199,15 @@ export class SessionCache {
     if (!email || typeof email !== 'string') {
       return null;
     }
-    return this.emailToCustomerId.get(email) || null;
+    
+    const key = this.normalizeEmail(email);
+    const customerId = this.emailToCustomerId.get(key);
+    if (!customerId) {
+      return null;
+    }
+    
+    this.touchEmailMapping(key, customerId);
+    return customerId;
   }
 
   /**
@@ -98,11 +220,61 @@ export class SessionCache {
       throw new Error('Both email and customer ID are required and must be strings');
     }
     
-    this.emailToCustomerId.set(email, customerId);
+    const key = this.normalizeEmail(email);
+    this.touchEmailMapping(key, customerId);
+    this.enforceLimits();
+    this.persist();
     
     if (process.env.DEBUG === 'true') {
-      console.error(`[DEBUG] Cached email lookup: ${email} -> ${customerId}`);
+      console.error(`[DEBUG] Cached email lookup: ${key} -> ${customerId}`);
+    }
+  }
+
+  /**
+   * Store an email mapping as the most recently used one
+   * Map iteration follows insertion order, so re-inserting keeps the oldest mappings first
+   * @param {string} email - Customer email
+   * @param {string} customerId - Customer ID
+   */
+  touchEmailMapping(email, customerId) {
+    this.emailToCustomerId.delete(email);
+    this.emailToCustomerId.set(email, customerId);
+  }
+
+  /**
+   * Evict least recently used sessions and email mappings beyond maxEntries
+   * Evicted sessions keep their email mapping, so the customer only needs a new session, not a new lookup
+   * @returns {number} Number of entries evicted
+   */
+  enforceLimits() {
+    let evictedCount = 0;
+    
+    while (this.sessions.size > this.maxEntries) {
+      let lruCustomerId = null;
+      let lruTime = null;
+      for (const [customerId, sessionData] of this.sessions) {
+        if (lruTime === null || sessionData.lastUsed < lruTime) {
+          lruCustomerId = customerId;
+          lruTime = sessionData.lastUsed;
+        }
+      }
+      this.sessions.delete(lruCustomerId);
+      this.sessionsEvicted++;
+      evictedCount++;
+    }
+    
+    while (this.emailToCustomerId.size > this.maxEntries) {
+      const lruEmail = this.emailToCustomerId.keys().next().value;
+      this.emailToCustomerId.delete(lruEmail);
+      this.emailMappingsEvicted++;
+      evictedCount++;
+    }
+    
+    if (process.env.DEBUG === 'true' && evictedCount > 0) {
+      console.error(`[DEBUG] Evicted ${evictedCount} least recently used cache entries (limit ${this.maxEntries})`);
     }
+    
+    return evictedCount;
   }
 
   /**
@@ -114,15 +286,24 @@ export class SessionCache {
       return; // Silently ignore invalid input
     }
     
+    this.removeSession(customerId);
+    this.persist();
+    
+    if (process.env.DEBUG === 'true') {
+      console.error(`[DEBUG] Cleared session for customer ${customerId}`);
+    }
+  }
+
+  /**
+   * Remove a session and its email mapping without persisting (used by bulk clears)
+   * @param {string} customerId - Customer ID
+   */
+  removeSession(customerId) {
     const session = this.sessions.get(customerId);
     if (session && session.email) {
       this.emailToCustomerId.delete(session.email);
     }
     this.sessions.delete(customerId);
-    
-    if (process.env.DEBUG === 'true') {
-      console.error(`[DEBUG] Cleared session for customer ${customerId}`);
-    }
   }
 
   /**
@@ -134,10 +315,15 @@ export class SessionCache {
       return;
     }
     
-    const customerId = this.emailToCustomerId.get(email);
+    const key = this.normalizeEmail(email);
+    const customerId = this.emailToCustomerId.get(key);
     if (customerId) {
       this.clearSession(customerId);
     }
+    // The mapping may outlive its session (e.g. after LRU eviction)
+    if (this.emailToCustomerId.delete(key)) {
+      this.persist();
+    }
   }
 
   /**
@@ -146,6 +332,7 @@ export class SessionCache {
   clearAll() {
     this.sessions.clear();
     this.emailToCustomerId.clear();
+    this.persist();
     
     if (process.env.DEBUG === 'true') {
       console.error('[DEBUG] Cleared all cached sessions');
@@ -156,19 +343,26 @@ export class SessionCache {
    * Clear sessions for a specific environment/domain
    * Useful when switching between dev/test/production environments
    * @param {string} domain - Domain to clear sessions for (e.g., 'test-shop.myshopify.com')
+   * @returns {number} Number of sessions cleared (0 when this cache belongs to another store)
    */
   clearSessionsForDomain(domain) {
     if (!domain || typeof domain !== 'string') {
-      return;
+      return 0;
+    }
+    
+    // Only this cache's own store is affected; other stores keep their sessions
+    if (this.domain && this.domain !== domain.toLowerCase()) {
+      return 0;
     }
     
-    // Since we don't store domain info with sessions, we clear all sessions
-    // This is safer when switching environments to prevent cross-environment token usage
+    const cleared = this.sessions.size;
     this.clearAll();
     
     if (process.env.DEBUG === 'true') {
-      console.error(`[DEBUG] Cleared all sessions due to domain change: ${domain}`);
+      console.error(`[DEBUG] Cleared ${cleared} sessions for domain: ${domain}`);
     }
+    
+    return cleared;
   }
 
   /**
@@ -184,11 +378,15 @@ export class SessionCache {
     
     for (const [customerId, sessionData] of this.sessions) {
       if (sessionData.createdAt < cutoffTime) {
-        this.clearSession(customerId);
+        this.removeSession(customerId);
         clearedCount++;
       }
     }
     
+    if (clearedCount > 0) {
+      this.persist();
+    }
+    
     if (process.env.DEBUG === 'true' && clearedCount > 0) {
       console.error(`[DEBUG] Cleared ${clearedCount} expired sessions (older than ${maxAgeMinutes} minutes)`);
     }
@@ -196,6 +394,45 @@ export class SessionCache {
     return clearedCount;
   }
 
+  /**
+   * Remove sessions whose expiry has passed
+   * @returns {number} Number of sessions removed
+   */
+  purgeExpiredSessions() {
+    const now = new Date();
+    let purgedCount = 0;
+    
+    for (const [customerId, sessionData] of this.sessions) {
+      if (sessionData.expiresAt <= now) {
+        this.removeSession(customerId);
+        purgedCount++;
+      }
+    }
+    
+    if (purgedCount > 0) {
+      this.persist();
+    }
+    
+    if (process.env.DEBUG === 'true' && purgedCount > 0) {
+      console.error(`[DEBUG] Purged ${purgedCount} sessions past their expiry`);
+    }
+    
+    return purgedCount;
+  }
+
+  /**
+   * Get the time left before a cached session expires
+   * @param {string} customerId - Customer ID
+   * @returns {number|null} Milliseconds until expiry, or null if no session is cached
+   */
+  getTimeToExpiry(customerId) {
+    const session = this.sessions.get(customerId);
+    if (!session) {
+      return null;
+    }
+    return session.expiresAt.getTime() - Date.now();
+  }
+
   /**
    * Check if customer has cached session
    * @param {string} customerId - Customer ID
@@ -224,6 +461,7 @@ export class SessionCache {
     const now = new Date();
     let oldestSession = null;
     let newestSession = null;
+    let nextExpiry = null;
     
     for (const [customerId, sessionData] of this.sessions) {
       if (!oldestSession || sessionData.createdAt < oldestSession) {
@@ -232,13 +470,22 @@ export class SessionCache {
       if (!newestSession || sessionData.createdAt > newestSession) {
         newestSession = sessionData.createdAt;
       }
+      if (!nextExpiry || sessionData.expiresAt < nextExpiry) {
+        nextExpiry = sessionData.expiresAt;
+      }
     }
     
     return {
+      domain: this.domain,
+      apiUrl: this.apiUrl,
       totalSessions: this.sessions.size,
       emailMappings: this.emailToCustomerId.size,
+      maxEntries: this.maxEntries,
+      sessionsEvicted: this.sessionsEvicted,
+      emailMappingsEvicted: this.emailMappingsEvicted,
       oldestSessionAge: oldestSession ? Math.floor((now - oldestSession) / 1000) : null,
-      newestSessionAge: newestSession ? Math.floor((now - newestSession) / 1000) : null
+      newestSessionAge: newestSession ? Math.floor((now - newestSession) / 1000) : null,
+      nextExpiryIn: nextExpiry ? Math.max(0, Math.floor((nextExpiry - now) / 1000)) : null
     };
   }
 
@@ -254,15 +501,145 @@ export class SessionCache {
     
     for (const [customerId, sessionData] of this.sessions) {
       if (sessionData.createdAt < cutoffTime) {
-        this.clearSession(customerId);
+        this.removeSession(customerId);
         cleanedCount++;
       }
     }
     
+    if (cleanedCount > 0) {
+      this.persist();
+    }
+    
     if (process.env.DEBUG === 'true' && cleanedCount > 0) {
       console.error(`[DEBUG] Cleaned up ${cleanedCount} old sessions`);
     }
     
     return cleanedCount;
   }
-}
\ No newline at end of file
+}
+
+export class PartitionedSessionCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {Object} [options.store] - Session store adapter shared by every partition
+   * @param {number} [options.sessionTtlMs] - Session lifetime assumed when no expiry is known
+   * @param {number} [options.maxEntries] - Per-partition limit for sessions and email mappings
+   */
+  constructor({ store = null, sessionTtlMs = DEFAULT_SESSION_TTL_MINUTES * 60 * 1000, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.store = store;
+    this.sessionTtlMs = sessionTtlMs;
+    this.maxEntries = maxEntries;
+    this.partitions = new Map(); // partition key -> SessionCache
+  }
+
+  /**
+   * Build the key identifying a store partition
+   * @param {string} domain - Store domain
+   * @param {string} apiUrl - Recharge API base URL
+   * @param {string} adminFingerprint - Fingerprint of the admin token that mints the sessions
+   * @returns {string} Partition key
+   */
+  static partitionKey(domain, apiUrl, adminFingerprint = '-') {
+    return `${domain.toLowerCase()}|${apiUrl}|${adminFingerprint}`;
+  }
+
+  /**
+   * Get the cache for a store partition, creating (and restoring) it on first use
+   * Sessions minted by different admin tokens are kept apart so one caller can never
+   * pick up a session created with another caller's credentials
+   * @param {Object} identity - Partition identity
+   * @param {string} identity.domain - Store domain
+   * @param {string} identity.apiUrl - Recharge API base URL
+   * @param {string} [identity.adminFingerprint] - Fingerprint of the admin token
+   * @returns {SessionCache} Cache for the partition
+   */
+  partition({ domain, apiUrl, adminFingerprint = '-' }) {
+    const key = PartitionedSessionCache.partitionKey(domain, apiUrl, adminFingerprint);
+    let cache = this.partitions.get(key);
+
+    if (!cache) {
+      cache = new SessionCache({
+        store: this.store,
+        namespace: key,
+        domain: domain.toLowerCase(),
+        apiUrl,
+        sessionTtlMs: this.sessionTtlMs,
+        maxEntries: this.maxEntries,
+      });
+      this.partitions.set(key, cache);
+    }
+
+    return cache;
+  }
+
+  /**
+   * Drop a partition from memory. Persisted data stays in the store and is restored on next use.
+   * @param {string} key - Partition key (the SessionCache namespace)
+   */
+  release(key) {
+    this.partitions.delete(key);
+  }
+
+  /**
+   * Get every partition belonging to a store
+   * @param {string} domain - Store domain
+   * @param {string} [apiUrl] - Restrict to one API base URL
+   * @returns {SessionCache[]} Matching partitions
+   */
+  getPartitionsForStore(domain, apiUrl = null) {
+    const normalizedDomain = domain.toLowerCase();
+    return [...this.partitions.values()].filter(cache =>
+      cache.domain === normalizedDomain && (!apiUrl || cache.apiUrl === apiUrl)
+    );
+  }
+
+  /**
+   * Clear the sessions of one store without touching any other store
+   * @param {string} domain - Store domain
+   * @param {string} [apiUrl] - Restrict to one API base URL
+   * @returns {number} Number of sessions cleared
+   */
+  clearSessionsForDomain(domain, apiUrl = null) {
+    if (!domain || typeof domain !== 'string') {
+      return 0;
+    }
+    return this.getPartitionsForStore(domain, apiUrl)
+      .reduce((cleared, cache) => cleared + cache.clearSessionsForDomain(domain), 0);
+  }
+
+  /**
+   * Get cache statistics for every partition held in memory
+   * @returns {Object} Aggregate and per-store statistics
+   */
+  getStats() {
+    const stores = [...this.partitions.values()].map(cache => cache.getStats());
+    return {
+      partitions: stores.length,
+      totalSessions: stores.reduce((total, stats) => total + stats.totalSessions, 0),
+      emailMappings: stores.reduce((total, stats) => total + stats.emailMappings, 0),
+      sessionsEvicted: stores.reduce((total, stats) => total + stats.sessionsEvicted, 0),
+      emailMappingsEvicted: stores.reduce((total, stats) => total + stats.emailMappingsEvicted, 0),
+      stores,
+    };
+  }
+}
+
+let sharedCache = null;
+
+/**
+ * Get the process-wide partitioned session cache backed by the configured session store
+ * RECHARGE_SESSION_TTL_MINUTES sets the session lifetime assumed when the API does not report one;
+ * RECHARGE_SESSION_CACHE_MAX_ENTRIES bounds the sessions and email mappings kept per store
+ * @returns {PartitionedSessionCache} Shared cache
+ */
+export function getSharedSessionCache() {
+  if (!sharedCache) {
+    const ttlMinutes = parseInt(process.env.RECHARGE_SESSION_TTL_MINUTES, 10) || DEFAULT_SESSION_TTL_MINUTES;
+    sharedCache = new PartitionedSessionCache({
+      store: getDefaultSessionStore(),
+      sessionTtlMs: ttlMinutes * 60 * 1000,
+      maxEntries: parseInt(process.env.RECHARGE_SESSION_CACHE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES,
+    });
+  }
+  return sharedCache;
+}
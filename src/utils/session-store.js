@@ -0,0 +1,178 @@
+/**
+ * Session Store Adapters
+ * Persistence backends for SessionCache. A store holds one snapshot per namespace
+ * (one namespace per store domain, API base URL and admin token) and must implement:
+ *   load(namespace)            -> snapshot | null
+ *   save(namespace, snapshot)  -> void
+ *   flush()                    -> void (write any pending changes synchronously)
+ * A snapshot is { sessions: [[customerId, sessionData]], emailMappings: [[email, customerId]] }
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { deriveEncryptionKey, encryptString, decryptString } from './crypto-helpers.js';
+
+const STORE_FILE_VERSION = 1;
+
+/**
+ * In-memory store (default). SessionCache already keeps everything in memory,
+ * so this adapter persists nothing and nothing survives a restart.
+ */
+export class MemorySessionStore {
+  load(namespace) {
+    return null;
+  }
+
+  save(namespace, snapshot) {
+    // Nothing to persist
+  }
+
+  flush() {
+    // Nothing to write
+  }
+}
+
+/**
+ * JSON file store. Each namespace snapshot is encrypted with AES-256-GCM before it is written,
+ * so session tokens and customer emails are never stored in plain text.
+ */
+export class FileSessionStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.filePath - Path of the JSON file
+   * @param {string} options.encryptionKey - Secret used to derive the encryption key
+   * @param {number} [options.writeDelayMs] - Coalesce writes within this window (default: 250ms)
+   */
+  constructor({ filePath, encryptionKey, writeDelayMs = 250 }) {
+    if (!filePath) {
+      throw new Error('Session store file path is required');
+    }
+
+    this.filePath = path.resolve(filePath);
+    this.key = deriveEncryptionKey(encryptionKey);
+    this.writeDelayMs = writeDelayMs;
+    this.writeTimer = null;
+    this.namespaces = this.readFile(); // namespace -> encrypted envelope
+  }
+
+  /**
+   * Read the store file, starting empty if it does not exist yet
+   * @returns {Object} Encrypted envelopes keyed by namespace
+   */
+  readFile() {
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (parsed.version !== STORE_FILE_VERSION || !parsed.namespaces || typeof parsed.namespaces !== 'object') {
+        console.error(`[WARNING] Ignoring session store ${this.filePath}: unsupported format`);
+        return {};
+      }
+      return parsed.namespaces;
+    } catch (error) {
+      console.error(`[WARNING] Ignoring unreadable session store ${this.filePath}: ${error.message}`);
+      return {};
+    }
+  }
+
+  load(namespace) {
+    const envelope = this.namespaces[namespace];
+    if (!envelope) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(decryptString(envelope, this.key));
+    } catch (error) {
+      // Wrong key or tampered data - start this namespace fresh rather than failing every call
+      console.error(`[WARNING] Could not decrypt persisted sessions (${error.message}). Cached sessions will be recreated.`);
+      delete this.namespaces[namespace];
+      return null;
+    }
+  }
+
+  save(namespace, snapshot) {
+    this.namespaces[namespace] = encryptString(JSON.stringify(snapshot), this.key);
+    this.scheduleWrite();
+  }
+
+  scheduleWrite() {
+    if (this.writeTimer) {
+      return;
+    }
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.flush();
+    }, this.writeDelayMs);
+    this.writeTimer.unref?.();
+  }
+
+  flush() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      // Write to a temp file and rename so a crash never leaves a half-written store
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({
+        version: STORE_FILE_VERSION,
+        namespaces: this.namespaces,
+      }), { mode: 0o600 });
+      fs.renameSync(tempPath, this.filePath);
+
+      if (process.env.DEBUG === 'true') {
+        console.error(`[DEBUG] Persisted session store (${Object.keys(this.namespaces).length} namespaces) to ${this.filePath}`);
+      }
+    } catch (error) {
+      console.error(`[ERROR] Failed to persist session store: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Create the session store configured in the environment
+ * RECHARGE_SESSION_STORE: 'memory' (default) or 'file'
+ * RECHARGE_SESSION_STORE_PATH: file path for the file store
+ * RECHARGE_SESSION_ENCRYPTION_KEY: secret used to encrypt the file store (required for 'file')
+ * @returns {MemorySessionStore|FileSessionStore} Session store
+ */
+export function createSessionStoreFromEnv() {
+  const type = (process.env.RECHARGE_SESSION_STORE || 'memory').trim().toLowerCase();
+
+  if (type === 'memory') {
+    return new MemorySessionStore();
+  }
+
+  if (type === 'file') {
+    if (!process.env.RECHARGE_SESSION_ENCRYPTION_KEY) {
+      throw new Error(
+        'RECHARGE_SESSION_ENCRYPTION_KEY is required when RECHARGE_SESSION_STORE=file.\n' +
+        'Session tokens are encrypted at rest. Set a secret of at least 16 characters, e.g. the output of: openssl rand -hex 32'
+      );
+    }
+
+    return new FileSessionStore({
+      filePath: process.env.RECHARGE_SESSION_STORE_PATH || '.recharge-sessions.json',
+      encryptionKey: process.env.RECHARGE_SESSION_ENCRYPTION_KEY,
+    });
+  }
+
+  throw new Error(`Invalid RECHARGE_SESSION_STORE: ${type}. Use 'memory' or 'file'.`);
+}
+
+let defaultStore = null;
+
+/**
+ * Get the process-wide session store, creating it from the environment on first use
+ * @returns {MemorySessionStore|FileSessionStore} Session store
+ */
+export function getDefaultSessionStore() {
+  if (!defaultStore) {
+    defaultStore = createSessionStoreFromEnv();
+  }
+  return defaultStore;
+}
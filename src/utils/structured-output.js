@@ -0,0 +1,180 @@
+/**
+ * Structured Output
+ * Output schemas and results with structuredContent, so clients get the records as data and
+ * the model reads a short summary instead of prose-wrapped JSON.
+ * Schemas describe the fields agents rely on and allow any others Recharge returns; values are
+ * typed loosely because the Storefront API returns IDs as numbers and amounts as strings.
+ */
+
+// Every field except id allows null: Recharge returns null for unset optional fields (address2,
+// province, zip, variant_title, dates), and a string-only type would fail the client's validation
+const ID = { type: ['integer', 'string'] };
+const TEXT = { type: ['string', 'null'] };
+const NUMBER = { type: ['number', 'string', 'null'] };
+const TIMESTAMP = { type: ['string', 'null'], description: 'ISO 8601 date-time' };
+
+const LINE_ITEMS = {
+  type: ['array', 'null'],
+  items: {
+    type: 'object',
+    properties: {
+      title: TEXT,
+      quantity: NUMBER,
+      price: NUMBER,
+    },
+  },
+};
+
+/**
+ * JSON Schemas of the resources with structured output, by resource key
+ */
+export const resourceSchemas = {
+  subscription: {
+    type: 'object',
+    properties: {
+      id: ID,
+      address_id: { type: ['integer', 'string', 'null'] },
+      status: TEXT,
+      product_title: TEXT,
+      variant_title: TEXT,
+      quantity: NUMBER,
+      price: NUMBER,
+      order_interval_frequency: NUMBER,
+      order_interval_unit: TEXT,
+      next_charge_scheduled_at: TIMESTAMP,
+      updated_at: TIMESTAMP,
+    },
+    required: ['id'],
+  },
+  charge: {
+    type: 'object',
+    properties: {
+      id: ID,
+      address_id: { type: ['integer', 'string', 'null'] },
+      status: TEXT,
+      scheduled_at: TIMESTAMP,
+      total_price: NUMBER,
+      currency: TEXT,
+      line_items: LINE_ITEMS,
+    },
+    required: ['id'],
+  },
+  order: {
+    type: 'object',
+    properties: {
+      id: ID,
+      charge_id: { type: ['integer', 'string', 'null'] },
+      status: TEXT,
+      processed_at: TIMESTAMP,
+      total_price: NUMBER,
+      currency: TEXT,
+      line_items: LINE_ITEMS,
+    },
+    required: ['id'],
+  },
+  address: {
+    type: 'object',
+    properties: {
+      id: ID,
+      first_name: TEXT,
+      last_name: TEXT,
+      address1: TEXT,
+      address2: TEXT,
+      city: TEXT,
+      province: TEXT,
+      zip: TEXT,
+      country_code: TEXT,
+      updated_at: TIMESTAMP,
+    },
+    required: ['id'],
+  },
+};
+
+/**
+ * Output schema of a tool that returns one resource ({ subscription: {...} })
+ * @param {string} resourceKey - Key in resourceSchemas
+ * @returns {Object} JSON Schema
+ */
+export function resourceOutputSchema(resourceKey) {
+  return {
+    type: 'object',
+    properties: {
+      [resourceKey]: resourceSchemas[resourceKey],
+    },
+    required: [resourceKey],
+  };
+}
+
+/**
+ * Output schema of a tool that returns a list ({ subscriptions: [...], count, cursors })
+ * @param {string} resourceKey - Key in resourceSchemas
+ * @param {string} listKey - Key of the list (e.g. 'subscriptions')
+ * @returns {Object} JSON Schema
+ */
+export function listOutputSchema(resourceKey, listKey) {
+  return {
+    type: 'object',
+    properties: {
+      [listKey]: { type: 'array', items: resourceSchemas[resourceKey] },
+      count: { type: 'integer', description: `Number of ${listKey} in this page` },
+      next_cursor: { type: ['string', 'null'], description: 'Cursor of the next page, if any' },
+      previous_cursor: { type: ['string', 'null'], description: 'Cursor of the previous page, if any' },
+    },
+    required: [listKey, 'count'],
+  };
+}
+
+/**
+ * Build the result of a tool that returns one resource
+ * @param {Object} response - API response ({ subscription: {...} } or the resource itself)
+ * @param {string} resourceKey - Resource key
+ * @param {Function} describe - One-line description of the resource
+ * @returns {Object} MCP result with a summary and structuredContent
+ */
+export function buildResourceResult(response, resourceKey, describe) {
+  const resource = response?.[resourceKey] ?? response ?? {};
+  return {
+    content: [
+      {
+        type: 'text',
+        text: describe(resource),
+      },
+    ],
+    structuredContent: { [resourceKey]: resource },
+  };
+}
+
+/**
+ * Build the result of a tool that returns a list
+ * @param {Object} response - API response ({ subscriptions: [...], next_cursor, ... } or an array)
+ * @param {string} listKey - Key of the list
+ * @param {Function} describe - One-line description of each item
+ * @returns {Object} MCP result with a summary and structuredContent
+ */
+export function buildListResult(response, listKey, describe) {
+  const items = Array.isArray(response) ? response : (response?.[listKey] || []);
+  const structuredContent = {
+    [listKey]: items,
+    count: items.length,
+    next_cursor: response?.next_cursor ?? null,
+    previous_cursor: response?.previous_cursor ?? null,
+  };
+
+  const label = listKey.charAt(0).toUpperCase() + listKey.slice(1);
+  let text = items.length === 0
+    ? `No ${listKey} found.`
+    : `${label} (${items.length}):\n${items.map(item => `- ${describe(item)}`).join('\n')}`;
+  if (structuredContent.next_cursor) {
+    text += `\nMore ${listKey} are available (next_cursor: ${structuredContent.next_cursor}).`;
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text,
+      },
+    ],
+    structuredContent,
+  };
+}
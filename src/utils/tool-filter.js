@@ -0,0 +1,206 @@
+/**
+ * Tool Filter
+ * Enables or disables tools by name, glob or category, so an assistant only sees the tools it needs.
+ *
+ * Patterns are comma-separated (environment) or listed in a JSON file:
+ *   get_subscriptions      exact tool name
+ *   get_*, *_address       glob (* matches any run of characters, ? a single character)
+ *   category:subscription  every tool in a category (see the groups in src/tools/index.js)
+ *
+ * RECHARGE_TOOLS_ALLOW      only these tools are enabled (default: every tool)
+ * RECHARGE_TOOLS_DENY       these tools are disabled, even if allowed
+ * RECHARGE_TOOLS_CONFIG     JSON file { "allow": [...], "deny": [...] }; replaces the two variables
+ *                           and is reloaded when it changes or the process receives SIGHUP
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+
+const CATEGORY_PREFIX = 'category:';
+const RELOAD_DEBOUNCE_MS = 200;
+
+/**
+ * Split a comma-separated pattern list
+ * @param {string|undefined} value - Raw environment value
+ * @returns {string[]} Trimmed, non-empty patterns
+ */
+function parsePatternList(value) {
+  return (value || '')
+    .split(',')
+    .map(pattern => pattern.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Convert a glob to an anchored regular expression
+ * @param {string} glob - Pattern with * and ? wildcards
+ * @returns {RegExp} Matching expression
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+export class ToolFilter {
+  /**
+   * @param {Object} [options] - Filter options
+   * @param {string[]} [options.allow] - Patterns of tools to enable (empty enables every tool)
+   * @param {string[]} [options.deny] - Patterns of tools to disable
+   * @param {string} [options.source] - Where the configuration came from, for diagnostics
+   */
+  constructor({ allow = [], deny = [], source = 'default' } = {}) {
+    this.allow = allow;
+    this.deny = deny;
+    this.source = source;
+    this.allowMatchers = allow.map(pattern => this.compile(pattern));
+    this.denyMatchers = deny.map(pattern => this.compile(pattern));
+  }
+
+  /**
+   * Compile a pattern into a predicate over tool definitions
+   * @param {string} pattern - Name, glob or category:<name>
+   * @returns {Function} Predicate
+   */
+  compile(pattern) {
+    if (pattern.startsWith(CATEGORY_PREFIX)) {
+      const category = pattern.slice(CATEGORY_PREFIX.length).trim().toLowerCase();
+      return tool => tool.category === category;
+    }
+    if (pattern.includes('*') || pattern.includes('?')) {
+      const regExp = globToRegExp(pattern);
+      return tool => regExp.test(tool.name);
+    }
+    return tool => tool.name === pattern;
+  }
+
+  /**
+   * Check whether a tool is enabled
+   * @param {Object} tool - Tool definition
+   * @returns {boolean} True if allowed and not denied
+   */
+  isEnabled(tool) {
+    if (this.denyMatchers.some(matches => matches(tool))) {
+      return false;
+    }
+    return this.allowMatchers.length === 0 || this.allowMatchers.some(matches => matches(tool));
+  }
+
+  /**
+   * Find patterns that match none of the given tools (usually typos)
+   * @param {Object[]} tools - Every tool definition
+   * @returns {string[]} Unmatched patterns
+   */
+  findUnmatchedPatterns(tools) {
+    const patterns = [...this.allow, ...this.deny];
+    const matchers = [...this.allowMatchers, ...this.denyMatchers];
+    return patterns.filter((pattern, index) => !tools.some(tool => matchers[index](tool)));
+  }
+
+  /**
+   * Get the filter configuration for diagnostics
+   * @returns {Object} Patterns and source
+   */
+  getStats() {
+    return {
+      source: this.source,
+      allow: this.allow,
+      deny: this.deny,
+    };
+  }
+}
+
+/**
+ * Read the filter configuration from RECHARGE_TOOLS_CONFIG, or from the allow/deny variables
+ * @returns {ToolFilter} Filter
+ * @throws {Error} If the configuration file can't be read or isn't valid
+ */
+export function loadToolFilter() {
+  const configPath = process.env.RECHARGE_TOOLS_CONFIG;
+
+  if (!configPath) {
+    const allow = parsePatternList(process.env.RECHARGE_TOOLS_ALLOW);
+    const deny = parsePatternList(process.env.RECHARGE_TOOLS_DENY);
+    return new ToolFilter({ allow, deny, source: allow.length || deny.length ? 'environment' : 'default' });
+  }
+
+  const resolvedPath = path.resolve(configPath);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read tool filter config ${resolvedPath}: ${error.message}`);
+  }
+
+  for (const key of ['allow', 'deny']) {
+    const value = config[key];
+    if (value !== undefined && (!Array.isArray(value) || value.some(pattern => typeof pattern !== 'string'))) {
+      throw new Error(`Tool filter config ${resolvedPath}: "${key}" must be an array of strings`);
+    }
+  }
+
+  return new ToolFilter({
+    allow: (config.allow || []).map(pattern => pattern.trim()).filter(Boolean),
+    deny: (config.deny || []).map(pattern => pattern.trim()).filter(Boolean),
+    source: resolvedPath,
+  });
+}
+
+let currentFilter = null;
+
+/**
+ * Get the active tool filter, loading it on first use
+ * @returns {ToolFilter} Active filter
+ */
+export function getToolFilter() {
+  if (!currentFilter) {
+    currentFilter = loadToolFilter();
+  }
+  return currentFilter;
+}
+
+/**
+ * Load the configuration again and make it the active filter
+ * A configuration that fails to load leaves the previous filter active.
+ * @returns {ToolFilter} Active filter
+ * @throws {Error} If the configuration can't be loaded
+ */
+export function reloadToolFilter() {
+  currentFilter = loadToolFilter();
+  return currentFilter;
+}
+
+/**
+ * Watch RECHARGE_TOOLS_CONFIG and call back when it changes
+ * Editors often write a file in several steps, so changes are debounced.
+ * @param {Function} onChange - Called after the file changed
+ * @returns {Function} Stops watching (a no-op when no file is configured)
+ */
+export function watchToolFilterConfig(onChange) {
+  const configPath = process.env.RECHARGE_TOOLS_CONFIG;
+  if (!configPath) {
+    return () => {};
+  }
+
+  // Watch the directory so the file being replaced (rename-on-save) doesn't end the watch
+  const resolvedPath = path.resolve(configPath);
+  let timer = null;
+  const watcher = fs.watch(path.dirname(resolvedPath), (eventType, filename) => {
+    if (filename && filename !== path.basename(resolvedPath)) {
+      return;
+    }
+    clearTimeout(timer);
+    timer = setTimeout(onChange, RELOAD_DEBOUNCE_MS);
+  });
+  watcher.unref();
+
+  return () => {
+    clearTimeout(timer);
+    watcher.close();
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * Tool Timeouts
+ * HTTP request timeouts per tool category, configurable through the environment:
+ *   read  - get_*, list_*, find_* and search_* tools    (RECHARGE_TIMEOUT_READ_MS,  default 15s)
+ *   write - every other tool                            (RECHARGE_TIMEOUT_WRITE_MS, default 30s)
+ *   long  - tools marked timeoutCategory: 'long' (bulk operations, charge processing)
+ *                                                       (RECHARGE_TIMEOUT_LONG_MS,  default 120s)
+ * A tool call's timeout_ms argument overrides the category timeout.
+ */
+
+const DEFAULT_TIMEOUTS_MS = {
+  read: 15000,
+  write: 30000,
+  long: 120000,
+};
+
+export const MIN_TIMEOUT_MS = 1000;
+export const MAX_TIMEOUT_MS = 300000;
+
+const READ_TOOL_PREFIXES = ['get_', 'list_', 'find_', 'search_'];
+
+/**
+ * Determine a tool's timeout category
+ * @param {Object} tool - Tool definition
+ * @returns {'read'|'write'|'long'} Timeout category
+ */
+export function getToolTimeoutCategory(tool) {
+  if (tool.timeoutCategory) {
+    return tool.timeoutCategory;
+  }
+  return READ_TOOL_PREFIXES.some(prefix => tool.name.startsWith(prefix)) ? 'read' : 'write';
+}
+
+/**
+ * Get the configured timeout for a category
+ * @param {'read'|'write'|'long'} category - Timeout category
+ * @returns {number} Timeout in milliseconds
+ */
+export function getCategoryTimeoutMs(category) {
+  const fallback = DEFAULT_TIMEOUTS_MS[category] ?? DEFAULT_TIMEOUTS_MS.write;
+  const configured = parseInt(process.env[`RECHARGE_TIMEOUT_${category.toUpperCase()}_MS`], 10);
+
+  if (isNaN(configured)) {
+    return fallback;
+  }
+  return Math.min(Math.max(configured, MIN_TIMEOUT_MS), MAX_TIMEOUT_MS);
+}
+
+/**
+ * Resolve the HTTP timeout for a tool call
+ * @param {Object} tool - Tool definition
+ * @param {number} [requestedMs] - timeout_ms passed by the caller
+ * @returns {number} Timeout in milliseconds
+ */
+export function resolveToolTimeoutMs(tool, requestedMs = undefined) {
+  if (requestedMs !== undefined) {
+    return requestedMs;
+  }
+  return getCategoryTimeoutMs(getToolTimeoutCategory(tool));
+}
@@ -0,0 +1,204 @@
+/**
+ * Undo Journal
+ * Remembers recent reversible changes (skips, swaps, updates, cancellations) together with the
+ * compensating call that reverses them, so list_recent_actions and undo_action can put things back.
+ * Tools opt in with prepareUndo(client, args), which captures the pre-state before the change is
+ * sent and returns { tool, args, description } for the compensating call, or null if there is
+ * nothing to reverse. The journal lives in memory and keeps the most recent actions only.
+ * Actions are kept per scope (store, admin token and customer, the same scope as idempotency
+ * keys), and callers only see and undo the actions made in their own scope.
+ */
+import { randomBytes } from 'node:crypto';
+import { getRequestContext } from './request-context.js';
+import { isCancellationError } from './error-handler.js';
+
+const DEFAULT_MAX_ENTRIES = 100;
+
+// Arguments that carry credentials or identify the store; never stored in the journal
+const CREDENTIAL_FIELDS = ['session_token', 'admin_token', 'store_url'];
+
+/**
+ * Drop credentials and unset values from tool arguments
+ * @param {Object} args - Tool arguments
+ * @returns {Object} Arguments safe to keep
+ */
+function withoutCredentials(args) {
+  const kept = {};
+  for (const [field, value] of Object.entries(args)) {
+    if (value !== undefined && !CREDENTIAL_FIELDS.includes(field)) {
+      kept[field] = value;
+    }
+  }
+  return kept;
+}
+
+export class UndoJournal {
+  /**
+   * @param {Object} [options] - Journal options
+   * @param {number} [options.maxEntries] - Actions kept; the oldest are dropped first (default: 100)
+   */
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.maxEntries = maxEntries;
+    this.actions = new Map(); // id -> action, oldest first
+  }
+
+  /**
+   * Record a completed change and how to reverse it
+   * @param {Object} entry - Change details
+   * @param {string} entry.toolName - Tool that made the change
+   * @param {string} entry.domain - Store domain
+   * @param {string} entry.scope - Idempotency scope of the call (store, admin token, customer)
+   * @param {Object} entry.args - Validated tool arguments
+   * @param {Object} entry.undo - Compensating call { tool, args, description }
+   * @returns {Object} Recorded action
+   */
+  record({ toolName, domain, scope, args, undo }) {
+    const { customer_id, customer_email, ...details } = withoutCredentials(args);
+    const action = {
+      id: `act_${randomBytes(6).toString('hex')}`,
+      tool: toolName,
+      domain,
+      scope,
+      customer: { customer_id, customer_email },
+      args: details,
+      undo: {
+        tool: undo.tool,
+        args: withoutCredentials(undo.args),
+        description: undo.description,
+      },
+      status: 'applied',
+      createdAt: new Date().toISOString(),
+      undoneAt: null,
+    };
+
+    this.actions.set(action.id, action);
+    while (this.actions.size > this.maxEntries) {
+      this.actions.delete(this.actions.keys().next().value);
+    }
+
+    if (process.env.DEBUG === 'true') {
+      console.error(`[DEBUG] Undo journal: recorded ${action.id} (${toolName} on ${domain})`);
+    }
+    return action;
+  }
+
+  /**
+   * Get one action made in a scope
+   * @param {string} id - Action ID
+   * @param {string} scope - Caller's idempotency scope
+   * @returns {Object|null} Action, or null if unknown, no longer kept or made in another scope
+   */
+  get(id, scope) {
+    const action = this.actions.get(id);
+    return action && action.scope === scope ? action : null;
+  }
+
+  /**
+   * List recent actions made in a scope, newest first
+   * @param {string} scope - Caller's idempotency scope
+   * @param {Object} [options] - List options
+   * @param {number} [options.limit] - Maximum actions returned
+   * @param {boolean} [options.includeUndone] - Include actions that were already undone
+   * @returns {Object[]} Actions
+   */
+  list(scope, { limit = 20, includeUndone = true } = {}) {
+    return [...this.actions.values()]
+      .filter(action => action.scope === scope && (includeUndone || action.status === 'applied'))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  /**
+   * Mark an action as reversed
+   * @param {string} id - Action ID
+   */
+  markUndone(id) {
+    const action = this.actions.get(id);
+    if (action) {
+      action.status = 'undone';
+      action.undoneAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Get journal statistics for diagnostics
+   * @returns {Object} Size and limit
+   */
+  getStats() {
+    const actions = [...this.actions.values()];
+    return {
+      actions: actions.length,
+      undone: actions.filter(action => action.status === 'undone').length,
+      maxEntries: this.maxEntries,
+    };
+  }
+}
+
+let sharedJournal = null;
+
+/**
+ * Get the process-wide undo journal
+ * RECHARGE_UNDO_MAX_ENTRIES sets how many actions are kept (default 100)
+ * @returns {UndoJournal} Shared journal
+ */
+export function getSharedUndoJournal() {
+  if (!sharedJournal) {
+    const maxEntries = parseInt(process.env.RECHARGE_UNDO_MAX_ENTRIES, 10);
+    sharedJournal = new UndoJournal({
+      maxEntries: isNaN(maxEntries) || maxEntries < 1 ? DEFAULT_MAX_ENTRIES : maxEntries,
+    });
+  }
+  return sharedJournal;
+}
+
+/**
+ * Run a tool call and record it in the undo journal when it succeeds
+ * Dry runs and previews change nothing, so they are not recorded. If the pre-state can't be
+ * captured the call still runs, just without an undo entry.
+ * @param {Object} tool - Tool definition
+ * @param {RechargeClient} client - Client for the call
+ * @param {Object} args - Validated tool arguments
+ * @param {Function} execute - Runs the tool
+ * @returns {Promise<Object>} Tool result, mentioning the action ID when recorded
+ */
+export async function runUndoable(tool, client, args, execute) {
+  if (!tool.prepareUndo || args.preview || getRequestContext().dryRun) {
+    return execute();
+  }
+
+  let undo = null;
+  try {
+    undo = await tool.prepareUndo(client, args);
+  } catch (error) {
+    if (isCancellationError(error)) {
+      throw error;
+    }
+    if (process.env.DEBUG === 'true') {
+      console.error(`[DEBUG] Undo journal: could not capture the state before ${tool.name}:`, error.message);
+    }
+  }
+
+  const result = await execute();
+  if (!undo || result?.isError) {
+    return result;
+  }
+
+  const action = getSharedUndoJournal().record({
+    toolName: tool.name,
+    domain: client.currentDomain,
+    scope: getRequestContext().scope,
+    args,
+    undo,
+  });
+  return {
+    ...result,
+    content: [
+      ...(result.content || []),
+      {
+        type: 'text',
+        text: `Recorded as action ${action.id}. To reverse it (${undo.description}), call undo_action with action_id "${action.id}".`,
+      },
+    ],
+    _meta: { ...result._meta, undo: { actionId: action.id, compensation: action.undo } },
+  };
+}